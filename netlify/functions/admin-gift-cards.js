@@ -0,0 +1,46 @@
+/**
+ * Netlify Serverless Function for Listing Gift Cards (Admin)
+ *
+ * Returns gift cards with their balance ledgers for the bakery dashboard,
+ * newest first. Requires the staff access token (see netlify/lib/auth.js).
+ *
+ * Query Parameters (all optional):
+ * - code: show only the gift card with this code
+ */
+
+import { isAdminRequest } from '../lib/auth.js';
+import { getGiftCardsStore } from '../lib/giftCards.js';
+import { jsonResponse, preflightResponse } from '../lib/http.js';
+import { connectStore } from '../lib/store.js';
+import { normalizeGiftCardCode } from '../../src/shared/giftCards.js';
+
+const METHODS = 'GET, OPTIONS';
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event, METHODS);
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' }, METHODS);
+  }
+
+  if (!isAdminRequest(event)) {
+    return jsonResponse(event, 401, { error: 'Unauthorized', status: 'FAILED' }, METHODS);
+  }
+
+  const code = normalizeGiftCardCode((event.queryStringParameters || {}).code);
+
+  try {
+    await connectStore(event);
+    const giftCards = (await getGiftCardsStore().list())
+      .filter(card => !code || card.code === code)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+    return jsonResponse(event, 200, { status: 'OK', giftCards }, METHODS);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[admin-gift-cards] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' }, METHODS);
+  }
+};
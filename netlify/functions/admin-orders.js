@@ -0,0 +1,72 @@
+/**
+ * Netlify Serverless Function for Listing Orders (Admin)
+ *
+ * Returns stored orders for the bakery dashboard, soonest delivery first.
+ * Requires the staff access token (see netlify/lib/auth.js).
+ *
+ * Query Parameters (all optional):
+ * - date: delivery or pickup date (YYYY-MM-DD)
+ * - method: fulfillment method (delivery, pickup)
+ * - timeSlot: delivery time slot or pickup window id (morning, pickup-morning, ...)
+ * - status: order status; "all" includes unpaid orders, which are hidden by default
+ */
+
+import { isAdminRequest } from '../lib/auth.js';
+import { jsonResponse, preflightResponse } from '../lib/http.js';
+import { getOrdersStore } from '../lib/orders.js';
+import { connectStore } from '../lib/store.js';
+import { ALL_TIME_SLOTS, FULFILLMENT_METHODS } from '../../src/shared/fulfillment.js';
+import { ORDER_STATUS } from '../../src/shared/orderStatus.js';
+
+const METHODS = 'GET, OPTIONS';
+
+// Sort position of each time slot within a day
+const slotOrder = (slotId) => {
+  const index = ALL_TIME_SLOTS.findIndex(slot => slot.id === slotId);
+  return index === -1 ? ALL_TIME_SLOTS.length : index;
+};
+
+/**
+ * Orders by delivery date, then time slot, then when the order was placed
+ */
+const compareOrders = (a, b) => (
+  (a.delivery.date || '').localeCompare(b.delivery.date || '') ||
+  slotOrder(a.delivery.timeSlot) - slotOrder(b.delivery.timeSlot) ||
+  (a.createdAt || '').localeCompare(b.createdAt || '')
+);
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event, METHODS);
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' }, METHODS);
+  }
+
+  if (!isAdminRequest(event)) {
+    return jsonResponse(event, 401, { error: 'Unauthorized', status: 'FAILED' }, METHODS);
+  }
+
+  const { date, method, timeSlot, status } = event.queryStringParameters || {};
+
+  try {
+    await connectStore(event);
+    const orders = (await getOrdersStore().list())
+      .filter(order => {
+        if (status && status !== 'all') return order.status === status;
+        return status === 'all' || order.status !== ORDER_STATUS.PENDING_PAYMENT;
+      })
+      .filter(order => !date || order.delivery.date === date)
+      // Orders stored before pickup existed have no method and were all deliveries
+      .filter(order => !method || (order.delivery.method || FULFILLMENT_METHODS.DELIVERY) === method)
+      .filter(order => !timeSlot || order.delivery.timeSlot === timeSlot)
+      .sort(compareOrders);
+
+    return jsonResponse(event, 200, { status: 'OK', orders }, METHODS);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[admin-orders] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' }, METHODS);
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * Netlify Serverless Function for Resending an Order Email (Admin)
+ *
+ * Sends one of an order's outbox emails again (see netlify/lib/outbox.js),
+ * for when it failed every retry or the customer asks for another copy.
+ * Requires the staff access token (see netlify/lib/auth.js).
+ *
+ * Request body: { orderId, emailId }
+ * - emailId is the id of the order's outbox entry
+ *
+ * Answers with the updated order; its outbox entry shows whether this try
+ * was sent.
+ */
+
+import { isAdminRequest } from '../lib/auth.js';
+import { jsonResponse, parseJsonBody, preflightResponse } from '../lib/http.js';
+import { isMailConfigured } from '../lib/mailer.js';
+import { resendNotification } from '../lib/outbox.js';
+import { connectStore } from '../lib/store.js';
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  if (!isAdminRequest(event)) {
+    return jsonResponse(event, 401, { error: 'Unauthorized', status: 'FAILED' });
+  }
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' });
+  }
+
+  const { orderId, emailId } = body;
+  if (!orderId || !emailId) {
+    return jsonResponse(event, 400, { error: 'Missing required fields: orderId, emailId', status: 'FAILED' });
+  }
+
+  if (!isMailConfigured()) {
+    return jsonResponse(event, 500, { error: 'Email service not configured', status: 'FAILED' });
+  }
+
+  try {
+    await connectStore(event);
+    const order = await resendNotification(String(orderId), String(emailId));
+    if (!order) {
+      return jsonResponse(event, 404, { error: 'Order email not found', status: 'FAILED' });
+    }
+    return jsonResponse(event, 200, { status: 'OK', order });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[admin-resend-email] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' });
+  }
+};
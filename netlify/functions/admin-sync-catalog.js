@@ -0,0 +1,46 @@
+/**
+ * Netlify Serverless Function for Syncing the Menu from Square (Admin)
+ *
+ * Copies the Square catalog into the synced menu right away, for when staff
+ * have changed items in Square and don't want to wait for the scheduled
+ * sync-catalog run. Requires the staff access token (see netlify/lib/auth.js).
+ */
+
+import { isAdminRequest } from '../lib/auth.js';
+import { jsonResponse, preflightResponse } from '../lib/http.js';
+import { isSquareConfigured } from '../lib/square.js';
+import { syncCatalog } from '../lib/squareCatalog.js';
+import { connectStore } from '../lib/store.js';
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  if (!isAdminRequest(event)) {
+    return jsonResponse(event, 401, { error: 'Unauthorized', status: 'FAILED' });
+  }
+
+  if (!isSquareConfigured()) {
+    return jsonResponse(event, 500, { error: 'Server configuration error', status: 'FAILED' });
+  }
+
+  try {
+    await connectStore(event);
+    const catalog = await syncCatalog();
+    return jsonResponse(event, 200, {
+      status: 'OK',
+      syncedAt: catalog.syncedAt,
+      itemCount: catalog.items.length,
+      categoryCount: catalog.categories.length
+    });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[admin-sync-catalog] sync failed:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 502, { error: `Could not sync the menu from Square: ${error.message}`, status: 'FAILED' });
+  }
+};
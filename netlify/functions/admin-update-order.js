@@ -0,0 +1,95 @@
+/**
+ * Netlify Serverless Function for Changing an Order's Status (Admin)
+ *
+ * Moves an order through the bakery workflow
+ * (received -> baking -> out for delivery -> delivered, or cancelled).
+ * Only the transitions listed in src/shared/orderStatus.js are allowed.
+ * Requires the staff access token (see netlify/lib/auth.js).
+ *
+ * The customer is emailed about the new status (see netlify/lib/statusEmails.js),
+ * except when an order that was never paid is cancelled.
+ */
+
+import { isAdminRequest } from '../lib/auth.js';
+import { jsonResponse, parseJsonBody, preflightResponse } from '../lib/http.js';
+import { getOrdersStore, withStatus } from '../lib/orders.js';
+import { connectStore } from '../lib/store.js';
+import { isMailConfigured, sendMail } from '../lib/mailer.js';
+import { buildStatusEmail } from '../lib/statusEmails.js';
+import { ORDER_STATUS, canTransition, getStatusLabel } from '../../src/shared/orderStatus.js';
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  if (!isAdminRequest(event)) {
+    return jsonResponse(event, 401, { error: 'Unauthorized', status: 'FAILED' });
+  }
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' });
+  }
+
+  const { orderId, status } = body;
+  if (!orderId || !status) {
+    return jsonResponse(event, 400, { error: 'Missing required fields: orderId, status', status: 'FAILED' });
+  }
+
+  try {
+    await connectStore(event);
+    const store = getOrdersStore();
+    const order = await store.get(String(orderId));
+    if (!order) {
+      return jsonResponse(event, 404, { error: 'Order not found', status: 'FAILED' });
+    }
+
+    if (!canTransition(order.status, status)) {
+      return jsonResponse(event, 409, {
+        error: `Cannot change an order from "${getStatusLabel(order.status, order.delivery.method)}" to "${getStatusLabel(status, order.delivery.method)}"`,
+        status: 'FAILED'
+      });
+    }
+
+    // Check the transition again on the stored record: process-payment may
+    // have marked the order paid since it was read
+    let previousStatus = order.status;
+    let changed = false;
+    const updated = await store.update(order.id, (current) => {
+      previousStatus = current.status;
+      changed = canTransition(current.status, status);
+      return changed ? withStatus(current, status) : current;
+    });
+    if (!changed) {
+      return jsonResponse(event, 409, {
+        error: `Cannot change an order from "${getStatusLabel(previousStatus, order.delivery.method)}" to "${getStatusLabel(status, order.delivery.method)}"`,
+        status: 'FAILED'
+      });
+    }
+
+    // Let the customer know. The status change stands even if the email fails.
+    // Someone who never paid gets no cancellation email.
+    let emailSent = false;
+    const statusEmail = previousStatus !== ORDER_STATUS.PENDING_PAYMENT && buildStatusEmail(updated);
+    if (statusEmail && isMailConfigured()) {
+      try {
+        await sendMail(statusEmail);
+        emailSent = true;
+      } catch (mailError) {
+        // eslint-disable-next-line no-console
+        console.error('[admin-update-order] status email failed', { orderId: updated.id, status, error: mailError && mailError.message });
+      }
+    }
+
+    return jsonResponse(event, 200, { status: 'UPDATED', order: updated, emailSent });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[admin-update-order] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' });
+  }
+};
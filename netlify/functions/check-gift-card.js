@@ -0,0 +1,47 @@
+/**
+ * Netlify Serverless Function for Checking Gift Card Balances
+ *
+ * Lets the Order page look up a gift card code before checkout and show how
+ * much of the order it covers. Nothing is reserved here: process-payment
+ * takes the balance off the card when the order is paid.
+ */
+
+import { jsonResponse, parseJsonBody, preflightResponse } from '../lib/http.js';
+import { findGiftCard, toPublicGiftCard } from '../lib/giftCards.js';
+import { connectStore } from '../lib/store.js';
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' });
+  }
+
+  if (typeof body.code !== 'string' || !body.code.trim()) {
+    return jsonResponse(event, 400, { error: 'Please enter a gift card code', status: 'FAILED' });
+  }
+
+  try {
+    await connectStore(event);
+    const card = await findGiftCard(body.code);
+    if (!card) {
+      return jsonResponse(event, 404, { error: "We couldn't find that gift card", status: 'FAILED' });
+    }
+    if (card.balanceCents <= 0) {
+      return jsonResponse(event, 400, { error: 'This gift card has no balance left', status: 'FAILED' });
+    }
+
+    return jsonResponse(event, 200, { status: 'OK', giftCard: toPublicGiftCard(card) });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[check-gift-card] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' });
+  }
+};
@@ -0,0 +1,96 @@
+/**
+ * Netlify Serverless Function for the Contact Form
+ *
+ * Forwards a contact form message to the bakery (see getContactEmail in
+ * netlify/lib/mailer.js) and sends the sender a short acknowledgement.
+ *
+ * Request body: { name, email, phone, subject, message }
+ * - phone is optional
+ *
+ * The email address isn't verified, so the acknowledgement carries nothing
+ * the sender wrote (not even their name) and the form can't be used to mail
+ * text to others. Messages are rate limited per visitor, and
+ * acknowledgements per address, so it can't be used to flood an inbox either.
+ */
+
+import { getClientIp, jsonResponse, parseJsonBody, preflightResponse } from '../lib/http.js';
+import { getContactEmail, isMailConfigured, isSingleAddress, sendMail } from '../lib/mailer.js';
+import { takeRateLimit } from '../lib/rateLimit.js';
+import { connectStore } from '../lib/store.js';
+import { EMAIL_TEMPLATES, renderEmail } from '../../src/shared/emailTemplates.js';
+
+// Limits for each field so a single request cannot send a huge email
+const FIELD_LIMITS = { name: 100, email: 200, phone: 40, subject: 200, message: 5000 };
+
+// Messages one visitor (IP address) may send
+const MESSAGE_LIMIT = { max: 5, windowSeconds: 60 * 60 };
+
+// Acknowledgements one email address may receive
+const ACKNOWLEDGEMENT_LIMIT = { max: 3, windowSeconds: 24 * 60 * 60 };
+
+const cleanText = (value, maxLength) => (
+  typeof value === 'string' ? value.trim().slice(0, maxLength) : ''
+);
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' });
+  }
+
+  const contact = Object.fromEntries(Object.entries(FIELD_LIMITS).map(([field, limit]) => [field, cleanText(body[field], limit)]));
+  if (!contact.name || !contact.email || !contact.subject || !contact.message) {
+    return jsonResponse(event, 400, { error: 'Missing required fields: name, email, subject, message', status: 'FAILED' });
+  }
+  if (!isSingleAddress(contact.email)) {
+    return jsonResponse(event, 400, { error: 'Invalid email address', status: 'FAILED' });
+  }
+
+  if (!isMailConfigured()) {
+    return jsonResponse(event, 500, { error: 'Email service not configured', status: 'FAILED' });
+  }
+
+  let acknowledge;
+  try {
+    await connectStore(event);
+    if (!(await takeRateLimit(`contact-ip:${getClientIp(event)}`, MESSAGE_LIMIT))) {
+      return jsonResponse(event, 429, { error: 'Too many messages. Please try again later or give us a call.', status: 'FAILED' });
+    }
+    acknowledge = await takeRateLimit(`contact-email:${contact.email.toLowerCase()}`, ACKNOWLEDGEMENT_LIMIT);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[contact-message] rate limit check failed', { error: error && error.message });
+    return jsonResponse(event, 500, { error: 'Could not send your message. Please try again.', status: 'FAILED' });
+  }
+
+  try {
+    await sendMail({ to: getContactEmail(), ...renderEmail(EMAIL_TEMPLATES.CONTACT_NOTIFICATION, contact) });
+  } catch (mailError) {
+    // eslint-disable-next-line no-console
+    console.error('[contact-message] notification failed', { error: mailError && mailError.message });
+    return jsonResponse(event, 502, { error: 'Email sending failed', status: 'FAILED' });
+  }
+
+  // The bakery has the message; a skipped or failed acknowledgement only needs logging
+  if (!acknowledge) {
+    // eslint-disable-next-line no-console
+    console.warn('[contact-message] acknowledgement skipped: address has had too many');
+    return jsonResponse(event, 200, { status: 'SENT' });
+  }
+  try {
+    await sendMail({ to: contact.email, ...renderEmail(EMAIL_TEMPLATES.CONTACT_ACKNOWLEDGEMENT) });
+  } catch (mailError) {
+    // eslint-disable-next-line no-console
+    console.error('[contact-message] acknowledgement failed', { error: mailError && mailError.message });
+  }
+
+  return jsonResponse(event, 200, { status: 'SENT' });
+};
@@ -0,0 +1,158 @@
+/**
+ * Netlify Serverless Function for Creating Orders
+ *
+ * Stores a full order record (line items, customer contact, delivery details)
+ * before the customer pays. The returned order id is sent along with the
+ * payment so process-payment can charge for, and attach the Square payment
+ * to, exactly this order.
+ *
+ * Prices are computed server-side from the shared menu catalog (as synced
+ * from Square, see netlify/lib/squareCatalog.js) and delivery
+ * zones; the client total is only used to detect a stale cart. Orders outside
+ * the delivery area or below the zone's minimum are rejected, and so are
+ * bookings into a slot that is closed, too soon for the lead time, or full
+ * (see src/shared/schedule.js). A promo code is looked up and priced here
+ * too; the client only sends the code. A gift card code is checked and kept
+ * on the order for process-payment to redeem.
+ *
+ * The slot is booked atomically (see reserveSlot in netlify/lib/orders.js).
+ * A customer who goes back from the payment step and continues again sends
+ * the earlier order's id as replacesOrderId, and that order is cancelled so
+ * it doesn't keep holding a place. Each visitor (IP address) can create
+ * CREATE_LIMIT.max orders an hour, so a script can't hold every slot.
+ */
+
+import { calculateOrderTotals, PricingError } from '../../src/shared/pricing.js';
+import { connectStore } from '../lib/store.js';
+import { applySyncedCatalog } from '../lib/squareCatalog.js';
+import { buildOrderRecord, cancelReplacedOrder, getOrdersStore, reserveSlot, validateOrderDetails } from '../lib/orders.js';
+import { findPromotion, getPromotionUsageError } from '../lib/promotions.js';
+import { findGiftCard } from '../lib/giftCards.js';
+import { takeRateLimit } from '../lib/rateLimit.js';
+import { splitGiftCardPayment } from '../../src/shared/giftCards.js';
+import { getClientIp, jsonResponse, parseJsonBody, preflightResponse } from '../lib/http.js';
+
+// Orders one visitor (IP address) may create; each holds a slot until paid or expired
+const CREATE_LIMIT = { max: 20, windowSeconds: 60 * 60 };
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' });
+  }
+
+  const { items, amountCents, customer, delivery, promoCode, giftCardCode, replacesOrderId } = body;
+
+  try {
+    const details = validateOrderDetails({ customer, delivery });
+    if (Object.keys(details.errors).length > 0) {
+      return jsonResponse(event, 400, {
+        error: 'Please check your delivery information',
+        status: 'FAILED',
+        fieldErrors: details.errors
+      });
+    }
+
+    const promotion = promoCode ? findPromotion(promoCode) : undefined;
+    if (promoCode && !promotion) {
+      return jsonResponse(event, 400, {
+        error: "That promo code isn't valid",
+        status: 'FAILED',
+        fieldErrors: { promoCode: "That promo code isn't valid" }
+      });
+    }
+
+    await connectStore(event);
+    if (!(await takeRateLimit(`create-order-ip:${getClientIp(event)}`, CREATE_LIMIT))) {
+      return jsonResponse(event, 429, { error: 'Too many orders started. Please try again later or give us a call.', status: 'FAILED' });
+    }
+
+    // Price from the menu synced from Square, if there is one
+    await applySyncedCatalog();
+
+    let totals;
+    try {
+      totals = calculateOrderTotals(items, {
+        deliveryDate: details.delivery.date,
+        method: details.delivery.method,
+        zipCode: details.delivery.zipCode,
+        promotion
+      });
+    } catch (pricingError) {
+      if (pricingError instanceof PricingError) {
+        return jsonResponse(event, 400, { error: pricingError.message, status: 'FAILED' });
+      }
+      throw pricingError;
+    }
+
+    if (Number(amountCents) !== totals.totalCents) {
+      return jsonResponse(event, 409, {
+        error: 'Order total does not match current menu prices. Please review your order and try again.',
+        status: 'FAILED',
+        totals
+      });
+    }
+
+    // Cancelled before listing, so its place counts as free below
+    if (typeof replacesOrderId === 'string' && replacesOrderId) {
+      await cancelReplacedOrder(replacesOrderId, details.customer.email);
+    }
+
+    const store = getOrdersStore();
+    const orders = await store.list();
+
+    const usageError = promotion && getPromotionUsageError(promotion, orders, { email: details.customer.email });
+    if (usageError) {
+      return jsonResponse(event, 400, {
+        error: usageError,
+        status: 'FAILED',
+        fieldErrors: { promoCode: usageError }
+      });
+    }
+
+    const giftCard = giftCardCode ? await findGiftCard(giftCardCode) : null;
+    if (giftCardCode && (!giftCard || giftCard.balanceCents <= 0)) {
+      const giftCardError = giftCard ? 'This gift card has no balance left' : "We couldn't find that gift card";
+      return jsonResponse(event, 400, {
+        error: giftCardError,
+        status: 'FAILED',
+        fieldErrors: { giftCardCode: giftCardError }
+      });
+    }
+
+    const order = buildOrderRecord({
+      totals,
+      customer: details.customer,
+      delivery: details.delivery,
+      // The amount is worked out again when the order is paid
+      giftCard: giftCard && {
+        code: giftCard.code,
+        amountCents: splitGiftCardPayment(totals.totalCents, giftCard.balanceCents).giftCardCents
+      }
+    });
+
+    const bookingError = await reserveSlot(order, orders);
+    if (bookingError) {
+      return jsonResponse(event, 409, {
+        error: bookingError,
+        status: 'FAILED',
+        fieldErrors: { deliveryTime: bookingError }
+      });
+    }
+    await store.put(order.id, order);
+
+    return jsonResponse(event, 201, { status: 'CREATED', order });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[create-order] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' });
+  }
+};
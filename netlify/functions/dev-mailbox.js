@@ -0,0 +1,114 @@
+/* global process */
+/**
+ * Netlify Serverless Function for Viewing Caught Mail (Local Development)
+ *
+ * When the mailer uses its mailbox transport (see netlify/lib/mailer.js),
+ * emails are written to disk instead of being sent. Open
+ * /.netlify/functions/dev-mailbox under `netlify dev` to see them:
+ * - no query: the list of caught messages, newest first
+ * - ?id=<id>: one message, its HTML as the recipient would see it and the
+ *   plain text version
+ * - ?id=<id>&format=eml: the raw message, to open in a mail client
+ *
+ * Answers 404 unless the mailbox transport is in use and the function runs
+ * locally, so it never exposes customer mail on the live site.
+ */
+
+import { getMailTransportName, listMailbox, readMailboxEml } from '../lib/mailer.js';
+import { escapeHtml } from '../../src/shared/emailTemplates.js';
+
+/**
+ * Checks whether the mailbox may be shown
+ * @returns {boolean} True when catching mail under local development
+ */
+const isAvailable = () => getMailTransportName() === 'mailbox'
+  && (process.env.NETLIFY_DEV === 'true' || !process.env.AWS_LAMBDA_FUNCTION_NAME);
+
+/**
+ * Builds an HTML page response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} title - Page title
+ * @param {string} body - Page content (already escaped)
+ * @returns {Object} Netlify function response
+ */
+const htmlResponse = (statusCode, title, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'text/html; charset=utf-8' },
+  body: `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 900px; margin: 24px auto; padding: 0 16px;">
+${body}
+</body>
+</html>`,
+});
+
+/**
+ * Renders the list of caught messages
+ * @param {Array} messages - Messages from listMailbox
+ * @returns {string} HTML
+ */
+const renderList = (messages) => `<h1>Mailbox</h1>
+${messages.length === 0 ? '<p>No mail has been caught yet.</p>' : `<table style="width: 100%; border-collapse: collapse;">
+<tr><th align="left">Caught</th><th align="left">To</th><th align="left">Subject</th></tr>
+${messages.map(message => `<tr>
+<td style="padding: 6px 8px 6px 0; white-space: nowrap;">${escapeHtml(message.capturedAt)}</td>
+<td style="padding: 6px 8px 6px 0;">${escapeHtml(message.to)}</td>
+<td style="padding: 6px 0;"><a href="?id=${encodeURIComponent(message.id)}">${escapeHtml(message.subject)}</a></td>
+</tr>`).join('\n')}
+</table>`}`;
+
+/**
+ * Renders one caught message
+ * The email's HTML is shown in a sandboxed frame so it can't run scripts here
+ * @param {Object} message - Message from listMailbox
+ * @returns {string} HTML
+ */
+const renderMessage = (message) => `<p><a href="?">&larr; All mail</a></p>
+<h1>${escapeHtml(message.subject)}</h1>
+<p><strong>From:</strong> ${escapeHtml(message.from)}<br>
+<strong>To:</strong> ${escapeHtml(message.to)}<br>
+<strong>Caught:</strong> ${escapeHtml(message.capturedAt)}<br>
+<a href="?id=${encodeURIComponent(message.id)}&amp;format=eml">Download .eml</a></p>
+${message.html ? `<iframe sandbox srcdoc="${escapeHtml(message.html)}" style="width: 100%; height: 600px; border: 1px solid #ddd;"></iframe>` : ''}
+<h2>Plain text</h2>
+<pre style="white-space: pre-wrap; background: #f8f9fa; padding: 16px;">${escapeHtml(message.text)}</pre>`;
+
+export const handler = async (event) => {
+  if (!isAvailable()) {
+    return htmlResponse(404, 'Not found', '<p>Not found</p>');
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return htmlResponse(405, 'Method not allowed', '<p>Method not allowed</p>');
+  }
+
+  const { id, format } = event.queryStringParameters || {};
+  try {
+    if (!id) {
+      return htmlResponse(200, 'Mailbox', renderList(await listMailbox()));
+    }
+
+    if (format === 'eml') {
+      const eml = await readMailboxEml(id);
+      if (eml === null) {
+        return htmlResponse(404, 'Not found', '<p>No message with that id</p>');
+      }
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'message/rfc822', 'Content-Disposition': `attachment; filename="${id}.eml"` },
+        body: eml,
+      };
+    }
+
+    const message = (await listMailbox()).find(caught => caught.id === id);
+    if (!message) {
+      return htmlResponse(404, 'Not found', '<p>No message with that id</p>');
+    }
+    return htmlResponse(200, message.subject, renderMessage(message));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[dev-mailbox] unexpected error:', error && (error.stack || error.message || error));
+    return htmlResponse(500, 'Error', '<p>Could not read the mailbox</p>');
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Netlify Serverless Function for Delivery and Pickup Availability
+ *
+ * Tells the Order page which dates and time slots the customer can choose,
+ * given what is in their cart (for bake lead times), the fulfillment method
+ * and how many orders each slot already holds. create-order checks the same
+ * rules again, so a slot that fills up in the meantime is still refused.
+ */
+
+import { jsonResponse, parseJsonBody, preflightResponse } from '../lib/http.js';
+import { countSlotBookings, getOrdersStore } from '../lib/orders.js';
+import { applySyncedCatalog } from '../lib/squareCatalog.js';
+import { connectStore } from '../lib/store.js';
+import { FULFILLMENT_METHODS, isFulfillmentMethod } from '../../src/shared/fulfillment.js';
+import { getAvailableDates } from '../../src/shared/schedule.js';
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' });
+  }
+
+  const method = body.method || FULFILLMENT_METHODS.DELIVERY;
+  if (!isFulfillmentMethod(method)) {
+    return jsonResponse(event, 400, { error: 'Please choose delivery or pickup', status: 'FAILED' });
+  }
+  const lines = Array.isArray(body.items) ? body.items : [];
+
+  try {
+    await connectStore(event);
+    // Lead times come from the menu synced from Square, if there is one
+    await applySyncedCatalog();
+    const bookedCounts = countSlotBookings(await getOrdersStore().list());
+    const dates = getAvailableDates({ method, lines }, { bookedCounts });
+    return jsonResponse(event, 200, { status: 'OK', dates });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[get-availability] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' });
+  }
+};
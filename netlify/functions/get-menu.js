@@ -0,0 +1,37 @@
+/**
+ * Netlify Serverless Function for the Menu
+ *
+ * Returns the menu synced from Square (see netlify/lib/squareCatalog.js) for
+ * the Menu, Home and Order pages, so they show and price the same items as
+ * the functions. Until sync-catalog has run, catalog is null and the pages
+ * keep the menu bundled with the site.
+ */
+
+import { jsonResponse, preflightResponse } from '../lib/http.js';
+import { getSyncedCatalog } from '../lib/squareCatalog.js';
+import { connectStore } from '../lib/store.js';
+
+const METHODS = 'GET, OPTIONS';
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event, METHODS);
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' }, METHODS);
+  }
+
+  try {
+    await connectStore(event);
+    const catalog = await getSyncedCatalog();
+    return jsonResponse(event, 200, {
+      status: 'OK',
+      catalog: catalog ? { syncedAt: catalog.syncedAt, categories: catalog.categories, items: catalog.items } : null
+    }, METHODS);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[get-menu] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' }, METHODS);
+  }
+};
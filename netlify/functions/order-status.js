@@ -0,0 +1,49 @@
+/**
+ * Netlify Serverless Function for Customer Order Tracking
+ *
+ * Looks up an order by id for the /orders/:id tracking page. The customer
+ * must also supply the email address used at checkout; a wrong id or email
+ * gets the same "not found" answer so order ids cannot be probed.
+ */
+
+import { jsonResponse, parseJsonBody, preflightResponse } from '../lib/http.js';
+import { getOrdersStore, toPublicOrder } from '../lib/orders.js';
+import { connectStore } from '../lib/store.js';
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' });
+  }
+
+  const orderId = typeof body.orderId === 'string' ? body.orderId.trim().toUpperCase() : '';
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!orderId || !email) {
+    return jsonResponse(event, 400, { error: 'Please enter your order ID and email address', status: 'FAILED' });
+  }
+
+  try {
+    await connectStore(event);
+    const order = await getOrdersStore().get(orderId);
+    if (!order || order.customer.email !== email) {
+      return jsonResponse(event, 404, {
+        error: "We couldn't find an order with that ID and email address",
+        status: 'FAILED'
+      });
+    }
+
+    return jsonResponse(event, 200, { status: 'OK', order: toPublicOrder(order) });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[order-status] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' });
+  }
+};
@@ -3,6 +3,47 @@
  * 
  * This function handles secure payment processing for Little Loaf Cottage.
  * It receives payment tokens from the frontend and processes them with Square.
+ * Every payment is for an order stored by create-order: the browser sends the
+ * `orderId` and the amount is computed here from that order's items and
+ * delivery ZIP code using the shared menu catalog, delivery zones and tax
+ * rates (src/shared/catalog.js, src/shared/deliveryZones.js,
+ * src/shared/taxes.js). Before charging, the order is created in Square as
+ * well (line items, taxes, discounts, delivery fee and fulfillment; see
+ * netlify/lib/squareOrders.js) and the payment references its order_id. If
+ * Square can't create it, or its total differs from ours, nothing is charged.
+ * The payment also carries an itemized note and is then attached to the order
+ * record. The Square Order of a declined attempt is cancelled.
+ *
+ * A gift card stored on the order pays first (its balance is taken off before
+ * the card is charged, and given back if the charge fails); only the rest is
+ * charged through Square, and an order the gift card covers in full needs no
+ * `sourceId` at all. When it pays part of the order, the gift card share is a
+ * second tender on the Square Order and both are completed together.
+ * Gift cards bought in the order are issued once it is paid.
+ * If staff cancel the order while it is being paid, the charge is refunded
+ * and the gift card share given back instead.
+ *
+ * The customer's receipt and the bakery's new order alert are queued in the
+ * order's email outbox in the same update that records the payment, then
+ * sent before responding; whatever fails is retried by send-outbox (see
+ * netlify/lib/outbox.js).
+ *
+ * Payment attempts are kept on the order (`paymentAttempts`) and the
+ * idempotency key is "<orderId>-<attempt>". A request first claims the open
+ * attempt, or starts the next one, with an atomic update, so two requests for
+ * the same order can't both charge it; a second one while the first is still
+ * running gets a 409 with status "PENDING". The attempt stores the card token
+ * it was started with and only ends on a definite answer (paid, or e.g. a
+ * declined card). After a timeout or a Square outage it stays open, and the
+ * retry, even from a reloaded page, charges the same token under the same key,
+ * so Square returns the original payment instead of charging again. If Square
+ * answers IDEMPOTENCY_KEY_REUSED anyway (e.g. the total changed in between),
+ * the original payment is looked up by the order's reference id. Once the
+ * order is paid, repeats get the stored result back without calling Square.
+ *
+ * Card payments also send the `verificationToken` from Square's buyer
+ * verification (Strong Customer Authentication), which is passed on to Square
+ * with the payment so issuers can see the buyer was verified.
  * 
  * Environment Variables Required:
  * - This function uses Square; the access token is stored in an environment variable
@@ -11,6 +52,20 @@
  */
 
 import crypto from 'crypto';
+import { calculateOrderTotals, formatCents, formatLineName, PricingError } from '../../src/shared/pricing.js';
+import { formatTaxRate } from '../../src/shared/taxes.js';
+import { connectStore } from '../lib/store.js';
+import { countSlotBookings, getOrdersStore, toPublicOrder, withStatus } from '../lib/orders.js';
+import { createOrderNotifications, deliverOrderNotifications, queueOrderNotifications } from '../lib/outbox.js';
+import { getBookingError } from '../../src/shared/schedule.js';
+import { findPromotion, getPromotionUsageError } from '../lib/promotions.js';
+import { GiftCardError, findGiftCard, issueGiftCard, redeemGiftCard, restoreGiftCard } from '../lib/giftCards.js';
+import { getSquareConfig, getSquareErrorMessage, squareRequest } from '../lib/square.js';
+import { applySyncedCatalog } from '../lib/squareCatalog.js';
+import { cancelSquareOrder, cancelSquarePayment, createGiftCardPayment, createSquareOrder, payForSquareOrder } from '../lib/squareOrders.js';
+import { getCatalogItem } from '../../src/shared/catalog.js';
+import { splitGiftCardPayment } from '../../src/shared/giftCards.js';
+import { ORDER_STATUS } from '../../src/shared/orderStatus.js';
 
 // Use the platform global fetch when available (Netlify / Node 18+ provides it).
 // Avoid importing `node-fetch` at module top-level because its ESM/CJS
@@ -31,6 +86,317 @@ const getFetch = async () => {
   }
 };
 
+// Square's limit on a payment note
+const MAX_NOTE_LENGTH = 500;
+
+// How long a request may hold a payment attempt before another may take it
+// over (a function that timed out or crashed never lets go of it)
+const PAYMENT_CLAIM_SECONDS = 60;
+
+// Pages of Square payments searched for the one taken under a reused key
+const MAX_PAYMENT_LOOKUP_PAGES = 5;
+
+/**
+ * Payment attempt statuses
+ */
+const ATTEMPT_STATUS = {
+  PENDING: 'PENDING',
+  FAILED: 'FAILED',
+  COMPLETED: 'COMPLETED',
+};
+
+/**
+ * Builds the payment note shown in the Square dashboard: the items, each tax
+ * class, delivery and total, so staff can see what was charged for
+ * @param {string} orderId - Order id
+ * @param {Object} totals - Result of calculateOrderTotals
+ * @param {number} giftCardCents - Part of the total paid by gift card
+ * @returns {string} Itemized note, cut to Square's limit
+ */
+const buildPaymentNote = (orderId, totals, giftCardCents = 0) => {
+  const parts = [
+    ...totals.lines.map(line => `${line.quantity} x ${formatLineName(line)} ${formatCents(line.totalCents)}`),
+    `Subtotal ${formatCents(totals.subtotalCents)}`,
+    ...(totals.promotion ? [`Discount ${totals.promotion.code} -${formatCents(totals.discountCents)}`] : []),
+    ...totals.taxes.map(tax => `${tax.label} ${formatTaxRate(tax.rate)} ${formatCents(tax.taxCents)}`),
+    ...(totals.deliveryFeeCents > 0 ? [`Delivery ${formatCents(totals.deliveryFeeCents)}`] : []),
+    `Total ${formatCents(totals.totalCents)}`,
+    ...(giftCardCents > 0 ? [`Gift card -${formatCents(giftCardCents)}`] : []),
+  ];
+  const note = `Little Loaf Cottage ${orderId}: ${parts.join('; ')}`;
+  return note.length > MAX_NOTE_LENGTH ? `${note.slice(0, MAX_NOTE_LENGTH - 3)}...` : note;
+};
+
+/**
+ * Applies changes to one of an order's payment attempts
+ * Ending an attempt drops the card token it was holding and its claim.
+ * @param {Object} order - Order record
+ * @param {string} key - Attempt's idempotency key
+ * @param {Object} changes - Fields to set
+ * @returns {Array} Updated payment attempts
+ */
+const withAttempt = (order, key, changes) => (order.paymentAttempts || []).map((attempt) => {
+  if (attempt.key !== key) return attempt;
+  const ended = changes.status && changes.status !== ATTEMPT_STATUS.PENDING;
+  return {
+    ...attempt,
+    ...(ended ? { sourceId: null, verificationToken: null, claimId: null, claimedAt: null, at: new Date().toISOString() } : {}),
+    ...changes
+  };
+});
+
+/**
+ * Claims the order's open payment attempt, or starts the next one
+ * An open attempt keeps its key and the card token it was started with, so
+ * a retry charges exactly what the first try did.
+ * @param {string} orderId - Order id
+ * @param {Object} source - { sourceId, verificationToken } sent with this request
+ * @returns {Promise<Object>} { outcome, attempt } where outcome is "claimed",
+ *   "busy" (another request holds the attempt) or "closed" (no longer awaiting payment)
+ */
+const claimPaymentAttempt = async (orderId, { sourceId, verificationToken }) => {
+  const now = new Date();
+  const claim = { claimId: crypto.randomUUID(), claimedAt: now.toISOString() };
+  let outcome = 'closed';
+  let attempt = null;
+  await getOrdersStore().update(orderId, (current) => {
+    outcome = 'closed';
+    attempt = null;
+    if (current.status !== ORDER_STATUS.PENDING_PAYMENT) return current;
+    const attempts = current.paymentAttempts || [];
+    const open = attempts.find(existing => existing.status === ATTEMPT_STATUS.PENDING);
+    if (open && open.claimedAt && now - new Date(open.claimedAt) < PAYMENT_CLAIM_SECONDS * 1000) {
+      outcome = 'busy';
+      return current;
+    }
+    outcome = 'claimed';
+    if (open) {
+      attempt = open.sourceId ? { ...open, ...claim } : { ...open, ...claim, sourceId: sourceId || null, verificationToken: verificationToken || null };
+      return { ...current, paymentAttempts: attempts.map(existing => (existing.key === open.key ? attempt : existing)) };
+    }
+    attempt = {
+      key: `${current.id}-${attempts.length + 1}`,
+      status: ATTEMPT_STATUS.PENDING,
+      sourceId: sourceId || null,
+      verificationToken: verificationToken || null,
+      ...claim,
+      startedAt: now.toISOString()
+    };
+    return { ...current, paymentAttempts: [...attempts, attempt] };
+  });
+  return { outcome, attempt };
+};
+
+/**
+ * Lets go of a claimed attempt without ending it, when we can't tell whether
+ * the card was charged; the retry takes it over and reuses its key and token
+ * @param {Object} order - Order record
+ * @param {Object} attempt - Attempt from claimPaymentAttempt
+ */
+const releasePaymentAttempt = async (order, attempt) => {
+  try {
+    await getOrdersStore().update(order.id, (current) => {
+      const stored = (current.paymentAttempts || []).find(existing => existing.key === attempt.key);
+      if (!stored || stored.claimId !== attempt.claimId) return current;
+      return { ...current, paymentAttempts: withAttempt(current, attempt.key, { claimId: null, claimedAt: null }) };
+    });
+  } catch (storeError) {
+    // The claim runs out after PAYMENT_CLAIM_SECONDS anyway
+    // eslint-disable-next-line no-console
+    console.error('[process-payment] failed to release payment attempt', { orderId: order.id, key: attempt.key, error: storeError && storeError.message });
+  }
+};
+
+/**
+ * Ends a payment attempt Square turned down; the next try starts a new one
+ * @param {Object} order - Order record
+ * @param {Object} attempt - Attempt from claimPaymentAttempt
+ * @param {Object} failure - { statusCode, error }
+ */
+const failPaymentAttempt = async (order, attempt, { statusCode, error }) => {
+  try {
+    await getOrdersStore().update(order.id, (current) => ({
+      ...current,
+      paymentAttempts: withAttempt(current, attempt.key, { status: ATTEMPT_STATUS.FAILED, statusCode, error })
+    }));
+  } catch (storeError) {
+    // eslint-disable-next-line no-console
+    console.error('[process-payment] failed to record payment attempt', { orderId: order.id, error: storeError && storeError.message });
+  }
+};
+
+/**
+ * Finds the payment Square took for an attempt
+ * Used when Square answers IDEMPOTENCY_KEY_REUSED rather than returning the
+ * original payment: the location's payments since the attempt started are
+ * searched by the order's reference id and the attempt's Square Order,
+ * preferring one that went through. The gift card tender is left out.
+ * @param {Object} order - Order record
+ * @param {Object} attempt - Attempt from claimPaymentAttempt
+ * @param {Object} squareOrder - Square Order created for the attempt
+ * @returns {Promise<Object|null>} Square payment, or null if none was found
+ * @throws {Error} If Square won't list payments
+ */
+const findAttemptPayment = async (order, attempt, squareOrder) => {
+  const matches = [];
+  const beginTime = new Date(new Date(attempt.startedAt || attempt.claimedAt).getTime() - PAYMENT_CLAIM_SECONDS * 1000);
+  let cursor;
+  for (let page = 0; page < MAX_PAYMENT_LOOKUP_PAGES; page++) {
+    const params = new URLSearchParams({ begin_time: beginTime.toISOString(), location_id: getSquareConfig().locationId, ...(cursor ? { cursor } : {}) });
+    const { ok, status, data } = await squareRequest(`/v2/payments?${params}`);
+    if (!ok) {
+      throw new Error(getSquareErrorMessage(data, `Square could not list payments (${status})`));
+    }
+    matches.push(...(data.payments || []).filter(payment => (
+      payment.reference_id === order.id && payment.order_id === squareOrder.id && payment.source_type !== 'EXTERNAL'
+    )));
+    cursor = data.cursor;
+    if (!cursor) break;
+  }
+  return matches.find(payment => payment.status === 'COMPLETED' || payment.status === 'APPROVED') || matches[0] || null;
+};
+
+/**
+ * Gives the money back for an order staff cancelled while it was being paid
+ * The card payment is refunded in full and the gift card share restored, and
+ * both are recorded on the cancelled order so staff can see what happened
+ * @param {Object} order - Order record
+ * @param {Object} paid - { payment, giftCard, attempt } as passed to markOrderPaid
+ * @throws {Error} If Square won't refund the payment
+ */
+const voidPayment = async (order, { payment, giftCard, attempt }) => {
+  const now = new Date().toISOString();
+  const refunds = [];
+  if (payment) {
+    const { ok, status, data } = await squareRequest('/v2/refunds', {
+      body: {
+        idempotency_key: `${order.id}-void`,
+        payment_id: payment.id,
+        amount_money: { amount: payment.amountCents, currency: 'USD' },
+        reason: 'Order was cancelled before payment completed'
+      }
+    });
+    if (!ok) {
+      // eslint-disable-next-line no-console
+      console.error('[process-payment] could not refund payment for cancelled order', { orderId: order.id, paymentId: payment.id, status, errors: data.errors });
+      throw new Error(getSquareErrorMessage(data, 'Square could not refund the payment'));
+    }
+    refunds.push({ id: data.refund.id, status: data.refund.status, amountCents: payment.amountCents, giftCardCents: 0, reason: 'Order was cancelled', createdAt: now });
+  }
+  if (giftCard) {
+    await restoreGiftCard(giftCard.code, giftCard.amountCents, order.id, 'Order was cancelled');
+    refunds.push({ id: null, status: 'COMPLETED', amountCents: 0, giftCardCents: giftCard.amountCents, reason: 'Order was cancelled', createdAt: now });
+  }
+  await getOrdersStore().update(order.id, (current) => ({
+    ...current,
+    payment,
+    giftCard: giftCard && { code: giftCard.code, amountCents: giftCard.amountCents },
+    refunds: [...(current.refunds || []), ...refunds],
+    paymentAttempts: withAttempt(current, attempt.key, { status: ATTEMPT_STATUS.FAILED, statusCode: 409, error: 'Order was cancelled' }),
+    updatedAt: now
+  }));
+};
+
+/**
+ * Issues the gift cards bought with an order
+ * @param {Object} order - Order record
+ * @returns {Promise<Array>} { code, amountCents } of each card issued
+ */
+const issueOrderGiftCards = async (order) => {
+  const giftCardsIssued = [];
+  for (const line of order.items) {
+    const item = getCatalogItem(line.id);
+    if (!item || !item.giftCard) continue;
+    for (let i = 0; i < line.quantity; i++) {
+      try {
+        const card = await issueGiftCard({ amountCents: line.unitPriceCents, orderId: order.id, purchaserEmail: order.customer.email });
+        giftCardsIssued.push({ code: card.code, amountCents: card.initialBalanceCents });
+      } catch (issueError) {
+        // eslint-disable-next-line no-console
+        console.error('[process-payment] failed to issue gift card', { orderId: order.id, error: issueError && issueError.message });
+      }
+    }
+  }
+  return giftCardsIssued;
+};
+
+/**
+ * Marks an order paid, issues any gift cards bought with it and sends the
+ * order emails queued with the payment
+ * The order is only marked paid while it is still awaiting payment: staff may
+ * have cancelled it while the card was being charged, and then the charge is
+ * given back instead. If another request already finished the same attempt
+ * (Square returned it the same payment), only the gift card share this one
+ * took is given back. Otherwise the money has already been taken, so storage
+ * and email failures are logged rather than reported as a failed payment.
+ * @param {Object} order - Order record
+ * @param {Object} paid - How it was paid
+ * @param {Object|null} paid.payment - Payment details to store, or null if no card was charged
+ * @param {Object|null} paid.giftCard - { code, amountCents } taken off a gift card, or null
+ * @param {Object} paid.attempt - Attempt that paid, from claimPaymentAttempt
+ * @returns {Promise<Object|null>} Updated order record (the original if it couldn't be saved),
+ *   or null if the order was no longer awaiting payment and the charge was given back
+ */
+const markOrderPaid = async (order, { payment, giftCard, attempt }) => {
+  let payable = true;
+  let alreadyPaid = false;
+  let paidOrder;
+  try {
+    // Indexed first so send-outbox finds the emails even if we stop right after
+    await queueOrderNotifications(order.id);
+  } catch (storeError) {
+    // eslint-disable-next-line no-console
+    console.error('[process-payment] failed to queue order emails', { orderId: order.id, error: storeError && storeError.message });
+  }
+  try {
+    paidOrder = await getOrdersStore().update(order.id, (current) => {
+      alreadyPaid = (current.paymentAttempts || []).some(existing => existing.key === attempt.key && existing.status === ATTEMPT_STATUS.COMPLETED);
+      payable = !alreadyPaid && current.status === ORDER_STATUS.PENDING_PAYMENT;
+      if (!payable) return current;
+      return withStatus(current, ORDER_STATUS.RECEIVED, {
+        payment,
+        giftCard: giftCard && { code: giftCard.code, amountCents: giftCard.amountCents },
+        paymentAttempts: withAttempt(current, attempt.key, { status: ATTEMPT_STATUS.COMPLETED }),
+        outbox: [...(current.outbox || []), ...createOrderNotifications()]
+      });
+    });
+  } catch (storeError) {
+    // eslint-disable-next-line no-console
+    console.error('[process-payment] failed to attach payment to order', { orderId: order.id, paymentId: payment && payment.id, error: storeError && storeError.message });
+  }
+  if (alreadyPaid) {
+    if (giftCard) {
+      await restoreGiftCard(giftCard.code, giftCard.amountCents, order.id, 'Payment was already recorded');
+    }
+    return paidOrder;
+  }
+  if (!payable) {
+    await voidPayment(order, { payment, giftCard, attempt });
+    return null;
+  }
+  if (!paidOrder) return order;
+
+  // Issued only once the order is marked paid, so a cancelled order never gets any
+  const giftCardsIssued = await issueOrderGiftCards(paidOrder);
+  if (giftCardsIssued.length) {
+    try {
+      paidOrder = await getOrdersStore().update(paidOrder.id, (current) => ({ ...current, giftCardsIssued })) || paidOrder;
+    } catch (storeError) {
+      // eslint-disable-next-line no-console
+      console.error('[process-payment] failed to record issued gift cards', { orderId: paidOrder.id, codes: giftCardsIssued.map(card => card.code), error: storeError && storeError.message });
+    }
+  }
+
+  try {
+    return await deliverOrderNotifications(paidOrder.id) || paidOrder;
+  } catch (mailError) {
+    // The outbox keeps the emails; send-outbox tries again
+    // eslint-disable-next-line no-console
+    console.error('[process-payment] failed to send order emails', { orderId: paidOrder.id, error: mailError && mailError.message });
+    return paidOrder;
+  }
+};
+
 export const handler = async (event, context) => {
   // Handle CORS preflight requests
   const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || process.env.VITE_ALLOWED_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
@@ -68,6 +434,12 @@ export const handler = async (event, context) => {
     };
   }
 
+  // Gift card balance taken for this request, given back if the charge fails
+  let giftCardHold = null;
+  // Payment attempt this request holds, let go of if it fails unexpectedly
+  let claimedAttempt = null;
+  let claimedOrder = null;
+
   try {
     // Parse request body (defensive)
     let body;
@@ -85,7 +457,7 @@ export const handler = async (event, context) => {
       };
     }
 
-    const { sourceId, amount, amountCents, currency = 'USD', idempotencyKey } = body || {};
+    const { sourceId, verificationToken, orderId, amountCents, currency = 'USD' } = body || {};
 
     const debug = process.env.DEBUG_PROCESS_PAYMENT === 'true';
 
@@ -94,50 +466,177 @@ export const handler = async (event, context) => {
       // eslint-disable-next-line no-console
       console.log('[process-payment] incoming request summary:', {
         hasSourceId: !!sourceId,
-        amountRaw: amount,
+        hasVerificationToken: !!verificationToken,
+        orderId,
         amountCentsRaw: amountCents,
         origin: event.headers && (event.headers.origin || event.headers.Origin)
       });
     }
 
-    // Validate required fields
+    // Validate required fields (sourceId is checked once we know whether
+    // a gift card covers the whole order)
     const origin = event.headers && (event.headers.origin || event.headers.Origin);
-    if (!sourceId) {
+    if (!orderId) {
       return {
         statusCode: 400,
         headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Missing orderId', status: 'FAILED' }),
+      };
+    }
+
+    // Load the stored order. Its items and delivery address, not whatever the
+    // browser sends now, are what gets charged.
+    await connectStore(event);
+    await applySyncedCatalog();
+    const order = await getOrdersStore().get(String(orderId));
+    if (!order) {
+      return {
+        statusCode: 404,
+        headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Order not found', status: 'FAILED' }),
+      };
+    }
+
+    // Once the order is paid, a repeat (e.g. after the response was lost) gets
+    // the stored result back
+    const alreadyPaidResponse = (paidOrder) => ({
+      statusCode: 200,
+      headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        status: 'COMPLETED',
+        payment: paidOrder.payment || null,
+        orderId: paidOrder.id,
+        order: toPublicOrder(paidOrder),
+        message: 'Payment already processed',
+        replayed: true
+      }),
+    });
+    const isPaid = (current) => current.status !== ORDER_STATUS.PENDING_PAYMENT
+      && current.status !== ORDER_STATUS.CANCELLED
+      && (current.paymentAttempts || []).some(attempt => attempt.status === ATTEMPT_STATUS.COMPLETED);
+    if (isPaid(order)) {
+      return alreadyPaidResponse(order);
+    }
+
+    // Staff cancelled the order while it was being paid; markOrderPaid gave the money back
+    const cancelledResponse = () => ({
+      statusCode: 409,
+      headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        error: 'This order was cancelled while your payment was being processed, so you have not been charged. Please contact us if you have any questions.',
+        status: 'FAILED'
+      }),
+    });
+
+    if (order.status !== ORDER_STATUS.PENDING_PAYMENT) {
+      return {
+        statusCode: 409,
+        headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          error: 'Missing sourceId (payment token)',
+          error: order.status === ORDER_STATUS.CANCELLED ? 'This order has been cancelled' : 'This order has already been paid',
           status: 'FAILED'
         }),
       };
     }
 
-    // Basic validation for Square source token (non-empty string); modify as needed for stricter patterns
-    if (typeof sourceId !== 'string' || sourceId.trim().length === 0) {
+    // The slot was checked when the order was created, but an unpaid order
+    // only holds it for a while and lead times run out, so check again
+    const otherOrders = await getOrdersStore().list();
+    const bookingError = getBookingError(
+      { date: order.delivery.date, timeSlot: order.delivery.timeSlot, method: order.delivery.method, lines: order.items },
+      { bookedCounts: countSlotBookings(otherOrders, { excludeOrderId: order.id }) }
+    );
+    if (bookingError) {
       return {
-        statusCode: 400,
+        statusCode: 409,
         headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'Invalid sourceId', status: 'FAILED' }),
+        body: JSON.stringify({ error: `${bookingError}. Please go back and pick a new time.`, status: 'FAILED' }),
       };
     }
 
-    // Determine final amount in smallest currency unit (cents for USD)
-    let finalAmount;
-    if (typeof amountCents !== 'undefined' && amountCents !== null) {
-      finalAmount = Number(amountCents);
-    } else {
-      // amount may be sent as dollars (float) or cents (integer)
-      const rawAmount = typeof amount === 'string' ? parseFloat(amount) : amount;
-      if (rawAmount == null || Number.isNaN(rawAmount)) {
-        finalAmount = NaN;
-      } else if (Number.isInteger(rawAmount)) {
-        // Ambiguity: assume integer > 1000 is already cents; else treat as dollars
-        finalAmount = rawAmount > 1000 ? rawAmount : Math.round(rawAmount * 100);
-      } else {
-        // Float -> dollars, convert to cents
-        finalAmount = Math.round(rawAmount * 100);
+    // The discount comes from our own promotion table, looked up by the code
+    // stored on the order, and the code's usage limits are checked again now
+    // that it is about to be used up
+    const promotion = order.promotion ? findPromotion(order.promotion.code) : undefined;
+    const promotionError = order.promotion && (!promotion
+      ? `Promo code ${order.promotion.code} is no longer available`
+      : getPromotionUsageError(promotion, otherOrders, { email: order.customer.email, excludeOrderId: order.id }));
+    if (promotionError) {
+      return {
+        statusCode: 409,
+        headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: `${promotionError}. Please go back and review your order.`, status: 'FAILED' }),
+      };
+    }
+
+    // Price the order from the canonical catalog and delivery zones. Pricing
+    // again (rather than trusting the stored totals) re-checks that the items
+    // are still available, the ZIP code is still in our delivery area and the
+    // promo code still applies.
+    // The client-sent amount is only used to confirm the customer saw the same
+    // total we are about to charge.
+    const lines = order.items.map(({ id, options, quantity }) => ({ id, options, quantity }));
+    let totals;
+    try {
+      totals = calculateOrderTotals(lines, {
+        deliveryDate: order.delivery.date,
+        method: order.delivery.method,
+        zipCode: order.delivery.zipCode,
+        promotion
+      });
+    } catch (pricingError) {
+      if (pricingError instanceof PricingError) {
+        return {
+          statusCode: 400,
+          headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: pricingError.message, status: 'FAILED' }),
+        };
       }
+      throw pricingError;
+    }
+
+    // A gift card pays first; whatever it doesn't cover is charged by card
+    let giftCard = null;
+    if (order.giftCard) {
+      giftCard = await findGiftCard(order.giftCard.code);
+      if (!giftCard) {
+        return {
+          statusCode: 409,
+          headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "We couldn't find that gift card. Please go back and review your order.", status: 'FAILED' }),
+        };
+      }
+    }
+    const { giftCardCents, amountDueCents } = giftCard
+      ? splitGiftCardPayment(totals.totalCents, giftCard.balanceCents)
+      : { giftCardCents: 0, amountDueCents: totals.totalCents };
+
+    const finalAmount = amountDueCents;
+    const clientAmount = Number(amountCents);
+    if (!Number.isInteger(clientAmount) || clientAmount !== finalAmount) {
+      return {
+        statusCode: 409,
+        headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: giftCard
+            ? 'Order total or gift card balance has changed. Please review your order and try again.'
+            : 'Order total does not match current menu prices. Please review your order and try again.',
+          status: 'FAILED',
+          totals
+        }),
+      };
+    }
+
+    // Basic validation for Square source token (non-empty string); modify as needed for stricter patterns.
+    // An open attempt already holds the token it was started with.
+    const openAttempt = (order.paymentAttempts || []).find(attempt => attempt.status === ATTEMPT_STATUS.PENDING);
+    const hasSourceId = typeof sourceId === 'string' && sourceId.trim().length > 0;
+    if (finalAmount > 0 && !hasSourceId && !(openAttempt && openAttempt.sourceId)) {
+      return {
+        statusCode: 400,
+        headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Missing sourceId (payment token)', status: 'FAILED' }),
+      };
     }
 
     // Enforce allowed currency and amount bounds (env-configurable)
@@ -153,7 +652,9 @@ export const handler = async (event, context) => {
     const MIN_AMOUNT_CENTS = Number(process.env.MIN_AMOUNT_CENTS || process.env.VITE_MIN_AMOUNT_CENTS || 50); // default 50 cents
     const MAX_AMOUNT_CENTS = Number(process.env.MAX_AMOUNT_CENTS || process.env.VITE_MAX_AMOUNT_CENTS || 1000000); // default $10,000
 
-    if (!Number.isFinite(finalAmount) || finalAmount < MIN_AMOUNT_CENTS || finalAmount > MAX_AMOUNT_CENTS) {
+    // Nothing to charge is fine when a gift card pays for everything
+    const coveredByGiftCard = finalAmount === 0 && giftCardCents > 0;
+    if (!Number.isFinite(finalAmount) || (finalAmount < MIN_AMOUNT_CENTS && !coveredByGiftCard) || finalAmount > MAX_AMOUNT_CENTS) {
       return {
         statusCode: 400,
         headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
@@ -165,14 +666,83 @@ export const handler = async (event, context) => {
       };
     }
 
+    // Claim the payment attempt, so only this request charges the order now
+    const claim = await claimPaymentAttempt(order.id, { sourceId: hasSourceId ? sourceId : null, verificationToken });
+    if (claim.outcome === 'busy') {
+      return {
+        statusCode: 409,
+        headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Your payment is already being processed. Please wait a moment before trying again.',
+          status: 'PENDING'
+        }),
+      };
+    }
+    if (claim.outcome === 'closed') {
+      const current = await getOrdersStore().get(order.id);
+      if (current && isPaid(current)) {
+        return alreadyPaidResponse(current);
+      }
+      return cancelledResponse();
+    }
+    const attempt = claim.attempt;
+    claimedAttempt = attempt;
+    claimedOrder = order;
+
+    // Take the gift card's share before charging, so two orders can't both
+    // spend the same balance
+    if (giftCardCents > 0) {
+      try {
+        await redeemGiftCard(giftCard.code, giftCardCents, order.id);
+        giftCardHold = { code: giftCard.code, amountCents: giftCardCents, orderId: order.id };
+      } catch (giftCardError) {
+        if (giftCardError instanceof GiftCardError) {
+          claimedAttempt = null;
+          await releasePaymentAttempt(order, attempt);
+          return {
+            statusCode: 409,
+            headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: giftCardError.message, status: 'FAILED' }),
+          };
+        }
+        throw giftCardError;
+      }
+    }
+
+    if (coveredByGiftCard) {
+      const spentGiftCard = giftCardHold;
+      giftCardHold = null;
+      const paidOrder = await markOrderPaid(order, { payment: null, giftCard: spentGiftCard, attempt });
+      claimedAttempt = null;
+      if (!paidOrder) {
+        return cancelledResponse();
+      }
+      return {
+        statusCode: 200,
+        headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          status: 'COMPLETED',
+          payment: null,
+          orderId: order.id,
+          order: toPublicOrder(paidOrder),
+          message: 'Order paid with gift card'
+        }),
+      };
+    }
+
     // Get environment variables
   // Server-side environment variables. Try both canonical and VITE_ variants as a fallback
   const accessToken = process.env.SQUARE_ACCESS_TOKEN || process.env.VITE_SQUARE_ACCESS_TOKEN;
   const locationId = process.env.SQUARE_LOCATION_ID || process.env.VITE_SQUARE_LOCATION_ID;
-  const environment = process.env.SQUARE_ENVIRONMENT || process.env.VITE_SQUARE_ENVIRONMENT || 'sandbox';
   const applicationId = process.env.SQUARE_APPLICATION_ID || process.env.VITE_SQUARE_APPLICATION_ID;
 
     if (!accessToken || !locationId) {
+      claimedAttempt = null;
+      await releasePaymentAttempt(order, attempt);
+      if (giftCardHold) {
+        await restoreGiftCard(giftCardHold.code, giftCardHold.amountCents, order.id, 'Payment did not complete');
+        giftCardHold = null;
+      }
       return {
         statusCode: 500,
         headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
@@ -183,33 +753,83 @@ export const handler = async (event, context) => {
       };
     }
 
-    // Determine Square API endpoint based on environment
-    const squareApiUrl = environment === 'production' 
-      ? 'https://connect.squareup.com/v2/payments'
-      : 'https://connect.squareupsandbox.com/v2/payments';
+    // Square API endpoint for the environment (or SQUARE_API_BASE_URL)
+    const squareApiUrl = `${getSquareConfig().baseUrl}/v2/payments`;
 
-    // Generate idempotency key if not provided; provide a small fallback if randomUUID isn't available
-    const uuidv4 = () => {
-      // RFC4122 version 4 compliant UUID generator
-      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-        const r = (crypto.randomBytes ? crypto.randomBytes(1)[0] : Math.floor(Math.random() * 256)) % 16;
-        const v = c === 'x' ? r : (r & 0x3) | 0x8;
-        return v.toString(16);
-      });
+
+    // Nothing has been charged yet: give back the gift card share and say so
+    const notChargedResponse = async (error) => {
+      if (giftCardHold) {
+        await restoreGiftCard(giftCardHold.code, giftCardHold.amountCents, order.id, 'Payment did not complete');
+        giftCardHold = null;
+      }
+      return {
+        statusCode: 502,
+        headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error, status: 'FAILED' }),
+      };
     };
-    const finalIdempotencyKey = idempotencyKey || (crypto.randomUUID ? crypto.randomUUID() : uuidv4());
+    const setupFailedMessage = "We couldn't set up your payment, so you have not been charged. Please try again, or contact us if it keeps happening.";
 
+    // Record what was sold as a Square Order and charge against it; no payment
+    // is taken without one. Retries of the attempt get the same Square Order.
+    let squareOrder = null;
+    try {
+      const created = await createSquareOrder(order, totals, { idempotencyKey: attempt.key, currency });
+      if (created.matchesTotal) {
+        squareOrder = created.squareOrder;
+      } else {
+        // eslint-disable-next-line no-console
+        console.error('[process-payment] Square order total differs from ours', {
+          orderId: order.id,
+          squareTotal: created.squareOrder.total_money,
+          totalCents: totals.totalCents
+        });
+        // The cancelled Square Order would come back for this key, so end the attempt
+        await cancelSquareOrder(created.squareOrder).catch(() => false);
+        claimedAttempt = null;
+        await failPaymentAttempt(order, attempt, { statusCode: 502, error: 'Square order total differs from ours' });
+        return notChargedResponse(setupFailedMessage);
+      }
+    } catch (squareOrderError) {
+      // eslint-disable-next-line no-console
+      console.error('[process-payment] could not create Square order', { orderId: order.id, error: squareOrderError.message });
+      claimedAttempt = null;
+      await releasePaymentAttempt(order, attempt);
+      return notChargedResponse(setupFailedMessage);
+    }
+
+    // A gift card paying part of the order is a second tender on the Square
+    // Order; both payments are completed together once the card goes through
+    let giftCardPayment = null;
+    if (giftCardCents > 0) {
+      try {
+        giftCardPayment = await createGiftCardPayment(squareOrder, { amountCents: giftCardCents, idempotencyKey: attempt.key, currency });
+      } catch (tenderError) {
+        // eslint-disable-next-line no-console
+        console.error('[process-payment] could not record gift card tender', { orderId: order.id, error: tenderError.message });
+        claimedAttempt = null;
+        await releasePaymentAttempt(order, attempt);
+        return notChargedResponse(setupFailedMessage);
+      }
+    }
 
     // Prepare Square payment request
+    // The attempt's own token, so a retry sends Square the same request again
     const paymentRequest = {
-      source_id: sourceId,
-      idempotency_key: finalIdempotencyKey,
+      source_id: attempt.sourceId,
+      idempotency_key: attempt.key,
       amount_money: {
         amount: finalAmount,
         currency: currency
       },
       location_id: locationId,
-      note: 'Little Loaf Cottage - Online Order'
+      note: buildPaymentNote(order.id, totals, giftCardCents),
+      reference_id: order.id,
+      order_id: squareOrder.id,
+      ...(giftCardPayment ? { autocomplete: false } : {}),
+      // Wallet payments are verified by the wallet itself and don't send one
+      ...(typeof attempt.verificationToken === 'string' && attempt.verificationToken ? { verification_token: attempt.verificationToken } : {})
     };
 
     // Make request to Square API
@@ -227,8 +847,23 @@ export const handler = async (event, context) => {
 
     const data = await response.json();
 
+    // Square answers a key that comes back with a different request (e.g. the
+    // total changed between tries) with IDEMPOTENCY_KEY_REUSED rather than the
+    // original payment, so look that payment up
+    const keyReused = !response.ok && Boolean(data && Array.isArray(data.errors) && data.errors.some(err => err.code === 'IDEMPOTENCY_KEY_REUSED'));
+    let payment = response.ok ? (data && data.payment ? data.payment : data) : null;
+    if (keyReused) {
+      try {
+        payment = await findAttemptPayment(order, attempt, squareOrder);
+      } catch (lookupError) {
+        // eslint-disable-next-line no-console
+        console.error('[process-payment] could not look up payment for reused key', { orderId: order.id, key: attempt.key, error: lookupError && lookupError.message });
+      }
+    }
+    const paid = response.ok || Boolean(payment && (payment.status === 'COMPLETED' || payment.status === 'APPROVED'));
+
     // Handle Square API response
-    if (!response.ok) {
+    if (!paid) {
       // Log server-side for debugging
       // eslint-disable-next-line no-console
       const dataStr = (() => {
@@ -237,13 +872,34 @@ export const handler = async (event, context) => {
       console.error('[Square] API error', { status: response.status, body: dataStr });
 
       // Extract error details from Square response
-      const errorMessage = data && data.errors && data.errors.length > 0
+      const errorMessage = data && data.errors && data.errors.length > 0 && !keyReused
         ? data.errors.map((err) => err.detail || err.message || JSON.stringify(err)).join(', ')
         : 'Payment processing failed';
 
+      if (giftCardHold) {
+        await restoreGiftCard(giftCardHold.code, giftCardHold.amountCents, order.id, 'Card payment failed');
+        giftCardHold = null;
+      }
+      // A declined card ends the attempt. After a Square outage, or when the
+      // payment for a reused key can't be found, we can't tell whether the
+      // card was charged, so leave the attempt open and answer 502; the retry
+      // sends the same key and token and Square reports what really happened.
+      const squareUnavailable = response.status >= 500 || (keyReused && !payment);
+      claimedAttempt = null;
+      if (squareUnavailable) {
+        await releasePaymentAttempt(order, attempt);
+      } else {
+        await failPaymentAttempt(order, attempt, { statusCode: 400, error: errorMessage });
+        // This attempt's Square Order won't be paid; the next one gets its own
+        if (giftCardPayment) {
+          await cancelSquarePayment(giftCardPayment.id).catch(() => false);
+        }
+        await cancelSquareOrder(squareOrder).catch(() => false);
+      }
+
       const debug = process.env.DEBUG_PROCESS_PAYMENT === 'true';
       return {
-        statusCode: 400,
+        statusCode: squareUnavailable ? 502 : 400,
         headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
         body: JSON.stringify(debug ? {
           error: errorMessage,
@@ -258,13 +914,55 @@ export const handler = async (event, context) => {
       };
     }
 
+    // Complete both tenders of a split payment together. If Square won't, the
+    // card was only authorized, so cancel everything and end the attempt.
+    if (giftCardPayment) {
+      try {
+        await payForSquareOrder(squareOrder, [giftCardPayment.id, payment.id], { idempotencyKey: attempt.key });
+        payment = { ...payment, status: 'COMPLETED' };
+      } catch (payOrderError) {
+        // eslint-disable-next-line no-console
+        console.error('[process-payment] could not complete split payment', { orderId: order.id, paymentId: payment.id, error: payOrderError.message });
+        await cancelSquarePayment(payment.id).catch(() => false);
+        await cancelSquarePayment(giftCardPayment.id).catch(() => false);
+        await cancelSquareOrder(squareOrder).catch(() => false);
+        claimedAttempt = null;
+        await failPaymentAttempt(order, attempt, { statusCode: 502, error: payOrderError.message });
+        return notChargedResponse("We couldn't complete your payment, so your card has not been charged. Please try again.");
+      }
+    }
+
+    // The card has been charged, so the gift card share stays spent
+    const spentGiftCard = giftCardHold;
+    giftCardHold = null;
+
+    // Attach the Square payment to the stored order
+    const paidOrder = await markOrderPaid(order, {
+      payment: {
+        id: payment && payment.id,
+        status: payment && payment.status,
+        amountCents: payment && payment.amount_money ? payment.amount_money.amount : finalAmount,
+        receiptUrl: payment && payment.receipt_url,
+        squareOrderId: squareOrder.id,
+        paidAt: new Date().toISOString()
+      },
+      giftCard: spentGiftCard,
+      attempt
+    });
+    claimedAttempt = null;
+    if (!paidOrder) {
+      return cancelledResponse();
+    }
+
     // Payment successful
     return {
       statusCode: 200,
       headers: { ...getCorsHeaders(origin), 'Content-Type': 'application/json' },
       body: JSON.stringify({
         status: 'COMPLETED',
-        payment: data && data.payment ? data.payment : data,
+        payment,
+        orderId: order.id,
+        order: toPublicOrder(paidOrder),
         message: 'Payment processed successfully'
       }),
     };
@@ -274,6 +972,21 @@ export const handler = async (event, context) => {
     // eslint-disable-next-line no-console
     console.error('[process-payment] unexpected error:', error && (error.stack || error.message || error));
 
+    // We can't tell whether the card was charged, so leave the attempt open for the retry
+    if (claimedAttempt) {
+      await releasePaymentAttempt(claimedOrder, claimedAttempt);
+    }
+
+    // The card charge didn't go through (or never started), so give back the gift card share
+    if (giftCardHold) {
+      try {
+        await restoreGiftCard(giftCardHold.code, giftCardHold.amountCents, giftCardHold.orderId, 'Payment did not complete');
+      } catch (restoreError) {
+        // eslint-disable-next-line no-console
+        console.error('[process-payment] failed to restore gift card', { code: giftCardHold.code, error: restoreError && restoreError.message });
+      }
+    }
+
     const debug = process.env.DEBUG_PROCESS_PAYMENT === 'true';
     const responseBody = debug ? {
       error: error && (error.message || 'Internal server error'),
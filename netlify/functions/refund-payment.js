@@ -0,0 +1,183 @@
+/**
+ * Netlify Serverless Function for Refunding an Order (Admin)
+ *
+ * Refunds all or part of an order's Square payment, with a reason, so staff
+ * don't have to go into Square when we can't fulfill an order. Requires the
+ * staff access token (see netlify/lib/auth.js).
+ *
+ * Request body: { orderId, reason, amountCents }
+ * - amountCents is optional; leave it out to refund everything still refundable
+ *
+ * A partial refund leaves the order's status as it is. Refunding whatever is
+ * left moves the order to "refunded", gives back any gift card share of the
+ * payment and cancels the balance of gift cards bought with the order. A
+ * full refund is refused while one of those cards has been partly spent. The
+ * customer is emailed a refund notice either way.
+ *
+ * The idempotency key is tied to the order's refunds, so a double click or a
+ * retried request gets the same refund back from Square instead of a second
+ * one, and is only recorded once.
+ */
+
+import { isAdminRequest } from '../lib/auth.js';
+import { findGiftCard, restoreGiftCard, voidGiftCard } from '../lib/giftCards.js';
+import { jsonResponse, parseJsonBody, preflightResponse } from '../lib/http.js';
+import { isMailConfigured, sendMail } from '../lib/mailer.js';
+import { getOrdersStore, withStatus } from '../lib/orders.js';
+import { getSquareErrorMessage, isSquareConfigured, squareRequest } from '../lib/square.js';
+import { buildRefundEmail } from '../lib/statusEmails.js';
+import { connectStore } from '../lib/store.js';
+import { formatCents } from '../../src/shared/pricing.js';
+import { ORDER_STATUS } from '../../src/shared/orderStatus.js';
+import { getRefundableCents } from '../../src/shared/refunds.js';
+
+// Square's limit on a refund reason
+const MAX_REASON_LENGTH = 192;
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  if (!isAdminRequest(event)) {
+    return jsonResponse(event, 401, { error: 'Unauthorized', status: 'FAILED' });
+  }
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' });
+  }
+
+  const { orderId, amountCents } = body;
+  const reason = typeof body.reason === 'string' ? body.reason.trim().slice(0, MAX_REASON_LENGTH) : '';
+  if (!orderId || !reason) {
+    return jsonResponse(event, 400, { error: 'Missing required fields: orderId, reason', status: 'FAILED' });
+  }
+  if (amountCents !== undefined && (!Number.isInteger(amountCents) || amountCents <= 0)) {
+    return jsonResponse(event, 400, { error: 'Refund amount must be a whole number of cents above zero', status: 'FAILED' });
+  }
+
+  try {
+    await connectStore(event);
+    const store = getOrdersStore();
+    const order = await store.get(String(orderId));
+    if (!order) {
+      return jsonResponse(event, 404, { error: 'Order not found', status: 'FAILED' });
+    }
+    if (order.status === ORDER_STATUS.PENDING_PAYMENT || order.status === ORDER_STATUS.REFUNDED) {
+      return jsonResponse(event, 409, {
+        error: order.status === ORDER_STATUS.REFUNDED ? 'This order has already been refunded' : 'This order has not been paid',
+        status: 'FAILED'
+      });
+    }
+
+    const refundableCents = getRefundableCents(order);
+    if (amountCents !== undefined && amountCents > refundableCents) {
+      return jsonResponse(event, 400, {
+        error: `Only ${formatCents(refundableCents)} of this order can still be refunded`,
+        status: 'FAILED'
+      });
+    }
+
+    // Refunding whatever is left also gives back the gift card share
+    const cardCents = amountCents === undefined ? refundableCents : amountCents;
+    const isFullRefund = cardCents === refundableCents;
+    const giftCardCents = isFullRefund && order.giftCard ? order.giftCard.amountCents : 0;
+    if (cardCents === 0 && giftCardCents === 0) {
+      return jsonResponse(event, 409, { error: 'There is nothing left to refund on this order', status: 'FAILED' });
+    }
+
+    // A full refund cancels the gift cards bought with the order, which only
+    // makes sense while none of their balance has been spent
+    const giftCardsIssued = isFullRefund ? (order.giftCardsIssued || []) : [];
+    for (const issued of giftCardsIssued) {
+      const card = await findGiftCard(issued.code);
+      if (card && card.balanceCents < card.initialBalanceCents) {
+        return jsonResponse(event, 409, {
+          error: `Gift card ${card.code} bought with this order has already been used, so the whole order can't be refunded. Refund a smaller amount instead.`,
+          status: 'FAILED'
+        });
+      }
+    }
+
+    // Same refund, same key: Square returns the first refund for a repeat
+    const refundKey = `${order.id}-refund-${(order.refunds || []).length + 1}-${cardCents}`;
+
+    let squareRefund = null;
+    if (cardCents > 0) {
+      if (!isSquareConfigured()) {
+        return jsonResponse(event, 500, { error: 'Server configuration error', status: 'FAILED' });
+      }
+
+      const { ok, status, data } = await squareRequest('/v2/refunds', {
+        body: {
+          idempotency_key: refundKey,
+          payment_id: order.payment.id,
+          amount_money: { amount: cardCents, currency: 'USD' },
+          reason
+        }
+      });
+      if (!ok) {
+        // eslint-disable-next-line no-console
+        console.error('[refund-payment] Square refund failed', { orderId: order.id, status, errors: data.errors });
+        return jsonResponse(event, 502, { error: getSquareErrorMessage(data, 'Square could not issue the refund'), status: 'FAILED' });
+      }
+      squareRefund = data.refund;
+    }
+
+    const refund = {
+      id: squareRefund ? squareRefund.id : null,
+      key: refundKey,
+      // Square refunds start out PENDING; a gift card refund is immediate
+      status: squareRefund ? squareRefund.status : 'COMPLETED',
+      amountCents: cardCents,
+      giftCardCents,
+      reason,
+      createdAt: new Date().toISOString(),
+    };
+
+    // A repeat of this request has recorded the refund already
+    let repeated = false;
+    const updated = await store.update(order.id, (current) => {
+      repeated = (current.refunds || []).some(existing => existing.key === refundKey);
+      if (repeated) return current;
+      // Square's refund.created webhook may have recorded this refund already
+      const refunds = [...(current.refunds || []).filter(existing => !refund.id || existing.id !== refund.id), refund];
+      return isFullRefund
+        ? withStatus(current, ORDER_STATUS.REFUNDED, { refunds })
+        : { ...current, refunds, updatedAt: refund.createdAt };
+    });
+    if (repeated) {
+      return jsonResponse(event, 200, { status: 'REFUNDED', order: updated, refund: updated.refunds.find(existing => existing.key === refundKey), emailSent: false });
+    }
+
+    if (giftCardCents > 0) {
+      await restoreGiftCard(order.giftCard.code, giftCardCents, order.id, 'Order refunded');
+    }
+    for (const issued of giftCardsIssued) {
+      await voidGiftCard(issued.code, order.id, 'Order refunded');
+    }
+
+    // Let the customer know. The refund stands even if the email fails.
+    let emailSent = false;
+    if (isMailConfigured()) {
+      try {
+        await sendMail(buildRefundEmail(updated, refund));
+        emailSent = true;
+      } catch (mailError) {
+        // eslint-disable-next-line no-console
+        console.error('[refund-payment] refund email failed', { orderId: updated.id, error: mailError && mailError.message });
+      }
+    }
+
+    return jsonResponse(event, 200, { status: 'REFUNDED', order: updated, refund, emailSent });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[refund-payment] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' });
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Netlify Scheduled Function for Retrying Order Emails
+ *
+ * Runs on the schedule set in netlify.toml and sends the order emails whose
+ * retry time has come (see netlify/lib/outbox.js). Emails that keep failing
+ * end up FAILED on the order, where staff can resend them from the dashboard
+ * through admin-resend-email.
+ */
+
+import { isMailConfigured } from '../lib/mailer.js';
+import { deliverDueNotifications } from '../lib/outbox.js';
+import { connectStore } from '../lib/store.js';
+
+export const handler = async (event) => {
+  if (!isMailConfigured()) {
+    // eslint-disable-next-line no-console
+    console.warn('[send-outbox] email is not configured, skipping');
+    return { statusCode: 200 };
+  }
+
+  try {
+    await connectStore(event);
+    const { orders } = await deliverDueNotifications();
+    if (orders > 0) {
+      // eslint-disable-next-line no-console
+      console.log('[send-outbox] tried order emails', { orders });
+    }
+    return { statusCode: 200 };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[send-outbox] run failed:', error && (error.stack || error.message || error));
+    return { statusCode: 500 };
+  }
+};
@@ -0,0 +1,235 @@
+/* global process, Buffer */
+/**
+ * Netlify Serverless Function for Square Webhooks
+ *
+ * Receives the events Square sends after a payment has been taken, so that
+ * changes made outside the checkout reach the stored order:
+ * - payment.updated: the payment's status changed (e.g. completed, failed)
+ * - refund.created / refund.updated: a refund was issued, including from the
+ *   Square Dashboard, or a pending refund completed or failed
+ * - dispute.created: the customer disputed the charge with their bank
+ *
+ * Every delivery must carry a valid x-square-hmacsha256-signature (see
+ * netlify/lib/square.js). Square retries deliveries it thinks failed, so each
+ * event id is claimed in the "webhook-events" store before it is applied and
+ * repeats are skipped; the claim is given up again if applying fails, so
+ * Square's retry can have another go. Events for payments we don't know
+ * about, including payment updates for an order paid by a different payment,
+ * are acknowledged and ignored.
+ *
+ * Environment Variables Required:
+ * - SQUARE_WEBHOOK_SIGNATURE_KEY: signature key shown on the webhook subscription
+ * - SQUARE_WEBHOOK_URL: notification URL exactly as entered in Square
+ *   (defaults to the site URL + /.netlify/functions/square-webhook)
+ */
+
+import { jsonResponse } from '../lib/http.js';
+import { getOrdersStore, withStatus } from '../lib/orders.js';
+import { isValidWebhookSignature } from '../lib/square.js';
+import { connectStore, createStore } from '../lib/store.js';
+import { ORDER_STATUS } from '../../src/shared/orderStatus.js';
+import { getRefundableCents } from '../../src/shared/refunds.js';
+
+const METHODS = 'POST';
+
+/**
+ * Returns the URL Square signs deliveries with
+ * @returns {string} Notification URL
+ */
+const getNotificationUrl = () => {
+  if (process.env.SQUARE_WEBHOOK_URL) return process.env.SQUARE_WEBHOOK_URL;
+  const siteUrl = (process.env.SITE_URL || process.env.URL || '').replace(/\/$/, '');
+  return `${siteUrl}/.netlify/functions/square-webhook`;
+};
+
+/**
+ * Checks whether a Square payment is the one that paid an order
+ * A declined attempt, or a second charge made under the order's reference
+ * id, is a different payment and must not change the stored one
+ * @param {Object} order - Order record
+ * @param {string} paymentId - Square payment id
+ * @returns {boolean} True if the order was paid by that payment
+ */
+const isPaidBy = (order, paymentId) => Boolean(order.payment && order.payment.id === paymentId);
+
+/**
+ * Finds the stored order a Square payment belongs to
+ * Payments carry the order id as reference_id; refunds and disputes only
+ * have the payment id, so fall back to searching by it
+ * @param {Object} store - Orders store
+ * @param {Object} match - { orderId, paymentId }
+ * @returns {Promise<Object|null>} Order record, or null if none was paid by the payment
+ */
+const findOrder = async (store, { orderId, paymentId }) => {
+  if (!paymentId) return null;
+  if (orderId) {
+    const order = await store.get(orderId);
+    return order && isPaidBy(order, paymentId) ? order : null;
+  }
+  return (await store.list()).find(order => isPaidBy(order, paymentId)) || null;
+};
+
+/**
+ * Applies a payment.updated event
+ * @param {Object} order - Current order record
+ * @param {Object} payment - Square payment object
+ * @returns {Object} Updated order record (unchanged if it wasn't paid by this payment)
+ */
+const applyPaymentUpdate = (order, payment) => {
+  if (!isPaidBy(order, payment.id)) return order;
+  return {
+    ...order,
+    payment: { ...order.payment, status: payment.status, updatedAt: payment.updated_at || new Date().toISOString() },
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Applies a refund.created or refund.updated event
+ * Refunds issued by refund-payment are already on the order and only get
+ * their new status; ones issued in the Square Dashboard are added. Once the
+ * whole card payment has been refunded the order moves to "refunded".
+ * @param {Object} order - Current order record
+ * @param {Object} squareRefund - Square refund object
+ * @returns {Object} Updated order record
+ */
+const applyRefund = (order, squareRefund) => {
+  const existing = (order.refunds || []).some(refund => refund.id === squareRefund.id);
+  const refunds = existing
+    ? order.refunds.map(refund => (refund.id === squareRefund.id ? { ...refund, status: squareRefund.status } : refund))
+    : [...(order.refunds || []), {
+      id: squareRefund.id,
+      status: squareRefund.status,
+      amountCents: squareRefund.amount_money ? squareRefund.amount_money.amount : 0,
+      giftCardCents: 0,
+      reason: squareRefund.reason || 'Refunded in Square',
+      createdAt: squareRefund.created_at || new Date().toISOString(),
+    }];
+
+  const updated = { ...order, refunds, updatedAt: new Date().toISOString() };
+  const fullyRefunded = getRefundableCents(updated) === 0
+    && order.status !== ORDER_STATUS.REFUNDED
+    && order.status !== ORDER_STATUS.PENDING_PAYMENT;
+  return fullyRefunded ? withStatus(updated, ORDER_STATUS.REFUNDED) : updated;
+};
+
+/**
+ * Applies a dispute.created event
+ * @param {Object} order - Current order record
+ * @param {Object} dispute - Square dispute object
+ * @returns {Object} Updated order record
+ */
+const applyDispute = (order, dispute) => {
+  const id = dispute.dispute_id || dispute.id;
+  if ((order.disputes || []).some(existing => existing.id === id)) return order;
+  return {
+    ...order,
+    disputes: [...(order.disputes || []), {
+      id,
+      state: dispute.state,
+      reason: dispute.reason,
+      amountCents: dispute.amount_money ? dispute.amount_money.amount : 0,
+      dueAt: dispute.due_at || null,
+      createdAt: dispute.created_at || new Date().toISOString(),
+    }],
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Works out which order an event is about and how to change it
+ * @param {Object} notification - Parsed webhook body
+ * @returns {Object|null} { match, apply } or null for event types we don't handle
+ */
+const routeEvent = (notification) => {
+  const object = (notification.data && notification.data.object) || {};
+  switch (notification.type) {
+    case 'payment.updated':
+      return object.payment && {
+        match: { orderId: object.payment.reference_id, paymentId: object.payment.id },
+        apply: (order) => applyPaymentUpdate(order, object.payment)
+      };
+    case 'refund.created':
+    case 'refund.updated':
+      return object.refund && {
+        match: { paymentId: object.refund.payment_id },
+        apply: (order) => applyRefund(order, object.refund)
+      };
+    case 'dispute.created': {
+      const dispute = object.dispute;
+      const paymentId = dispute && (dispute.disputed_payment ? dispute.disputed_payment.payment_id : dispute.payment_id);
+      return dispute && {
+        match: { paymentId },
+        apply: (order) => applyDispute(order, dispute)
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+export const handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' }, METHODS);
+  }
+
+  // The signature covers the body byte for byte, so check it before parsing
+  const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+  const headers = event.headers || {};
+  const signature = headers['x-square-hmacsha256-signature'] || headers['X-Square-HmacSha256-Signature'];
+  if (!isValidWebhookSignature({
+    body: rawBody,
+    signature,
+    notificationUrl: getNotificationUrl(),
+    signatureKey: process.env.SQUARE_WEBHOOK_SIGNATURE_KEY
+  })) {
+    return jsonResponse(event, 401, { error: 'Invalid signature', status: 'FAILED' }, METHODS);
+  }
+
+  let notification;
+  try {
+    notification = JSON.parse(rawBody);
+  } catch {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' }, METHODS);
+  }
+  if (!notification || !notification.event_id) {
+    return jsonResponse(event, 400, { error: 'Missing event_id', status: 'FAILED' }, METHODS);
+  }
+
+  try {
+    await connectStore(event);
+    const eventsStore = createStore('webhook-events');
+    // Claimed rather than checked, so two deliveries of the same event that
+    // arrive together can't both be applied
+    const claimed = await eventsStore.create(notification.event_id, {
+      id: notification.event_id,
+      type: notification.type,
+      orderId: null,
+      receivedAt: new Date().toISOString(),
+    });
+    if (!claimed) {
+      return jsonResponse(event, 200, { status: 'DUPLICATE' }, METHODS);
+    }
+
+    let order;
+    try {
+      const route = routeEvent(notification);
+      const ordersStore = getOrdersStore();
+      order = route && await findOrder(ordersStore, route.match);
+      if (order) {
+        await ordersStore.update(order.id, route.apply);
+        await eventsStore.put(notification.event_id, { ...claimed, orderId: order.id });
+      }
+    } catch (applyError) {
+      // Give the event id back so Square's retry can apply it
+      await eventsStore.remove(notification.event_id);
+      throw applyError;
+    }
+
+    return jsonResponse(event, 200, { status: order ? 'OK' : 'IGNORED' }, METHODS);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[square-webhook] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' }, METHODS);
+  }
+};
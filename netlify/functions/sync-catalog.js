@@ -0,0 +1,35 @@
+/**
+ * Netlify Scheduled Function for Syncing the Menu from Square
+ *
+ * Runs on the schedule set in netlify.toml and copies the Square catalog into
+ * the synced menu (see netlify/lib/squareCatalog.js), so price and item
+ * changes made in Square reach the website without a deploy. Scheduled
+ * functions can't be called over HTTP; staff sync on demand through
+ * admin-sync-catalog.
+ *
+ * If the sync fails, the last synced menu stays in use.
+ */
+
+import { isSquareConfigured } from '../lib/square.js';
+import { syncCatalog } from '../lib/squareCatalog.js';
+import { connectStore } from '../lib/store.js';
+
+export const handler = async (event) => {
+  if (!isSquareConfigured()) {
+    // eslint-disable-next-line no-console
+    console.warn('[sync-catalog] Square is not configured, skipping');
+    return { statusCode: 200 };
+  }
+
+  try {
+    await connectStore(event);
+    const catalog = await syncCatalog();
+    // eslint-disable-next-line no-console
+    console.log('[sync-catalog] synced', { items: catalog.items.length, categories: catalog.categories.length });
+    return { statusCode: 200 };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[sync-catalog] sync failed:', error && (error.stack || error.message || error));
+    return { statusCode: 500 };
+  }
+};
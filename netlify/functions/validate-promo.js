@@ -0,0 +1,69 @@
+/**
+ * Netlify Serverless Function for Checking Promo Codes
+ *
+ * Tells the Order page whether a promo code can be used on the current cart
+ * and, if so, returns the public part of its rule so the page can show the
+ * discount with the shared pricing module. Nothing is reserved here:
+ * create-order and process-payment look the code up and price it again.
+ */
+
+import { calculateOrderTotals, PricingError } from '../../src/shared/pricing.js';
+import { findDeliveryZone } from '../../src/shared/deliveryZones.js';
+import { jsonResponse, parseJsonBody, preflightResponse } from '../lib/http.js';
+import { getOrdersStore } from '../lib/orders.js';
+import { findPromotion, getPromotionUsageError, toPublicPromotion } from '../lib/promotions.js';
+import { applySyncedCatalog } from '../lib/squareCatalog.js';
+import { connectStore } from '../lib/store.js';
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse(event);
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(event, 405, { error: 'Method not allowed', status: 'FAILED' });
+  }
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return jsonResponse(event, 400, { error: 'Invalid JSON in request body', status: 'FAILED' });
+  }
+
+  const { code, items, method, zipCode, email, deliveryDate } = body;
+  if (typeof code !== 'string' || !code.trim()) {
+    return jsonResponse(event, 400, { error: 'Please enter a promo code', status: 'FAILED' });
+  }
+
+  const promotion = findPromotion(code);
+  if (!promotion) {
+    return jsonResponse(event, 400, { error: "That promo code isn't valid", status: 'FAILED' });
+  }
+
+  try {
+    await connectStore(event);
+    await applySyncedCatalog();
+
+    // Like the Order page, only price delivery once the ZIP is in our area,
+    // so an unfinished address isn't reported as a promo code problem
+    const totals = calculateOrderTotals(items, {
+      ...(/^\d{4}-\d{2}-\d{2}$/.test(deliveryDate) ? { deliveryDate } : {}),
+      method,
+      ...(findDeliveryZone(zipCode) ? { zipCode } : {}),
+      promotion
+    });
+
+    const usageError = getPromotionUsageError(promotion, await getOrdersStore().list(), { email });
+    if (usageError) {
+      return jsonResponse(event, 400, { error: usageError, status: 'FAILED' });
+    }
+
+    return jsonResponse(event, 200, { status: 'OK', promotion: toPublicPromotion(promotion), totals });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return jsonResponse(event, 400, { error: error.message, status: 'FAILED' });
+    }
+    // eslint-disable-next-line no-console
+    console.error('[validate-promo] unexpected error:', error && (error.stack || error.message || error));
+    return jsonResponse(event, 500, { error: 'Internal server error', status: 'FAILED' });
+  }
+};
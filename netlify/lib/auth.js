@@ -0,0 +1,40 @@
+/* global process */
+/**
+ * Admin Authentication for Little Loaf Cottage Netlify Functions
+ *
+ * Staff sign in on the /admin page with a shared access token. Admin
+ * functions require it as `Authorization: Bearer <token>`.
+ *
+ * Environment Variables Required:
+ * - ADMIN_TOKEN: the shared staff access token (use a long random value)
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if both strings are equal
+ */
+const safeEqual = (a, b) => {
+  // Hash first so inputs of different lengths can still be compared in constant time
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * Checks whether a request carries the staff access token
+ * @param {Object} event - Netlify function event
+ * @returns {boolean} True if the request is from signed-in staff
+ */
+export const isAdminRequest = (event) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  // Never allow access when no token is configured
+  if (!adminToken) return false;
+
+  const header = event.headers && (event.headers.authorization || event.headers.Authorization);
+  const match = typeof header === 'string' && header.match(/^Bearer\s+(.+)$/i);
+  return Boolean(match) && safeEqual(match[1].trim(), adminToken);
+};
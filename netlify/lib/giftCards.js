@@ -0,0 +1,162 @@
+/**
+ * Gift Card Records for Little Loaf Cottage
+ *
+ * Gift cards live in the "gift-cards" store, keyed by code. Every change to a
+ * balance is appended to the card's ledger, so staff can see when a card was
+ * issued and which orders it paid for:
+ *
+ *   { at, type, amountCents, balanceCents, orderId, note }
+ *
+ * where type is "issued", "redeemed" (amountCents negative), "restored"
+ * (a redemption given back, e.g. when the card charge for the rest failed) or
+ * "voided" (the balance cancelled because the order that bought the card was
+ * refunded).
+ */
+
+import crypto from 'crypto';
+import { createStore } from './store.js';
+import { normalizeGiftCardCode } from '../../src/shared/giftCards.js';
+
+// Same unambiguous alphabet as order ids (no 0/O or 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Kinds of ledger entry
+ */
+export const LEDGER_TYPES = {
+  ISSUED: 'issued',
+  REDEEMED: 'redeemed',
+  RESTORED: 'restored',
+  VOIDED: 'voided',
+};
+
+/**
+ * Error thrown when a gift card can't be used (unknown code, not enough balance)
+ * Callers should treat it as a client error rather than a server failure
+ */
+export class GiftCardError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GiftCardError';
+  }
+}
+
+/**
+ * Returns the store holding gift cards
+ * @returns {Object} Store for the "gift-cards" collection
+ */
+export const getGiftCardsStore = () => createStore('gift-cards');
+
+/**
+ * Generates a hard-to-guess gift card code such as "GC-7KQ2-M9XD-4HTP"
+ * @returns {string} New gift card code
+ */
+export const generateGiftCardCode = () => {
+  const chars = Array.from(crypto.randomBytes(12), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `GC-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+};
+
+/**
+ * Returns a copy of a gift card with a ledger entry applied to its balance
+ * @param {Object} card - Gift card record
+ * @param {Object} entry - { type, amountCents, orderId, note }
+ * @returns {Object} Updated gift card record
+ */
+const withLedgerEntry = (card, { type, amountCents, orderId = null, note = '' }) => {
+  const now = new Date().toISOString();
+  const balanceCents = card.balanceCents + amountCents;
+  return {
+    ...card,
+    balanceCents,
+    updatedAt: now,
+    ledger: [...(card.ledger || []), { at: now, type, amountCents, balanceCents, orderId, note }],
+  };
+};
+
+/**
+ * Creates and stores a new gift card
+ * @param {Object} details - Gift card details
+ * @param {number} details.amountCents - Starting balance in cents
+ * @param {string} details.orderId - Order the card was bought with
+ * @param {string} details.purchaserEmail - Email of the customer who bought it
+ * @returns {Promise<Object>} Stored gift card record
+ */
+export const issueGiftCard = async ({ amountCents, orderId, purchaserEmail }) => {
+  const now = new Date().toISOString();
+  const card = withLedgerEntry({
+    code: generateGiftCardCode(),
+    initialBalanceCents: amountCents,
+    balanceCents: 0,
+    purchaserEmail,
+    createdAt: now,
+    ledger: [],
+  }, { type: LEDGER_TYPES.ISSUED, amountCents, orderId, note: 'Bought online' });
+  return getGiftCardsStore().put(card.code, card);
+};
+
+/**
+ * Looks up a gift card by code
+ * @param {string} code - Gift card code as typed by the customer
+ * @returns {Promise<Object|null>} Gift card record, or null if there is no such card
+ */
+export const findGiftCard = async (code) => {
+  const normalized = normalizeGiftCardCode(code);
+  return normalized ? getGiftCardsStore().get(normalized) : null;
+};
+
+/**
+ * Takes an amount off a gift card's balance
+ * @param {string} code - Gift card code
+ * @param {number} amountCents - Amount to take off, in cents
+ * @param {string} orderId - Order the card is paying for
+ * @returns {Promise<Object>} Updated gift card record
+ * @throws {GiftCardError} If the card doesn't exist or its balance is too low
+ */
+export const redeemGiftCard = async (code, amountCents, orderId) => {
+  const card = await getGiftCardsStore().update(normalizeGiftCardCode(code), (current) => {
+    if (current.balanceCents < amountCents) {
+      throw new GiftCardError('Your gift card balance has changed. Please go back and review your order.');
+    }
+    return withLedgerEntry(current, { type: LEDGER_TYPES.REDEEMED, amountCents: -amountCents, orderId });
+  });
+  if (!card) {
+    throw new GiftCardError("We couldn't find that gift card");
+  }
+  return card;
+};
+
+/**
+ * Gives back an amount taken off a gift card
+ * @param {string} code - Gift card code
+ * @param {number} amountCents - Amount to give back, in cents
+ * @param {string} orderId - Order the redemption was for
+ * @param {string} note - Why it was given back
+ * @returns {Promise<Object|null>} Updated gift card record, or null if there is no such card
+ */
+export const restoreGiftCard = (code, amountCents, orderId, note) => (
+  getGiftCardsStore().update(normalizeGiftCardCode(code), (current) => (
+    withLedgerEntry(current, { type: LEDGER_TYPES.RESTORED, amountCents, orderId, note })
+  ))
+);
+
+/**
+ * Cancels what is left on a gift card, e.g. when the order that bought it is refunded
+ * @param {string} code - Gift card code
+ * @param {string} orderId - Order the card was bought with
+ * @param {string} note - Why it was cancelled
+ * @returns {Promise<Object|null>} Updated gift card record, or null if there is no such card
+ */
+export const voidGiftCard = (code, orderId, note) => (
+  getGiftCardsStore().update(normalizeGiftCardCode(code), (current) => (
+    current.balanceCents > 0
+      ? withLedgerEntry(current, { type: LEDGER_TYPES.VOIDED, amountCents: -current.balanceCents, orderId, note })
+      : current
+  ))
+);
+
+/**
+ * Returns the parts of a gift card a customer may see
+ * @param {Object} card - Gift card record
+ * @returns {Object} { code, balanceCents }
+ */
+export const toPublicGiftCard = (card) => ({ code: card.code, balanceCents: card.balanceCents });
@@ -0,0 +1,83 @@
+/* global process */
+/**
+ * HTTP helpers shared by the Little Loaf Cottage Netlify Functions
+ *
+ * Mirrors the CORS handling in process-payment: when ALLOWED_ORIGINS is set,
+ * only those origins are echoed back; otherwise any origin is allowed.
+ */
+
+/**
+ * Reads the request origin from a Netlify function event
+ * @param {Object} event - Netlify function event
+ * @returns {string|undefined} Origin header value
+ */
+export const getOrigin = (event) => event.headers && (event.headers.origin || event.headers.Origin);
+
+/**
+ * Reads the address of the visitor who sent a request
+ * Netlify puts it in x-nf-client-connection-ip; x-forwarded-for covers netlify dev
+ * @param {Object} event - Netlify function event
+ * @returns {string} IP address, or "unknown"
+ */
+export const getClientIp = (event) => {
+  const headers = event.headers || {};
+  const forwarded = headers['x-forwarded-for'] || headers['X-Forwarded-For'] || '';
+  return headers['x-nf-client-connection-ip'] || forwarded.split(',')[0].trim() || 'unknown';
+};
+
+/**
+ * Builds CORS headers for a response
+ * @param {Object} event - Netlify function event
+ * @param {string} methods - Allowed methods, e.g. "POST, OPTIONS"
+ * @returns {Object} CORS headers
+ */
+export const getCorsHeaders = (event, methods = 'POST, OPTIONS') => {
+  const allowedOrigins = (process.env.ALLOWED_ORIGINS || process.env.VITE_ALLOWED_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const origin = getOrigin(event);
+  const allowed = allowedOrigins.length === 0 || (origin && allowedOrigins.includes(origin));
+  return {
+    'Access-Control-Allow-Origin': allowed ? (origin || '*') : 'null',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': methods,
+  };
+};
+
+/**
+ * Builds a JSON response with CORS headers
+ * @param {Object} event - Netlify function event
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response payload
+ * @param {string} methods - Allowed methods for the CORS header
+ * @returns {Object} Netlify function response
+ */
+export const jsonResponse = (event, statusCode, body, methods) => ({
+  statusCode,
+  headers: { ...getCorsHeaders(event, methods), 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Builds the empty response for a CORS preflight request
+ * @param {Object} event - Netlify function event
+ * @param {string} methods - Allowed methods for the CORS header
+ * @returns {Object} Netlify function response
+ */
+export const preflightResponse = (event, methods) => ({
+  statusCode: 200,
+  headers: getCorsHeaders(event, methods),
+  body: '',
+});
+
+/**
+ * Parses a JSON request body defensively
+ * @param {Object} event - Netlify function event
+ * @returns {Object|null} Parsed body, or null if it is not valid JSON
+ */
+export const parseJsonBody = (event) => {
+  try {
+    const body = event.body && typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    return body || {};
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,230 @@
+/* global process */
+/**
+ * Mailer for Little Loaf Cottage Netlify Functions
+ *
+ * The single place that sends email. Used by the order email outbox
+ * (netlify/lib/outbox.js, drained by process-payment and the send-outbox
+ * function), the contact-message function and server-side notifications such
+ * as order status updates. Recipients are always chosen here on the server, never
+ * taken from the browser.
+ *
+ * Messages go through a transport, each implementing:
+ *
+ *   isConfigured()  -> true if it has what it needs to send
+ *   send(message)   -> delivers { to, from, subject, text, html }
+ *
+ * Transports:
+ * - sendgrid: SendGrid's API (default when SENDGRID_API_KEY is set)
+ * - smtp:     any SMTP server, through nodemailer (default when SMTP_HOST is set)
+ * - mailbox:  writes each message to MAILBOX_DIR as a .eml file plus a .json
+ *             copy instead of sending it (default for local development when
+ *             neither is set). The dev-mailbox function shows what it caught.
+ *
+ * Environment Variables Required:
+ * - FROM_EMAIL: verified sender address
+ * - SENDGRID_API_KEY: SendGrid API key (sendgrid transport)
+ * - SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS: server and login (smtp transport)
+ *
+ * Environment Variables (optional):
+ * - EMAIL_TRANSPORT selects the transport (sendgrid, smtp or mailbox)
+ * - SMTP_SECURE: "true" to connect with TLS from the start (port 465)
+ * - MAILBOX_DIR: folder for the mailbox transport (default DATA_DIR/mailbox)
+ * - ADMIN_EMAIL: where new order alerts go (falls back to VITE_ADMIN_EMAIL)
+ * - ORDERS_EMAIL: where contact form messages go (falls back to VITE_ORDERS_EMAIL)
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { toHeaderText } from '../../src/shared/emailTemplates.js';
+
+// ===== SENDGRID TRANSPORT =====
+
+const createSendGridTransport = () => ({
+  isConfigured: () => Boolean(process.env.SENDGRID_API_KEY),
+  send: async (message) => {
+    const { default: sgMail } = await import('@sendgrid/mail');
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    return sgMail.send(message);
+  },
+});
+
+// ===== SMTP TRANSPORT =====
+
+const createSmtpTransport = () => ({
+  isConfigured: () => Boolean(process.env.SMTP_HOST),
+  send: async (message) => {
+    const { default: nodemailer } = await import('nodemailer');
+    const secure = process.env.SMTP_SECURE === 'true';
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      ...(process.env.SMTP_USER ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } } : {}),
+    });
+    return transporter.sendMail(message);
+  },
+});
+
+// ===== MAILBOX TRANSPORT =====
+
+/**
+ * Returns the folder the mailbox transport writes to
+ * @returns {string} Absolute path
+ */
+const getMailboxDir = () => path.resolve(process.env.MAILBOX_DIR || path.join(process.env.DATA_DIR || '.data', 'mailbox'));
+
+const createMailboxTransport = () => ({
+  isConfigured: () => true,
+  send: async (message) => {
+    // Let nodemailer build the raw message, so the .eml opens in any mail client
+    const { default: nodemailer } = await import('nodemailer');
+    const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const { message: eml } = await composer.sendMail(message);
+
+    // Ids start with the time so the files sort oldest first
+    const capturedAt = new Date().toISOString();
+    const id = `${capturedAt.replace(/[-:.]/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+    const dir = getMailboxDir();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${id}.eml`), eml);
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, capturedAt, ...message }, null, 2));
+    return { id };
+  },
+});
+
+/**
+ * Lists the messages the mailbox transport has caught, newest first
+ * @returns {Promise<Array>} { id, capturedAt, to, from, subject, text, html } each
+ */
+export const listMailbox = async () => {
+  let files;
+  try {
+    files = await fs.readdir(getMailboxDir());
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const ids = files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)).sort().reverse();
+  return Promise.all(ids.map(async id => JSON.parse(await fs.readFile(path.join(getMailboxDir(), `${id}.json`), 'utf8'))));
+};
+
+/**
+ * Reads the raw .eml of a caught message
+ * @param {string} id - Message id from listMailbox
+ * @returns {Promise<string|null>} Raw message, or null if there is none with that id
+ */
+export const readMailboxEml = async (id) => {
+  if (!/^[\w-]+$/.test(String(id))) return null;
+  try {
+    return await fs.readFile(path.join(getMailboxDir(), `${id}.eml`), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+// ===== TRANSPORT REGISTRY =====
+
+const transports = {
+  sendgrid: createSendGridTransport,
+  smtp: createSmtpTransport,
+  mailbox: createMailboxTransport,
+};
+
+/**
+ * Registers an additional mail transport (e.g. another email API)
+ * @param {string} name - Transport name, selectable through EMAIL_TRANSPORT
+ * @param {Function} factory - Function () => transport implementing isConfigured and send
+ */
+export const registerMailTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+/**
+ * Picks the transport from EMAIL_TRANSPORT, otherwise from whichever
+ * credentials are set. With none, local development catches mail in the
+ * mailbox while a deployed site (AWS Lambda) reports email as not configured.
+ * @returns {string} Transport name
+ */
+export const getMailTransportName = () => {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+  if (process.env.SENDGRID_API_KEY) return 'sendgrid';
+  if (process.env.SMTP_HOST) return 'smtp';
+  return process.env.AWS_LAMBDA_FUNCTION_NAME ? 'sendgrid' : 'mailbox';
+};
+
+/**
+ * Creates the selected transport
+ * @returns {Object} Transport implementing isConfigured and send
+ * @throws {Error} If EMAIL_TRANSPORT names no known transport
+ */
+const getTransport = () => {
+  const name = getMailTransportName();
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+  }
+  return factory();
+};
+
+// ===== SENDING =====
+
+/**
+ * Checks that a recipient is one plain email address, with nothing that
+ * could add recipients or headers
+ * @param {string} address - Recipient
+ * @returns {boolean} True if it is safe to send to
+ */
+export const isSingleAddress = (address) => typeof address === 'string' && /^[^\s@,;<>"]+@[^\s@,;<>"]+\.[^\s@,;<>"]+$/.test(address);
+
+/**
+ * Checks whether the selected transport can send email
+ * @returns {boolean} True if email can be sent
+ */
+export const isMailConfigured = () => getTransport().isConfigured();
+
+/**
+ * Returns the staff address that receives new order alerts
+ * @returns {string} Email address, or '' if none is configured
+ */
+export const getAdminEmail = () => process.env.ADMIN_EMAIL || process.env.VITE_ADMIN_EMAIL || '';
+
+/**
+ * Returns the staff address that receives contact form messages
+ * @returns {string} Email address
+ */
+export const getContactEmail = () => (
+  process.env.ORDERS_EMAIL || process.env.VITE_ORDERS_EMAIL || 'orders@littleloafcottage.com'
+);
+
+/**
+ * Sends an email through the selected transport
+ * @param {Object} message - Email message
+ * @param {string} message.to - Recipient email address
+ * @param {string} message.subject - Email subject
+ * @param {string} message.text - Plain text content
+ * @param {string} message.html - HTML content (optional; text-only mail is sent as plain text)
+ * @param {string} message.from - Sender (optional, defaults to FROM_EMAIL)
+ * @returns {Promise<*>} Transport response
+ * @throws {Error} If email is not configured, the recipient isn't a single address
+ *   or the transport rejects the message
+ */
+export const sendMail = async ({ to, subject, text, html, from }) => {
+  const transport = getTransport();
+  if (!transport.isConfigured()) {
+    throw new Error('Email service not configured');
+  }
+  if (!isSingleAddress(to)) {
+    throw new Error('Invalid recipient email address');
+  }
+
+  return transport.send({
+    to,
+    from: from || process.env.FROM_EMAIL || 'no-reply@example.com', // Default placeholder sender (replace in env)
+    subject: toHeaderText(subject),
+    text,
+    // Never send the text as HTML: it isn't escaped
+    ...(html ? { html } : {}),
+  });
+};
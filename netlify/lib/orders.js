@@ -0,0 +1,268 @@
+/**
+ * Order Records for Little Loaf Cottage
+ *
+ * Helpers for creating, validating and updating the order records kept in
+ * the "orders" store. An order is created (status "pending_payment") before
+ * the customer pays and is marked "received" once the Square charge succeeds.
+ *
+ * New orders book their slot through reserveSlot, which keeps the unpaid
+ * orders holding each slot in the "slot-holds" store:
+ *
+ *   { id: slotKey, holds: [{ orderId, expiresAt }] }
+ *
+ * so the capacity check and the booking are one atomic update.
+ */
+
+import crypto from 'crypto';
+import { createStore } from './store.js';
+import { FULFILLMENT_METHODS, getTimeSlots, isFulfillmentMethod } from '../../src/shared/fulfillment.js';
+import { findDeliveryZone, normalizeZipCode } from '../../src/shared/deliveryZones.js';
+import { ORDER_STATUS } from '../../src/shared/orderStatus.js';
+import { PENDING_HOLD_MINUTES, getBookingError, getSlotKey } from '../../src/shared/schedule.js';
+import { getGiftCardLastFour } from '../../src/shared/giftCards.js';
+
+// Limits for free-text fields so a single request cannot bloat the store
+const MAX_FIELD_LENGTH = 200;
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+
+// Unambiguous characters for customer-facing order ids (no 0/O or 1/I)
+const ORDER_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Returns the store holding order records
+ * @returns {Object} Store for the "orders" collection
+ */
+export const getOrdersStore = () => createStore('orders');
+
+/**
+ * Generates a short, hard-to-guess order id such as "LLC-7KQ2M9XD"
+ * @returns {string} New order id
+ */
+export const generateOrderId = () => {
+  const bytes = crypto.randomBytes(8);
+  const suffix = Array.from(bytes, byte => ORDER_ID_ALPHABET[byte % ORDER_ID_ALPHABET.length]).join('');
+  return `LLC-${suffix}`;
+};
+
+const cleanText = (value, maxLength = MAX_FIELD_LENGTH) => (
+  typeof value === 'string' ? value.trim().slice(0, maxLength) : ''
+);
+
+/**
+ * Validates and normalizes the customer and delivery details of an order
+ * The address is only required (and only kept) for delivery orders; the time
+ * slot must belong to the chosen method
+ * @param {Object} input - Request payload
+ * @param {Object} input.customer - { name, email, phone }
+ * @param {Object} input.delivery - { method, address, city, zipCode, date, timeSlot, instructions }
+ * @returns {Object} { errors, customer, delivery } where errors maps field names to messages
+ */
+export const validateOrderDetails = ({ customer = {}, delivery = {} } = {}) => {
+  const errors = {};
+
+  const cleanCustomer = {
+    name: cleanText(customer.name),
+    email: cleanText(customer.email).toLowerCase(),
+    phone: cleanText(customer.phone, 40),
+  };
+
+  const method = delivery.method || FULFILLMENT_METHODS.DELIVERY;
+  const isDelivery = method === FULFILLMENT_METHODS.DELIVERY;
+
+  const cleanDelivery = {
+    method,
+    address: isDelivery ? cleanText(delivery.address) : '',
+    city: isDelivery ? cleanText(delivery.city, 100) : '',
+    zipCode: isDelivery ? cleanText(delivery.zipCode, 10) : '',
+    date: cleanText(delivery.date, 10),
+    timeSlot: cleanText(delivery.timeSlot, 20),
+    instructions: cleanText(delivery.instructions, MAX_INSTRUCTIONS_LENGTH),
+  };
+
+  if (!cleanCustomer.name) errors.name = 'Name is required';
+  if (!cleanCustomer.email) errors.email = 'Email is required';
+  else if (!/^\S+@\S+\.\S+$/.test(cleanCustomer.email)) errors.email = 'Email is invalid';
+  if (!cleanCustomer.phone) errors.phone = 'Phone is required';
+  if (!isFulfillmentMethod(method)) errors.method = 'Please choose delivery or pickup';
+  if (isDelivery) {
+    if (!cleanDelivery.address) errors.address = 'Address is required';
+    if (!cleanDelivery.city) errors.city = 'City is required';
+    if (!cleanDelivery.zipCode) errors.zipCode = 'ZIP code is required';
+    else if (!normalizeZipCode(cleanDelivery.zipCode)) errors.zipCode = 'ZIP code is invalid';
+    else if (!findDeliveryZone(cleanDelivery.zipCode)) errors.zipCode = "Sorry, we don't deliver to this ZIP code yet";
+    else cleanDelivery.zipCode = normalizeZipCode(cleanDelivery.zipCode);
+  }
+  const when = isDelivery ? 'Delivery' : 'Pickup';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(cleanDelivery.date)) errors.deliveryDate = `${when} date is required`;
+  if (!getTimeSlots(method).some(slot => slot.id === cleanDelivery.timeSlot)) errors.deliveryTime = `${when} time is required`;
+
+  return { errors, customer: cleanCustomer, delivery: cleanDelivery };
+};
+
+/**
+ * Builds a new order record awaiting payment
+ * @param {Object} details - Order contents
+ * @param {Object} details.totals - Result of calculateOrderTotals
+ * @param {Object} details.customer - Validated customer contact details
+ * @param {Object} details.delivery - Validated delivery details
+ * @param {Object} details.giftCard - { code, amountCents } gift card paying part of the order (optional)
+ * @returns {Object} Order record ready to be stored (the delivery zone id is added to delivery,
+ *   and the promo code, if any, is kept as promotion)
+ */
+export const buildOrderRecord = ({ totals, customer, delivery, giftCard = null }) => {
+  const now = new Date().toISOString();
+  return {
+    id: generateOrderId(),
+    status: ORDER_STATUS.PENDING_PAYMENT,
+    createdAt: now,
+    updatedAt: now,
+    items: totals.lines,
+    totals: {
+      subtotalCents: totals.subtotalCents,
+      discountCents: totals.discountCents,
+      taxes: totals.taxes,
+      taxCents: totals.taxCents,
+      deliveryFeeCents: totals.deliveryFeeCents,
+      totalCents: totals.totalCents,
+    },
+    promotion: totals.promotion,
+    customer,
+    delivery: { ...delivery, zone: totals.deliveryZone },
+    giftCard,
+    payment: null,
+    statusHistory: [{ status: ORDER_STATUS.PENDING_PAYMENT, at: now }],
+  };
+};
+
+/**
+ * Returns a copy of the order with a new status appended to its history
+ * @param {Object} order - Current order record
+ * @param {string} status - New status
+ * @param {Object} changes - Other fields to update at the same time
+ * @returns {Object} Updated order record
+ */
+export const withStatus = (order, status, changes = {}) => {
+  const now = new Date().toISOString();
+  return {
+    ...order,
+    ...changes,
+    status,
+    updatedAt: now,
+    statusHistory: [...(order.statusHistory || []), { status, at: now }],
+  };
+};
+
+/**
+ * Counts the orders booked into each delivery slot and pickup window
+ * Cancelled and refunded orders free their slot, and unpaid orders only hold it for
+ * PENDING_HOLD_MINUTES after they were created
+ * @param {Array} orders - Order records
+ * @param {Object} options - Optional settings
+ * @param {Date} options.now - Current time (defaults to now)
+ * @param {string} options.excludeOrderId - Order to leave out, e.g. the one being paid for
+ * @returns {Object} Order counts keyed by getSlotKey(date, timeSlot)
+ */
+export const countSlotBookings = (orders, { now = new Date(), excludeOrderId } = {}) => {
+  const holdStart = now.getTime() - PENDING_HOLD_MINUTES * 60 * 1000;
+  return orders.reduce((counts, order) => {
+    if (order.id === excludeOrderId || order.status === ORDER_STATUS.CANCELLED || order.status === ORDER_STATUS.REFUNDED) return counts;
+    if (order.status === ORDER_STATUS.PENDING_PAYMENT && new Date(order.createdAt).getTime() < holdStart) return counts;
+    const key = getSlotKey(order.delivery.date, order.delivery.timeSlot);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+/**
+ * Returns the store holding the unpaid orders booked into each slot
+ * @returns {Object} Store for the "slot-holds" collection
+ */
+const getSlotHoldsStore = () => createStore('slot-holds');
+
+/**
+ * Books a new order into its slot, unless the slot is closed, too soon for the
+ * order's lead time or full
+ * Orders are counted from `orders` as in countSlotBookings, plus the holds of
+ * orders created since `orders` was listed. The count and the new hold are
+ * written in one atomic update of the slot's record, so of two orders racing
+ * for the last place only one gets it.
+ * @param {Object} order - New order record, not stored yet
+ * @param {Array} orders - Order records, listed before calling
+ * @returns {Promise<string|null>} Why the slot can't be booked (see getBookingError), or null once it is
+ */
+export const reserveSlot = async (order, orders) => {
+  const store = getSlotHoldsStore();
+  const { date, timeSlot, method } = order.delivery;
+  const key = getSlotKey(date, timeSlot);
+  const now = new Date();
+  const listedIds = new Set(orders.map(listed => listed.id));
+  const expiresAt = new Date(new Date(order.createdAt).getTime() + PENDING_HOLD_MINUTES * 60 * 1000).toISOString();
+
+  // Reset on every call, since update may run the updater more than once
+  let bookingError = null;
+  const reserve = (current) => {
+    const holds = current.holds.filter(hold => new Date(hold.expiresAt) > now);
+    const bookedCounts = countSlotBookings(orders, { now });
+    bookedCounts[key] = (bookedCounts[key] || 0) + holds.filter(hold => !listedIds.has(hold.orderId)).length;
+    bookingError = getBookingError({ date, timeSlot, method, lines: order.items }, { bookedCounts, now });
+    return bookingError ? current : { ...current, holds: [...holds, { orderId: order.id, expiresAt }] };
+  };
+
+  if (!(await store.update(key, reserve))) {
+    // First booking for this slot, unless another request created the record meanwhile
+    await store.create(key, { id: key, holds: [] });
+    await store.update(key, reserve);
+  }
+  return bookingError;
+};
+
+/**
+ * Cancels an unpaid order the customer is replacing with a new one (they
+ * went back from the payment step), so it stops holding its slot
+ * Only orders placed with the same email are cancelled, and never one with a
+ * payment attempt still open (see process-payment), which may yet be charged.
+ * Callers must have called connectStore first.
+ * @param {string} orderId - Id of the order being replaced
+ * @param {string} email - Email address on the new order
+ * @returns {Promise<boolean>} True if the order was cancelled
+ */
+export const cancelReplacedOrder = async (orderId, email) => {
+  // Reset on every call, since update may run the updater more than once
+  let cancelled = false;
+  await getOrdersStore().update(orderId, (current) => {
+    cancelled = current.status === ORDER_STATUS.PENDING_PAYMENT
+      && current.customer.email === email
+      && !(current.paymentAttempts || []).some(attempt => attempt.status === 'PENDING');
+    return cancelled ? withStatus(current, ORDER_STATUS.CANCELLED) : current;
+  });
+  return cancelled;
+};
+
+/**
+ * Returns the parts of an order that are safe to show on the public tracking page
+ * (no payment details, and only the parts of the address the customer needs)
+ * @param {Object} order - Order record
+ * @returns {Object} Public order view
+ */
+export const toPublicOrder = (order) => ({
+  id: order.id,
+  status: order.status,
+  createdAt: order.createdAt,
+  items: order.items.map(({ name, optionsLabel, quantity, totalCents }) => ({ name, optionsLabel, quantity, totalCents })),
+  totals: order.totals,
+  promotion: order.promotion || null,
+  // Only the last digits of a gift card used to pay, but the full codes of
+  // gift cards bought: the customer needs those to give them away
+  giftCard: order.giftCard
+    ? { lastFour: getGiftCardLastFour(order.giftCard.code), amountCents: order.giftCard.amountCents }
+    : null,
+  giftCardsIssued: order.giftCardsIssued || [],
+  refunds: (order.refunds || []).map(({ amountCents, giftCardCents, status, createdAt }) => ({ amountCents, giftCardCents, status, createdAt })),
+  delivery: {
+    method: order.delivery.method || FULFILLMENT_METHODS.DELIVERY,
+    city: order.delivery.city,
+    date: order.delivery.date,
+    timeSlot: order.delivery.timeSlot,
+  },
+  statusHistory: order.statusHistory || [],
+});
@@ -0,0 +1,258 @@
+/**
+ * Email Outbox for Little Loaf Cottage Orders
+ *
+ * The emails an order owes (the customer's receipt and the bakery's new
+ * order alert) are kept on the order record itself, as `outbox` entries
+ * written in the same update that records the payment. Nothing depends on
+ * the customer's browser staying open: process-payment tries to deliver them
+ * straight away and the send-outbox scheduled function retries what failed.
+ *
+ * Each entry looks like:
+ *
+ *   { id, template, recipient, status, attempts, nextAttemptAt, lastError,
+ *     createdAt, sentAt }
+ *
+ * - recipient is "customer" or "admin"; the address and the email are worked
+ *   out when sending, so a retry picks up a corrected address
+ * - status is PENDING until sent (SENT) or until MAX_ATTEMPTS tries have
+ *   failed (FAILED), which staff see on the dashboard and can resend
+ * - attempt n waits RETRY_BASE_MINUTES * 2^(n-1) after it fails
+ *
+ * So send-outbox doesn't have to read every order, the "outbox" store indexes
+ * the orders with entries still PENDING:
+ *
+ *   { id: orderId, nextAttemptAt }
+ *
+ * An order is indexed before entries are queued on it, so no crash in between
+ * can hide them, and dropped from the index once none of its entries is
+ * PENDING any more. nextAttemptAt is the earliest retry time of its entries.
+ */
+
+import crypto from 'crypto';
+import { getAdminEmail, sendMail } from './mailer.js';
+import { getOrdersStore } from './orders.js';
+import { getTrackingUrl } from './statusEmails.js';
+import { createStore } from './store.js';
+import { EMAIL_TEMPLATES, renderEmail } from '../../src/shared/emailTemplates.js';
+import { getGiftCardLastFour } from '../../src/shared/giftCards.js';
+
+/**
+ * Outbox entry statuses
+ */
+export const OUTBOX_STATUS = {
+  PENDING: 'PENDING',
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+};
+
+// Tries before an entry is left for staff to resend
+const MAX_ATTEMPTS = 6;
+
+// Wait after the first failed try; doubles with each one after (5, 10, 20... minutes)
+const RETRY_BASE_MINUTES = 5;
+
+/**
+ * Returns the store indexing the orders with emails to send
+ * @returns {Object} Store for the "outbox" collection
+ */
+const getOutboxIndexStore = () => createStore('outbox');
+
+/**
+ * Builds the outbox entries for a newly paid order
+ * @returns {Array} Outbox entries, ready to store on the order
+ */
+export const createOrderNotifications = () => {
+  const now = new Date().toISOString();
+  const entry = (template, recipient) => ({
+    id: crypto.randomUUID(),
+    template,
+    recipient,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    sentAt: null,
+  });
+  return [
+    entry(EMAIL_TEMPLATES.ORDER_CONFIRMATION, 'customer'),
+    entry(EMAIL_TEMPLATES.ADMIN_NEW_ORDER, 'admin'),
+  ];
+};
+
+/**
+ * Checks whether an entry should be tried now
+ * @param {Object} entry - Outbox entry
+ * @param {Date} now - Current time
+ * @returns {boolean} True if pending and its wait is over
+ */
+const isDue = (entry, now) => entry.status === OUTBOX_STATUS.PENDING && new Date(entry.nextAttemptAt) <= now;
+
+/**
+ * Checks whether an order has outbox entries to try now
+ * @param {Object} order - Order record
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {boolean} True if any entry is due
+ */
+export const hasDueNotifications = (order, now = new Date()) => (order.outbox || []).some(entry => isDue(entry, now));
+
+/**
+ * Indexes an order so send-outbox tries its emails on the next run
+ * Call it before queuing entries on the order. Callers must have called
+ * connectStore first.
+ * @param {string} orderId - Order id
+ * @returns {Promise<Object>} Index record
+ */
+export const queueOrderNotifications = (orderId) => (
+  getOutboxIndexStore().put(orderId, { id: orderId, nextAttemptAt: new Date().toISOString() })
+);
+
+/**
+ * Brings an order's index record in line with its outbox: the earliest retry
+ * of its pending entries, or no record when none is pending
+ * An entry queued while the record is being removed is caught by reading the
+ * order again afterwards; those entries are queued after their index write.
+ * @param {string} orderId - Order id
+ * @param {Object|null} order - Order record as last read, or null if there is none
+ */
+const syncOutboxIndex = async (orderId, order) => {
+  const index = getOutboxIndexStore();
+  const nextAttemptAt = (current) => ((current && current.outbox) || [])
+    .filter(entry => entry.status === OUTBOX_STATUS.PENDING)
+    .map(entry => entry.nextAttemptAt)
+    .sort()[0];
+
+  if (nextAttemptAt(order)) {
+    await index.put(orderId, { id: orderId, nextAttemptAt: nextAttemptAt(order) });
+    return;
+  }
+  await index.remove(orderId);
+  const latest = await getOrdersStore().get(orderId);
+  if (nextAttemptAt(latest)) {
+    await index.put(orderId, { id: orderId, nextAttemptAt: nextAttemptAt(latest) });
+  }
+};
+
+/**
+ * Renders the email for an outbox entry from the current order
+ * The templates show a gift card payment by its last four characters
+ * @param {Object} order - Order record
+ * @param {Object} entry - Outbox entry
+ * @returns {Object} { to, subject, text, html }
+ * @throws {Error} If the entry has no one to go to
+ */
+const buildEntryEmail = (order, entry) => {
+  const to = entry.recipient === 'admin' ? getAdminEmail() : order.customer.email;
+  if (!to) {
+    throw new Error(`No ${entry.recipient} email address configured`);
+  }
+  const emailOrder = {
+    ...order,
+    giftCard: order.giftCard && { lastFour: getGiftCardLastFour(order.giftCard.code), amountCents: order.giftCard.amountCents },
+  };
+  return { to, ...renderEmail(entry.template, { order: emailOrder, trackingUrl: getTrackingUrl(order.id) }) };
+};
+
+/**
+ * Applies changes to one outbox entry of an order
+ * @param {Object} order - Order record
+ * @param {string} entryId - Outbox entry id
+ * @param {Object} changes - Fields to set
+ * @returns {Object} Updated order record
+ */
+const withEntry = (order, entryId, changes) => ({
+  ...order,
+  outbox: (order.outbox || []).map(entry => (entry.id === entryId ? { ...entry, ...changes } : entry)),
+});
+
+/**
+ * Sends an order's due outbox entries, then updates the order's index record
+ * Each try is recorded before sending, pushing the entry's next attempt out.
+ * store.update only writes if the order hasn't changed since it was read (an
+ * etag check on Netlify Blobs), so of two runs at the same time only one
+ * claims an entry and the other leaves it alone. Callers must have called
+ * connectStore first.
+ * @param {string} orderId - Order id
+ * @returns {Promise<Object|null>} Updated order record, or null if there is no such order
+ */
+export const deliverOrderNotifications = async (orderId) => {
+  const store = getOrdersStore();
+  const now = new Date();
+  const due = [];
+  const claimed = await store.update(orderId, (current) => ({
+    ...current,
+    outbox: (current.outbox || []).map((entry) => {
+      if (!isDue(entry, now)) return entry;
+      const attempts = entry.attempts + 1;
+      const retryAt = new Date(now.getTime() + RETRY_BASE_MINUTES * 2 ** (attempts - 1) * 60 * 1000);
+      const next = { ...entry, attempts, nextAttemptAt: retryAt.toISOString() };
+      due.push(next);
+      return next;
+    }),
+  }));
+  if (!claimed || due.length === 0) {
+    await syncOutboxIndex(orderId, claimed);
+    return claimed;
+  }
+
+  let order = claimed;
+  for (const entry of due) {
+    try {
+      await sendMail(buildEntryEmail(order, entry));
+      order = await store.update(order.id, current => withEntry(current, entry.id, {
+        status: OUTBOX_STATUS.SENT,
+        sentAt: new Date().toISOString(),
+        lastError: null,
+      })) || order;
+    } catch (sendError) {
+      const message = (sendError && sendError.message) || 'Email sending failed';
+      // eslint-disable-next-line no-console
+      console.error('[outbox] email failed', { orderId: order.id, template: entry.template, attempt: entry.attempts, error: message });
+      order = await store.update(order.id, current => withEntry(current, entry.id, {
+        status: entry.attempts >= MAX_ATTEMPTS ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+        lastError: message,
+      })) || order;
+    }
+  }
+  await syncOutboxIndex(orderId, order);
+  return order;
+};
+
+/**
+ * Sends the due outbox entries of every order in the index
+ * @returns {Promise<Object>} { orders } - how many orders had entries to send
+ */
+export const deliverDueNotifications = async () => {
+  const now = new Date();
+  const queued = (await getOutboxIndexStore().list()).filter(record => new Date(record.nextAttemptAt) <= now);
+  for (const record of queued) {
+    try {
+      await deliverOrderNotifications(record.id);
+    } catch (error) {
+      // Keep going; this order is tried again on the next run
+      // eslint-disable-next-line no-console
+      console.error('[outbox] delivery failed', { orderId: record.id, error: error && error.message });
+    }
+  }
+  return { orders: queued.length };
+};
+
+/**
+ * Queues an outbox entry to be sent again now (staff "Resend"), then sends it
+ * Works for failed entries and, to send another copy, for sent ones.
+ * Callers must have called connectStore first.
+ * @param {string} orderId - Order id
+ * @param {string} entryId - Outbox entry id
+ * @returns {Promise<Object|null>} Updated order record, or null if there is no such order or entry
+ */
+export const resendNotification = async (orderId, entryId) => {
+  const order = await getOrdersStore().get(orderId);
+  if (!order || !(order.outbox || []).some(entry => entry.id === entryId)) return null;
+  await queueOrderNotifications(orderId);
+  await getOrdersStore().update(orderId, current => withEntry(current, entryId, {
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+  }));
+  return deliverOrderNotifications(orderId);
+};
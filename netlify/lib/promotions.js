@@ -0,0 +1,123 @@
+/**
+ * Promo Codes for Little Loaf Cottage
+ *
+ * The promo codes we run and how often each can be used. Kept server-side so
+ * codes can't be read out of the browser bundle; how a rule changes the price
+ * lives in src/shared/promotions.js.
+ *
+ * Edit the table below to start or end a promotion.
+ */
+
+import { ORDER_STATUS } from '../../src/shared/orderStatus.js';
+import { PROMOTION_TYPES } from '../../src/shared/promotions.js';
+
+/**
+ * Promotions
+ * Each promotion contains:
+ * - code: What the customer types (matched case-insensitively)
+ * - type: One of PROMOTION_TYPES, plus the fields that type needs
+ *   (percentOff, amountOffCents, or itemId / buyQuantity / getQuantity)
+ * - description: Shown to the customer once the code is applied
+ * - startsOn / expiresOn: Optional first and last day as "YYYY-MM-DD" (bakery time)
+ * - minimumOrderCents: Optional smallest subtotal the code works on
+ * - usageLimit: Optional number of paid orders that can use the code
+ * - perCustomerLimit: Optional number of paid orders per email address
+ */
+export const PROMOTIONS = [
+  {
+    code: 'FALLHARVEST',
+    type: PROMOTION_TYPES.PERCENT_OFF,
+    percentOff: 10,
+    description: '10% off your order',
+    startsOn: '2026-09-01',
+    expiresOn: '2026-11-30',
+    minimumOrderCents: 2000,
+    usageLimit: 200
+  },
+  {
+    code: 'WELCOME5',
+    type: PROMOTION_TYPES.FIXED_AMOUNT,
+    amountOffCents: 500,
+    description: '$5 off your first order',
+    minimumOrderCents: 2500,
+    perCustomerLimit: 1
+  },
+  {
+    code: 'FREEDELIVERY',
+    type: PROMOTION_TYPES.FREE_DELIVERY,
+    description: 'Free delivery',
+    expiresOn: '2026-12-31',
+    minimumOrderCents: 3000
+  },
+  {
+    code: 'DONUTDEAL',
+    type: PROMOTION_TYPES.BUY_X_GET_Y,
+    itemId: 'apple-cider-donut',
+    buyQuantity: 2,
+    getQuantity: 1,
+    description: 'Buy 2 apple cider donut packs, get 1 free',
+    startsOn: '2026-09-01',
+    expiresOn: '2026-11-30',
+    usageLimit: 100
+  },
+];
+
+/**
+ * Normalizes a promo code as typed by the customer
+ * @param {string} code - Promo code
+ * @returns {string} Trimmed, upper-case code
+ */
+export const normalizePromoCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Looks up a promotion by code
+ * @param {string} code - Promo code as typed by the customer
+ * @returns {Object|undefined} The promotion, or undefined if there is no such code
+ */
+export const findPromotion = (code) => {
+  const normalized = normalizePromoCode(code);
+  return normalized ? PROMOTIONS.find(promotion => promotion.code === normalized) : undefined;
+};
+
+/**
+ * Returns the parts of a promotion the Order page needs to price with it
+ * (everything except the usage limits)
+ * @param {Object} promotion - Promotion
+ * @returns {Object} Public promotion rule
+ */
+export const toPublicPromotion = (promotion) => {
+  const rule = { ...promotion };
+  delete rule.usageLimit;
+  delete rule.perCustomerLimit;
+  return rule;
+};
+
+/**
+ * Checks a promotion's usage limits against the orders already paid with it
+ * Unpaid, cancelled and refunded orders don't use up a code
+ * @param {Object} promotion - Promotion
+ * @param {Array} orders - Order records
+ * @param {Object} options - Optional settings
+ * @param {string} options.email - Customer email, for perCustomerLimit
+ * @param {string} options.excludeOrderId - Order to leave out, e.g. the one being paid for
+ * @returns {string|null} Why the code can't be used, or null if it can
+ */
+export const getPromotionUsageError = (promotion, orders, { email, excludeOrderId } = {}) => {
+  const uses = orders.filter(order => (
+    order.id !== excludeOrderId
+    && order.promotion && order.promotion.code === promotion.code
+    && order.status !== ORDER_STATUS.PENDING_PAYMENT
+    && order.status !== ORDER_STATUS.CANCELLED
+    && order.status !== ORDER_STATUS.REFUNDED
+  ));
+
+  if (promotion.usageLimit !== undefined && uses.length >= promotion.usageLimit) {
+    return `Sorry, promo code ${promotion.code} has been used up`;
+  }
+  const customerEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (promotion.perCustomerLimit !== undefined && customerEmail
+    && uses.filter(order => order.customer.email === customerEmail).length >= promotion.perCustomerLimit) {
+    return `Promo code ${promotion.code} has already been used with this email address`;
+  }
+  return null;
+};
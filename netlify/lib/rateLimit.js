@@ -0,0 +1,50 @@
+/**
+ * Rate Limits for Little Loaf Cottage Netlify Functions
+ *
+ * Counts how often something happens (e.g. contact form messages from one
+ * visitor) in the "rate-limits" store and says when it has happened too
+ * often. Each key keeps the times of its recent hits:
+ *
+ *   { id, hits: [ISO timestamp, ...] }
+ *
+ * Keys are hashed before they are stored, so the store holds no email or IP
+ * addresses. Hits older than the window are dropped whenever a key is counted.
+ */
+
+import crypto from 'crypto';
+import { createStore } from './store.js';
+
+/**
+ * Returns the store holding rate limit counters
+ * @returns {Object} Store for the "rate-limits" collection
+ */
+const getRateLimitStore = () => createStore('rate-limits');
+
+/**
+ * Counts a hit against a limit, unless the limit has been reached
+ * Callers must have called connectStore first.
+ * @param {string} key - What is limited, e.g. "contact-ip:203.0.113.7"
+ * @param {Object} limit - Limit to apply
+ * @param {number} limit.max - Most hits allowed within the window
+ * @param {number} limit.windowSeconds - Length of the window
+ * @returns {Promise<boolean>} True if the hit was counted, false if the limit was reached
+ */
+export const takeRateLimit = async (key, { max, windowSeconds }) => {
+  const store = getRateLimitStore();
+  const id = crypto.createHash('sha256').update(key).digest('hex');
+  const now = Date.now();
+  const since = now - windowSeconds * 1000;
+
+  // Reset on every call, since update may run the updater more than once
+  let allowed = false;
+  const updated = await store.update(id, (current) => {
+    const hits = current.hits.filter(hit => Date.parse(hit) > since);
+    allowed = hits.length < max;
+    return { ...current, hits: allowed ? [...hits, new Date(now).toISOString()] : hits };
+  });
+  if (updated) return allowed;
+
+  // First hit for this key, unless another request created it meanwhile
+  if (await store.create(id, { id, hits: [new Date(now).toISOString()] })) return true;
+  return takeRateLimit(key, { max, windowSeconds });
+};
@@ -0,0 +1,110 @@
+/* global process, Buffer */
+/**
+ * Square API Client for Little Loaf Cottage Netlify Functions
+ *
+ * Small wrapper around Square's REST API for server-side calls such as
+ * refunds, plus the signature check for Square webhooks. Reads the same
+ * environment variables as process-payment.
+ *
+ * Environment Variables Required:
+ * - SQUARE_ACCESS_TOKEN: Square access token
+ * - SQUARE_LOCATION_ID: Square location ID
+ * - SQUARE_ENVIRONMENT: "sandbox" (default) or "production"
+ * - SQUARE_WEBHOOK_SIGNATURE_KEY: signature key of the webhook subscription (square-webhook only)
+ *
+ * Environment Variables (optional):
+ * - SQUARE_API_BASE_URL: send API calls here instead of Square, e.g. a local
+ *   stub of the Square API while developing
+ */
+
+import crypto from 'crypto';
+
+// Square API version sent with every request
+export const SQUARE_API_VERSION = '2023-10-18';
+
+/**
+ * Reads the Square settings from the environment
+ * Both canonical and VITE_ variants are accepted, as in process-payment
+ * @returns {Object} { accessToken, locationId, environment, baseUrl }
+ */
+export const getSquareConfig = () => {
+  const environment = process.env.SQUARE_ENVIRONMENT || process.env.VITE_SQUARE_ENVIRONMENT || 'sandbox';
+  return {
+    accessToken: process.env.SQUARE_ACCESS_TOKEN || process.env.VITE_SQUARE_ACCESS_TOKEN,
+    locationId: process.env.SQUARE_LOCATION_ID || process.env.VITE_SQUARE_LOCATION_ID,
+    environment,
+    baseUrl: process.env.SQUARE_API_BASE_URL
+      ? process.env.SQUARE_API_BASE_URL.replace(/\/$/, '')
+      : environment === 'production'
+        ? 'https://connect.squareup.com'
+        : 'https://connect.squareupsandbox.com',
+  };
+};
+
+/**
+ * Checks whether Square credentials are configured
+ * @returns {boolean} True if Square can be called
+ */
+export const isSquareConfigured = () => {
+  const { accessToken, locationId } = getSquareConfig();
+  return Boolean(accessToken && locationId);
+};
+
+/**
+ * Joins the error details in a Square response
+ * @param {Object} data - Parsed Square response body
+ * @param {string} fallback - Message to use when Square gave no details
+ * @returns {string} Error message
+ */
+export const getSquareErrorMessage = (data, fallback) => (
+  data && Array.isArray(data.errors) && data.errors.length > 0
+    ? data.errors.map(err => err.detail || err.code).join(', ')
+    : fallback
+);
+
+/**
+ * Calls the Square API
+ * @param {string} path - API path, e.g. "/v2/refunds"
+ * @param {Object} options - Optional settings
+ * @param {string} options.method - HTTP method (defaults to GET, or POST when there is a body)
+ * @param {Object} options.body - JSON request body
+ * @returns {Promise<Object>} { ok, status, data } where data is the parsed response body
+ */
+export const squareRequest = async (path, { method, body } = {}) => {
+  const { accessToken, baseUrl } = getSquareConfig();
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: method || (body ? 'POST' : 'GET'),
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${accessToken}`,
+      'Square-Version': SQUARE_API_VERSION
+    },
+    ...(body ? { body: JSON.stringify(body) } : {})
+  });
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch {
+    // Leave data empty; callers fall back to a generic message
+  }
+  return { ok: response.ok, status: response.status, data };
+};
+
+/**
+ * Checks the signature Square puts on a webhook delivery
+ * Square signs the notification URL followed by the raw body with
+ * HMAC-SHA256 and sends it base64-encoded in x-square-hmacsha256-signature.
+ * @param {Object} delivery - Webhook delivery
+ * @param {string} delivery.body - Raw request body, exactly as received
+ * @param {string} delivery.signature - Value of the signature header
+ * @param {string} delivery.notificationUrl - URL the subscription posts to, as entered in Square
+ * @param {string} delivery.signatureKey - Subscription's signature key
+ * @returns {boolean} True if the delivery really came from Square
+ */
+export const isValidWebhookSignature = ({ body, signature, notificationUrl, signatureKey }) => {
+  if (!signature || !signatureKey || !notificationUrl) return false;
+  const expected = crypto.createHmac('sha256', signatureKey).update(notificationUrl + body).digest();
+  const received = Buffer.from(String(signature), 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
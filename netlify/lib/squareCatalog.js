@@ -0,0 +1,258 @@
+/**
+ * Menu Catalog Synced from Square for Little Loaf Cottage
+ *
+ * Items are maintained in Square for in-store sales. syncCatalog pulls the
+ * items, their variations, categories and images from the Square Catalog API
+ * and stores them in the "catalog" store as one record:
+ *
+ *   { id: "menu", syncedAt, categories, items }
+ *
+ * in the shapes documented in src/shared/catalog.js, so the Menu page and
+ * the pricing functions can use it in place of the bundled lists.
+ *
+ * Square items are matched to bundled ones by id, which is the item name in
+ * lower case with dashes (e.g. "Artisan Sourdough" -> "artisan-sourdough").
+ * Square categories are matched to bundled ones by name or squareNames, since
+ * the bundled category sets the tax class. A Square category that matches
+ * none, or an item in no category that isn't bundled, fails the sync rather
+ * than going on sale at the wrong tax rate.
+ * Square supplies names, descriptions, prices, availability and photos; the
+ * bundled item supplies what Square doesn't have (emoji, lead time, season,
+ * featured, gift card). An item with one variation keeps the bundled item's
+ * options; one with several gets them as a single option, reusing the bundled
+ * option and choice ids when the names match so saved carts keep working.
+ * Either way the Square variation ids are kept (squareVariationId), so the
+ * Square Order for a payment can refer to the catalog items.
+ * Bundled items marked onlineOnly (gift cards) are kept; any other item
+ * missing from Square is left off the menu.
+ */
+
+import { getSquareConfig, getSquareErrorMessage, squareRequest } from './square.js';
+import { createStore } from './store.js';
+import { catalogCategories, catalogItems, setActiveCatalog } from '../../src/shared/catalog.js';
+
+// Id of the record holding the synced catalog
+const CATALOG_RECORD_ID = 'menu';
+
+// Item fields that only the bundled catalog has
+const BUNDLED_ONLY_FIELDS = ['emoji', 'image', 'featured', 'leadTimeHours', 'season', 'giftCard', 'onlineOnly'];
+
+/**
+ * Returns the store holding the synced catalog
+ * @returns {Object} Store for the "catalog" collection
+ */
+export const getCatalogStore = () => createStore('catalog');
+
+/**
+ * Turns a Square name into a catalog id, e.g. "Half Dozen" -> "half-dozen"
+ * @param {string} name - Name in Square
+ * @returns {string} Id
+ */
+const toCatalogId = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Finds the bundled category a Square category stands for
+ * @param {Object} squareCategory - Square CATEGORY object
+ * @returns {Object|undefined} Bundled category
+ */
+const findBundledCategory = (squareCategory) => {
+  const id = toCatalogId(squareCategory.category_data.name);
+  return catalogCategories.find(category => (
+    [category.name, ...(category.squareNames || [])].some(name => toCatalogId(name) === id)
+  ));
+};
+
+/**
+ * Checks whether a Square catalog object is sold at a location
+ * @param {Object} object - Square catalog object
+ * @param {string} locationId - Square location ID
+ * @returns {boolean} True if present at the location
+ */
+const isPresentAt = (object, locationId) => (
+  object.present_at_all_locations !== false
+    ? !(object.absent_at_location_ids || []).includes(locationId)
+    : (object.present_at_location_ids || []).includes(locationId)
+);
+
+/**
+ * Checks whether a variation is marked sold out at a location
+ * @param {Object} variation - Square ITEM_VARIATION object
+ * @param {string} locationId - Square location ID
+ * @returns {boolean} True if sold out
+ */
+const isSoldOutAt = (variation, locationId) => (
+  (variation.item_variation_data.location_overrides || [])
+    .some(override => override.location_id === locationId && override.sold_out)
+);
+
+/**
+ * Builds the options of an item with several variations
+ * @param {Array} variations - Priced Square variations, cheapest first
+ * @param {Object|undefined} bundled - Bundled item with the same id
+ * @returns {Array} One option whose choices are the variations
+ */
+const toVariationOptions = (variations, bundled) => {
+  const bundledOption = bundled && bundled.options && bundled.options.length === 1 ? bundled.options[0] : null;
+  const basePriceCents = variations[0].item_variation_data.price_money.amount;
+  return [{
+    id: bundledOption ? bundledOption.id : 'variation',
+    label: bundledOption ? bundledOption.label : 'Choice',
+    choices: variations.map(variation => {
+      const { name, price_money: price } = variation.item_variation_data;
+      const bundledChoice = bundledOption
+        && bundledOption.choices.find(choice => choice.label.toLowerCase() === String(name).toLowerCase());
+      return {
+        id: bundledChoice ? bundledChoice.id : toCatalogId(name),
+        label: name,
+        priceDeltaCents: price.amount - basePriceCents,
+        squareVariationId: variation.id,
+      };
+    }),
+  }];
+};
+
+/**
+ * Converts Square catalog objects into the catalog shapes, merged with the
+ * bundled catalog as described above
+ * @param {Array} objects - Square ITEM, CATEGORY and IMAGE objects
+ * @param {Object} options - Settings
+ * @param {string} options.locationId - Square location ID whose items are sold online
+ * @returns {Object} { categories, items }
+ * @throws {Error} If a category or an item can't be given a tax class
+ */
+export const buildCatalog = (objects, { locationId }) => {
+  const live = objects.filter(object => !object.is_deleted);
+  const squareCategories = new Map(live.filter(object => object.type === 'CATEGORY').map(object => [object.id, object]));
+  const imageUrls = new Map(live
+    .filter(object => object.type === 'IMAGE' && object.image_data && object.image_data.url)
+    .map(object => [object.id, object.image_data.url]));
+
+  // Items whose category has no tax class, described for the error
+  const untaxed = [];
+  const items = live
+    .filter(object => object.type === 'ITEM' && object.item_data && !object.item_data.is_archived && isPresentAt(object, locationId))
+    .map((object) => {
+      const data = object.item_data;
+      const id = toCatalogId(data.name);
+      const bundled = catalogItems.find(item => item.id === id);
+
+      // Variations without a fixed price are rung up by hand in the shop
+      const variations = (data.variations || [])
+        .filter(variation => variation.item_variation_data
+          && variation.item_variation_data.price_money
+          && isPresentAt(variation, locationId))
+        .sort((a, b) => a.item_variation_data.price_money.amount - b.item_variation_data.price_money.amount);
+      if (variations.length === 0) return null;
+      const inStock = variations.filter(variation => !isSoldOutAt(variation, locationId));
+      const offered = inStock.length > 0 ? inStock : variations;
+
+      const imageUrl = (data.image_ids || []).map(imageId => imageUrls.get(imageId)).find(Boolean);
+
+      // The category comes from Square when the item is in one there, otherwise from the bundled item
+      const category = squareCategories.get((data.categories && data.categories[0] && data.categories[0].id) || data.category_id);
+      const bundledCategory = category
+        ? findBundledCategory(category)
+        : catalogCategories.find(entry => bundled && entry.id === bundled.category);
+      if (!bundledCategory) {
+        untaxed.push(category ? `${data.name} (category "${category.category_data.name}")` : `${data.name} (no category)`);
+        return null;
+      }
+
+      const bundledFields = bundled
+        ? Object.fromEntries(BUNDLED_ONLY_FIELDS.filter(field => field in bundled).map(field => [field, bundled[field]]))
+        : {};
+      return {
+        ...bundledFields,
+        id,
+        name: data.name,
+        priceCents: offered[0].item_variation_data.price_money.amount,
+        description: data.description || (bundled ? bundled.description : ''),
+        emoji: bundledFields.emoji || '🥐',
+        category: bundledCategory.id,
+        available: inStock.length > 0 && (!bundled || bundled.available !== false),
+        ...(imageUrl ? { imageUrl } : {}),
+        ...(offered.length > 1
+          ? { options: toVariationOptions(offered, bundled) }
+          : { squareVariationId: offered[0].id, ...(bundled && bundled.options ? { options: bundled.options } : {}) }),
+      };
+    })
+    .filter(Boolean);
+
+  if (untaxed.length > 0) {
+    throw new Error(`No tax class for ${untaxed.join(', ')}; add the Square category to squareNames in src/shared/catalog.js`);
+  }
+
+  // Keep what is only sold online
+  catalogItems
+    .filter(item => item.onlineOnly && !items.some(synced => synced.id === item.id))
+    .forEach(item => items.push(item));
+
+  // Bundled items first, in their order, then new ones as Square lists them
+  const bundledIndex = (list, id) => {
+    const index = list.findIndex(entry => entry.id === id);
+    return index === -1 ? list.length : index;
+  };
+  items.sort((a, b) => bundledIndex(catalogItems, a.id) - bundledIndex(catalogItems, b.id));
+
+  const categories = catalogCategories.filter(category => items.some(item => item.category === category.id));
+
+  return { categories, items };
+};
+
+/**
+ * Lists every item, category and image in the Square catalog
+ * @returns {Promise<Array>} Square catalog objects
+ * @throws {Error} If Square returns an error
+ */
+const fetchSquareCatalog = async () => {
+  const objects = [];
+  let cursor;
+  do {
+    const query = new URLSearchParams({ types: 'ITEM,CATEGORY,IMAGE', ...(cursor ? { cursor } : {}) });
+    const { ok, status, data } = await squareRequest(`/v2/catalog/list?${query}`);
+    if (!ok) {
+      throw new Error(`Square catalog request failed (${status}): ${getSquareErrorMessage(data, 'no details')}`);
+    }
+    objects.push(...(data.objects || []));
+    cursor = data.cursor;
+  } while (cursor);
+  return objects;
+};
+
+/**
+ * Pulls the catalog from Square and stores it as the synced catalog
+ * Callers must have called connectStore first.
+ * @returns {Promise<Object>} Stored record { id, syncedAt, categories, items }
+ * @throws {Error} If Square can't be reached or lists nothing we can sell
+ */
+export const syncCatalog = async () => {
+  const { locationId } = getSquareConfig();
+  const { categories, items } = buildCatalog(await fetchSquareCatalog(), { locationId });
+  if (!items.some(item => !item.onlineOnly)) {
+    // Most likely the wrong location; keep the menu we have
+    throw new Error('Square catalog has no items for this location');
+  }
+
+  const record = { id: CATALOG_RECORD_ID, syncedAt: new Date().toISOString(), categories, items };
+  await getCatalogStore().put(CATALOG_RECORD_ID, record);
+  setActiveCatalog(record);
+  return record;
+};
+
+/**
+ * Returns the synced catalog, if sync-catalog has run
+ * @returns {Promise<Object|null>} Stored record, or null
+ */
+export const getSyncedCatalog = () => getCatalogStore().get(CATALOG_RECORD_ID);
+
+/**
+ * Points the shared catalog lookups at the synced catalog (or back at the
+ * bundled one when there is none), so prices come from Square
+ * Call it after connectStore in every function that prices or looks up items.
+ * @returns {Promise<Object|null>} Synced catalog record, or null
+ */
+export const applySyncedCatalog = async () => {
+  const record = await getSyncedCatalog();
+  setActiveCatalog(record);
+  return record;
+};
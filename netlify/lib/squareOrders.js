@@ -0,0 +1,270 @@
+/**
+ * Square Orders for Little Loaf Cottage Netlify Functions
+ *
+ * Mirrors a priced order as a Square Order (line items, taxes, promo
+ * discounts, the delivery fee and a pickup or delivery fulfillment), so the
+ * payment that references it shows what was sold in the Square Dashboard,
+ * its reports and Square POS.
+ *
+ * Lines synced from the Square catalog refer to their item variation
+ * (catalog_object_id); others, like gift cards sold only online, are ad hoc.
+ *
+ * Square works out the order's total itself. pricing.js rounds tax the way
+ * Square does, but createSquareOrder still compares Square's total with ours
+ * and callers don't take payment when they differ.
+ *
+ * A gift card of ours that pays part of the order is recorded in Square as a
+ * second, EXTERNAL tender: both payments are taken with autocomplete off and
+ * then completed together with payForSquareOrder.
+ */
+
+import { getSquareConfig, getSquareErrorMessage, squareRequest } from './square.js';
+import { getCatalogItem } from '../../src/shared/catalog.js';
+import { FULFILLMENT_METHODS } from '../../src/shared/fulfillment.js';
+import { getSlotStartTime } from '../../src/shared/schedule.js';
+
+// Square's limits on an idempotency key and a fulfillment note
+const MAX_IDEMPOTENCY_KEY_LENGTH = 45;
+const MAX_FULFILLMENT_NOTE_LENGTH = 500;
+
+/**
+ * Formats a tax rate the way Square expects a percentage, e.g. 0.0675 -> "6.75"
+ * @param {number} rate - Rate as a fraction
+ * @returns {string} Percentage
+ */
+const toPercentage = (rate) => String(Number((rate * 100).toFixed(4)));
+
+/**
+ * Cuts an idempotency key down to Square's limit, keeping a suffix that tells
+ * the requests of one payment attempt apart
+ * @param {string} key - Key of the payment attempt
+ * @param {string} suffix - e.g. "-order"
+ * @returns {string} Idempotency key
+ */
+const withKeySuffix = (key, suffix) => `${key.slice(0, MAX_IDEMPOTENCY_KEY_LENGTH - suffix.length)}${suffix}`;
+
+/**
+ * Finds the Square item variation a priced line was sold as
+ * The sync stores one per item, or one per choice when the item's variations
+ * became its option (see squareCatalog.js)
+ * @param {Object} line - Priced line from calculateOrderTotals
+ * @returns {string|null} Square catalog object id, or null for items Square doesn't have
+ */
+const getVariationId = (line) => {
+  const item = getCatalogItem(line.id);
+  if (!item) return null;
+  const choice = (item.options || [])
+    .map(option => option.choices.find(candidate => candidate.id === (line.options || {})[option.id]))
+    .find(candidate => candidate && candidate.squareVariationId);
+  return (choice && choice.squareVariationId) || item.squareVariationId || null;
+};
+
+/**
+ * Builds the order's fulfillment: who collects it or where it goes, and when
+ * @param {Object} order - Order record
+ * @returns {Object} Square fulfillment
+ */
+const buildFulfillment = (order) => {
+  const { customer, delivery } = order;
+  const recipient = {
+    display_name: customer.name,
+    email_address: customer.email,
+    phone_number: customer.phone,
+  };
+  const scheduledAt = getSlotStartTime(delivery.date, delivery.timeSlot);
+  const note = delivery.instructions ? delivery.instructions.slice(0, MAX_FULFILLMENT_NOTE_LENGTH) : undefined;
+
+  if (delivery.method === FULFILLMENT_METHODS.PICKUP) {
+    return {
+      type: 'PICKUP',
+      state: 'PROPOSED',
+      pickup_details: { recipient, schedule_type: 'SCHEDULED', pickup_at: scheduledAt, note },
+    };
+  }
+  return {
+    type: 'DELIVERY',
+    state: 'PROPOSED',
+    delivery_details: {
+      recipient: {
+        ...recipient,
+        address: {
+          address_line_1: delivery.address,
+          locality: delivery.city,
+          postal_code: delivery.zipCode,
+          country: 'US',
+        },
+      },
+      schedule_type: 'SCHEDULED',
+      deliver_at: scheduledAt,
+      note,
+    },
+  };
+};
+
+/**
+ * Builds the Square Order for a priced order
+ * Each line carries its tax class and its share of the promo discount, as
+ * calculateOrderTotals worked them out, and our price for it, which
+ * overrides the catalog price in case an option changed it
+ * @param {Object} order - Order record
+ * @param {Object} totals - Result of calculateOrderTotals for the order
+ * @param {Object} options - Settings
+ * @param {string} options.locationId - Square location ID
+ * @param {string} options.currency - Currency code, e.g. "USD"
+ * @returns {Object} Square Order object
+ */
+export const buildSquareOrder = (order, totals, { locationId, currency }) => {
+  const money = (amount) => ({ amount, currency });
+  const taxedClasses = totals.taxes.map(tax => tax.id);
+
+  return {
+    location_id: locationId,
+    reference_id: order.id,
+    line_items: totals.lines.map((line, index) => {
+      const variationId = getVariationId(line);
+      return {
+        uid: `line-${index}`,
+        ...(variationId
+          ? { catalog_object_id: variationId, ...(line.optionsLabel ? { note: line.optionsLabel } : {}) }
+          : { name: line.name, ...(line.optionsLabel ? { variation_name: line.optionsLabel } : {}) }),
+        quantity: String(line.quantity),
+        base_price_money: money(line.unitPriceCents),
+        applied_taxes: taxedClasses.includes(line.taxClass) ? [{ tax_uid: `tax-${line.taxClass}` }] : [],
+        applied_discounts: line.discountCents > 0 ? [{ discount_uid: `discount-${index}` }] : [],
+      };
+    }),
+    taxes: totals.taxes.map(tax => ({
+      uid: `tax-${tax.id}`,
+      name: tax.label,
+      percentage: toPercentage(tax.rate),
+      type: 'ADDITIVE',
+      scope: 'LINE_ITEM',
+    })),
+    // A fixed amount per line, so Square takes off exactly what we did
+    discounts: totals.lines
+      .map((line, index) => line.discountCents > 0 && {
+        uid: `discount-${index}`,
+        name: totals.promotion ? `Promo code ${totals.promotion.code}` : 'Discount',
+        type: 'FIXED_AMOUNT',
+        amount_money: money(line.discountCents),
+        scope: 'LINE_ITEM',
+      })
+      .filter(Boolean),
+    service_charges: totals.deliveryFeeCents > 0 ? [{
+      uid: 'delivery-fee',
+      name: 'Delivery',
+      amount_money: money(totals.deliveryFeeCents),
+      calculation_phase: 'TOTAL_PHASE',
+      taxable: false,
+    }] : [],
+    fulfillments: [buildFulfillment(order)],
+  };
+};
+
+/**
+ * Creates the Square Order for a priced order
+ * Retries with the same payment key get the same Square Order back.
+ * @param {Object} order - Order record
+ * @param {Object} totals - Result of calculateOrderTotals for the order
+ * @param {Object} options - Settings
+ * @param {string} options.idempotencyKey - Key of the payment attempt
+ * @param {string} options.currency - Currency code (defaults to USD)
+ * @returns {Promise<Object>} { squareOrder, matchesTotal }, where matchesTotal says
+ *   whether Square's total equals totals.totalCents
+ * @throws {Error} If Square rejects the order
+ */
+export const createSquareOrder = async (order, totals, { idempotencyKey, currency = 'USD' }) => {
+  const { locationId } = getSquareConfig();
+  const { ok, status, data } = await squareRequest('/v2/orders', {
+    body: {
+      idempotency_key: withKeySuffix(idempotencyKey, '-order'),
+      order: buildSquareOrder(order, totals, { locationId, currency }),
+    },
+  });
+  if (!ok || !data.order) {
+    throw new Error(`Square order failed (${status}): ${getSquareErrorMessage(data, 'no details')}`);
+  }
+  const squareTotal = data.order.total_money ? data.order.total_money.amount : null;
+  return { squareOrder: data.order, matchesTotal: squareTotal === totals.totalCents };
+};
+
+/**
+ * Cancels a Square Order that won't be paid, so it doesn't sit open in Square
+ * @param {Object} squareOrder - Square Order returned by createSquareOrder
+ * @returns {Promise<boolean>} True if Square cancelled it
+ */
+export const cancelSquareOrder = async (squareOrder) => {
+  const { ok } = await squareRequest(`/v2/orders/${encodeURIComponent(squareOrder.id)}`, {
+    method: 'PUT',
+    body: {
+      order: { location_id: squareOrder.location_id, version: squareOrder.version, state: 'CANCELED' },
+    },
+  });
+  return ok;
+};
+
+/**
+ * Takes the part of a Square Order paid with one of our gift cards
+ * Square only knows our gift cards as an outside tender, so this is an
+ * EXTERNAL payment, left open until payForSquareOrder completes it together
+ * with the card payment. Retries with the same payment key get the same
+ * payment back.
+ * @param {Object} squareOrder - Square Order returned by createSquareOrder
+ * @param {Object} options - Settings
+ * @param {number} options.amountCents - Amount the gift card pays
+ * @param {string} options.idempotencyKey - Key of the payment attempt
+ * @param {string} options.currency - Currency code (defaults to USD)
+ * @returns {Promise<Object>} Square payment
+ * @throws {Error} If Square rejects the payment
+ */
+export const createGiftCardPayment = async (squareOrder, { amountCents, idempotencyKey, currency = 'USD' }) => {
+  const { ok, status, data } = await squareRequest('/v2/payments', {
+    body: {
+      idempotency_key: withKeySuffix(idempotencyKey, '-gift'),
+      source_id: 'EXTERNAL',
+      external_details: { type: 'OTHER_GIFT_CARD', source: 'Little Loaf Cottage gift card' },
+      amount_money: { amount: amountCents, currency },
+      order_id: squareOrder.id,
+      reference_id: squareOrder.reference_id,
+      location_id: squareOrder.location_id,
+      autocomplete: false,
+    },
+  });
+  if (!ok || !data.payment) {
+    throw new Error(`Square gift card payment failed (${status}): ${getSquareErrorMessage(data, 'no details')}`);
+  }
+  return data.payment;
+};
+
+/**
+ * Completes a Square Order paid with several payments taken with autocomplete
+ * off, which also completes the payments
+ * @param {Object} squareOrder - Square Order returned by createSquareOrder
+ * @param {Array} paymentIds - Ids of the payments, adding up to the order's total
+ * @param {Object} options - Settings
+ * @param {string} options.idempotencyKey - Key of the payment attempt
+ * @returns {Promise<Object>} Paid Square Order
+ * @throws {Error} If Square won't complete the order
+ */
+export const payForSquareOrder = async (squareOrder, paymentIds, { idempotencyKey }) => {
+  const { ok, status, data } = await squareRequest(`/v2/orders/${encodeURIComponent(squareOrder.id)}/pay`, {
+    body: {
+      idempotency_key: withKeySuffix(idempotencyKey, '-pay'),
+      payment_ids: paymentIds,
+    },
+  });
+  if (!ok || !data.order) {
+    throw new Error(`Square could not complete the order (${status}): ${getSquareErrorMessage(data, 'no details')}`);
+  }
+  return data.order;
+};
+
+/**
+ * Cancels a payment taken with autocomplete off, so nothing is charged
+ * @param {string} paymentId - Square payment id
+ * @returns {Promise<boolean>} True if Square cancelled it
+ */
+export const cancelSquarePayment = async (paymentId) => {
+  const { ok } = await squareRequest(`/v2/payments/${encodeURIComponent(paymentId)}/cancel`, { method: 'POST' });
+  return ok;
+};
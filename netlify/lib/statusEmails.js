@@ -0,0 +1,42 @@
+/* global process */
+/**
+ * Order Status Emails for Little Loaf Cottage
+ *
+ * Builds the customer email sent when staff move an order to a new status
+ * or refund it, with a link to the order tracking page. The copy and layout
+ * live in src/shared/emailTemplates.js.
+ */
+
+import { EMAIL_TEMPLATES, renderEmail } from '../../src/shared/emailTemplates.js';
+
+/**
+ * Returns the public tracking page URL for an order
+ * Netlify sets URL to the site's primary address; SITE_URL can override it
+ * @param {string} orderId - Order id
+ * @returns {string} Tracking page URL
+ */
+export const getTrackingUrl = (orderId) => {
+  const siteUrl = (process.env.SITE_URL || process.env.URL || '').replace(/\/$/, '');
+  return `${siteUrl}/orders/${encodeURIComponent(orderId)}`;
+};
+
+/**
+ * Builds the status update email for an order
+ * @param {Object} order - Order record (already in its new status)
+ * @returns {Object|null} { to, subject, text, html }, or null if this status sends no email
+ */
+export const buildStatusEmail = (order) => {
+  const email = renderEmail(EMAIL_TEMPLATES.ORDER_STATUS, { order, trackingUrl: getTrackingUrl(order.id) });
+  return email && { to: order.customer.email, ...email };
+};
+
+/**
+ * Builds the refund notice for an order
+ * @param {Object} order - Order record (with the refund already recorded)
+ * @param {Object} refund - { amountCents, giftCardCents, reason } of the refund just issued
+ * @returns {Object} { to, subject, text, html }
+ */
+export const buildRefundEmail = (order, refund) => ({
+  to: order.customer.email,
+  ...renderEmail(EMAIL_TEMPLATES.REFUND, { order, refund, trackingUrl: getTrackingUrl(order.id) }),
+});
@@ -0,0 +1,231 @@
+/* global process */
+/**
+ * Pluggable Record Store for Little Loaf Cottage Netlify Functions
+ *
+ * Functions persist records (orders, etc.) through `createStore(collection)`
+ * and never talk to a storage backend directly. Every adapter implements the
+ * same small async interface:
+ *
+ *   get(id)              -> record or null
+ *   list()               -> array of records
+ *   put(id, record)      -> record
+ *   create(id, record)   -> record, or null if the id is already taken
+ *   update(id, updater)  -> updated record, or null if the id is unknown
+ *   remove(id)           -> void
+ *
+ * `update` is atomic: no other change to the record can land between reading
+ * it and writing what `updater` returns. An adapter may call `updater` more
+ * than once (e.g. after losing a race), so it must only derive the new record
+ * from the one it is given. `create` is atomic too: when two calls race for
+ * the same id exactly one of them gets the record back, so it can be used to
+ * claim an id.
+ *
+ * Handlers call `connectStore(event)` once before using a store.
+ *
+ * Adapters:
+ * - file:   one JSON file per collection under DATA_DIR (default for local dev)
+ * - blobs:  Netlify Blobs (default when running on Netlify)
+ * - memory: in-process only, handy for quick experiments
+ *
+ * Environment Variables (optional):
+ * - DATA_STORE selects the adapter (file, blobs or memory)
+ * - DATA_DIR sets the folder used by the file adapter (default ./.data)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// ===== FILE ADAPTER =====
+
+// Serializes read-modify-write cycles per file so concurrent calls in the
+// same process (e.g. `netlify dev`) cannot overwrite each other's changes
+const fileLocks = new Map();
+
+const withFileLock = (file, task) => {
+  const previous = fileLocks.get(file) || Promise.resolve();
+  const next = previous.then(task, task);
+  fileLocks.set(file, next.catch(() => {}));
+  return next;
+};
+
+const createFileAdapter = (collection) => {
+  const dir = path.resolve(process.env.DATA_DIR || '.data');
+  const file = path.join(dir, `${collection}.json`);
+
+  const readAll = async () => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  };
+
+  const writeAll = async (records) => {
+    await fs.mkdir(dir, { recursive: true });
+    // Write to a temp file first so a crash never leaves half-written JSON behind
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(records, null, 2));
+    await fs.rename(tmpFile, file);
+  };
+
+  return {
+    get: async (id) => (await readAll())[id] || null,
+    list: async () => Object.values(await readAll()),
+    put: (id, record) => withFileLock(file, async () => {
+      const records = await readAll();
+      records[id] = record;
+      await writeAll(records);
+      return record;
+    }),
+    create: (id, record) => withFileLock(file, async () => {
+      const records = await readAll();
+      if (records[id]) return null;
+      records[id] = record;
+      await writeAll(records);
+      return record;
+    }),
+    update: (id, updater) => withFileLock(file, async () => {
+      const records = await readAll();
+      if (!records[id]) return null;
+      records[id] = updater(records[id]);
+      await writeAll(records);
+      return records[id];
+    }),
+    remove: (id) => withFileLock(file, async () => {
+      const records = await readAll();
+      delete records[id];
+      await writeAll(records);
+    }),
+  };
+};
+
+// ===== NETLIFY BLOBS ADAPTER =====
+
+// Reads and conditional writes an update tries before giving up, when other
+// requests keep changing the same record
+const MAX_BLOB_UPDATE_ATTEMPTS = 5;
+
+const createBlobsAdapter = (collection) => {
+  // Imported lazily so local runs never need Netlify credentials
+  const getBlobStore = async () => {
+    const { getStore } = await import('@netlify/blobs');
+    return getStore(`little-loaf-${collection}`);
+  };
+
+  return {
+    get: async (id) => (await getBlobStore()).get(id, { type: 'json' }),
+    list: async () => {
+      const blobStore = await getBlobStore();
+      const { blobs } = await blobStore.list();
+      const records = await Promise.all(blobs.map(blob => blobStore.get(blob.key, { type: 'json' })));
+      return records.filter(Boolean);
+    },
+    put: async (id, record) => {
+      await (await getBlobStore()).setJSON(id, record);
+      return record;
+    },
+    create: async (id, record) => {
+      const { modified } = await (await getBlobStore()).setJSON(id, record, { onlyIfNew: true });
+      return modified ? record : null;
+    },
+    // Blobs has no locks, so write only if the record still has the etag it
+    // was read with, and start over from the newer record if it doesn't
+    update: async (id, updater) => {
+      const blobStore = await getBlobStore();
+      for (let attempt = 1; attempt <= MAX_BLOB_UPDATE_ATTEMPTS; attempt++) {
+        const current = await blobStore.getWithMetadata(id, { type: 'json' });
+        if (!current) return null;
+        const updated = updater(current.data);
+        const { modified } = await blobStore.setJSON(id, updated, { onlyIfMatch: current.etag });
+        if (modified) return updated;
+      }
+      throw new Error(`Could not update ${collection} record ${id}: it kept changing`);
+    },
+    remove: async (id) => (await getBlobStore()).delete(id),
+  };
+};
+
+// ===== MEMORY ADAPTER =====
+
+const memoryCollections = new Map();
+
+const createMemoryAdapter = (collection) => {
+  if (!memoryCollections.has(collection)) memoryCollections.set(collection, new Map());
+  const records = memoryCollections.get(collection);
+
+  return {
+    get: async (id) => records.get(id) || null,
+    list: async () => [...records.values()],
+    put: async (id, record) => {
+      records.set(id, record);
+      return record;
+    },
+    create: async (id, record) => {
+      if (records.has(id)) return null;
+      records.set(id, record);
+      return record;
+    },
+    update: async (id, updater) => {
+      if (!records.has(id)) return null;
+      records.set(id, updater(records.get(id)));
+      return records.get(id);
+    },
+    remove: async (id) => {
+      records.delete(id);
+    },
+  };
+};
+
+// ===== ADAPTER REGISTRY =====
+
+const adapters = {
+  file: createFileAdapter,
+  blobs: createBlobsAdapter,
+  memory: createMemoryAdapter,
+};
+
+/**
+ * Registers an additional storage adapter (e.g. a database)
+ * @param {string} name - Adapter name, selectable through DATA_STORE
+ * @param {Function} factory - Function (collection) => adapter implementing the store interface
+ */
+export const registerStoreAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+/**
+ * Picks the adapter from DATA_STORE, defaulting to Netlify Blobs when running
+ * on Netlify (AWS Lambda) and to JSON files everywhere else
+ * @returns {string} Adapter name
+ */
+const getAdapterName = () => {
+  if (process.env.DATA_STORE) return process.env.DATA_STORE;
+  return process.env.AWS_LAMBDA_FUNCTION_NAME ? 'blobs' : 'file';
+};
+
+/**
+ * Connects the store to the incoming request context
+ * Netlify Blobs needs the credentials Netlify attaches to each Lambda-style
+ * event, so handlers call this once before using any store.
+ * @param {Object} event - Netlify function event
+ */
+export const connectStore = async (event) => {
+  if (getAdapterName() !== 'blobs' || !event || !event.blobs) return;
+  const { connectLambda } = await import('@netlify/blobs');
+  connectLambda(event);
+};
+
+/**
+ * Creates a store for one collection of records
+ * @param {string} collection - Collection name, e.g. "orders"
+ * @returns {Object} Store implementing get, list, put, create, update and remove
+ */
+export const createStore = (collection) => {
+  const adapterName = getAdapterName();
+  const factory = adapters[adapterName];
+  if (!factory) {
+    throw new Error(`Unknown DATA_STORE adapter: ${adapterName}`);
+  }
+  return factory(collection);
+};
@@ -8,6 +8,8 @@ import Order from "./components/Order";
 import Contact from "./components/Contact";
 import Testimonials from "./components/Testimonials";
 import Header from "./components/Header";
+import Admin from "./components/Admin";
+import OrderTracking from "./components/OrderTracking";
 
 // Import OrderProvider to manage global order state
 import { OrderProvider } from "./contexts/OrderContext";
@@ -39,6 +41,9 @@ function App() {
             <Route path="/order" element={<Order />} />     {/* Order page - "/order" */}
             <Route path="/contact" element={<Contact />} /> {/* Contact page - "/contact" */}
             <Route path="/testimonials" element={<Testimonials />} /> {/* Testimonials page - "/testimonials" */}
+            <Route path="/orders" element={<OrderTracking />} />      {/* Order lookup - "/orders" */}
+            <Route path="/orders/:id" element={<OrderTracking />} />  {/* Order tracking - "/orders/:id" */}
+            <Route path="/admin" element={<Admin />} />     {/* Staff order dashboard - "/admin" */}
           </Routes>
         </main>
       </Router>
@@ -0,0 +1,542 @@
+import { useState, useEffect, useCallback } from "react";
+import { ALL_TIME_SLOTS, FULFILLMENT_METHODS, FULFILLMENT_METHOD_LABELS, getFulfillmentLabel, getTimeSlot } from "../shared/fulfillment";
+import { ORDER_STATUS, ORDER_STATUS_LABELS, STATUS_TRANSITIONS, getStatusLabel } from "../shared/orderStatus";
+import { formatCents, formatLineName } from "../shared/pricing";
+import { getRefundableCents } from "../shared/refunds";
+import { EMAIL_TEMPLATES } from "../shared/emailTemplates";
+import { getAdminToken, setAdminToken, clearAdminToken, fetchOrders, refundOrder, resendOrderEmail, syncMenu, updateOrderStatus } from "../utils/adminService";
+import AdminGiftCards from "./AdminGiftCards";
+import "./css/Admin.css";
+
+/**
+ * Formats an ISO timestamp for staff, e.g. "Oct 19, 2:30 PM"
+ * @param {string} isoString - ISO timestamp
+ * @returns {string} Formatted date and time
+ */
+const formatTimestamp = (isoString) => {
+  if (!isoString) return '';
+  return new Date(isoString).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+// Reasons offered when refunding; staff can also type their own
+const REFUND_REASONS = ['Sold out', 'Bad weather', 'Customer request', 'Order issue'];
+
+/**
+ * Checks whether an order has anything left to refund
+ * @param {Object} order - Order record
+ * @returns {boolean} True if the Refund button should show
+ */
+const canRefund = (order) => (
+  order.status !== ORDER_STATUS.PENDING_PAYMENT
+  && order.status !== ORDER_STATUS.REFUNDED
+  && (getRefundableCents(order) > 0 || Boolean(order.giftCard))
+);
+
+// Names of the emails kept in an order's outbox (see netlify/lib/outbox.js)
+const ORDER_EMAIL_LABELS = {
+  [EMAIL_TEMPLATES.ORDER_CONFIRMATION]: 'Customer receipt',
+  [EMAIL_TEMPLATES.ADMIN_NEW_ORDER]: 'New order alert',
+};
+
+/**
+ * Describes where an order email stands, e.g. "sent Oct 19, 2:30 PM"
+ * @param {Object} email - Outbox entry
+ * @returns {string} Status text
+ */
+const describeOrderEmail = (email) => {
+  if (email.status === 'SENT') return `sent ${formatTimestamp(email.sentAt)}`;
+  if (email.status === 'FAILED') return `failed after ${email.attempts} tries: ${email.lastError}`;
+  if (email.attempts === 0) return 'waiting to send';
+  return `retrying ${formatTimestamp(email.nextAttemptAt)} (${email.lastError})`;
+};
+
+/**
+ * Admin Component
+ * Staff dashboard for reviewing incoming orders and moving them through
+ * the bakery workflow, with a second view for gift card balances.
+ * Requires the staff access token (ADMIN_TOKEN).
+ */
+export default function Admin() {
+  // ===== STATE MANAGEMENT =====
+
+  // Staff access token for this browser tab ('' when signed out)
+  const [token, setToken] = useState(getAdminToken());
+  const [tokenInput, setTokenInput] = useState('');
+
+  // Which list is showing: 'orders' or 'gift-cards'
+  const [view, setView] = useState('orders');
+
+  // Dashboard filters; an empty status shows all paid orders
+  const [filters, setFilters] = useState({ date: '', method: '', timeSlot: '', status: '' });
+
+  const [orders, setOrders] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Id of the order whose status is being changed (disables its buttons)
+  const [updatingOrderId, setUpdatingOrderId] = useState(null);
+
+  // Refund form, open for one order at a time; amount is in dollars as typed
+  const [refundForm, setRefundForm] = useState(null); // { orderId, amount, reason }
+
+  // Copying the menu from Square on demand
+  const [isSyncingMenu, setIsSyncingMenu] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  // ===== AUTHENTICATION =====
+
+  const signOut = useCallback((message = '') => {
+    clearAdminToken();
+    setToken('');
+    setOrders([]);
+    setError(message);
+  }, []);
+
+  const handleSignIn = (e) => {
+    e.preventDefault();
+    const value = tokenInput.trim();
+    if (!value) return;
+    setAdminToken(value);
+    setToken(value);
+    setTokenInput('');
+    setError('');
+  };
+
+  // ===== DATA LOADING =====
+
+  const loadOrders = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      setOrders(await fetchOrders(filters));
+    } catch (err) {
+      if (err.unauthorized) {
+        signOut('That access token was not accepted. Please sign in again.');
+      } else {
+        setError(err.message || 'Failed to load orders');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, signOut]);
+
+  // Reload whenever the filters change (and after signing in)
+  useEffect(() => {
+    if (token && view === 'orders') {
+      loadOrders();
+    }
+  }, [token, view, loadOrders]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleStatusChange = async (order, status) => {
+    if (status === ORDER_STATUS.CANCELLED && !window.confirm(`Cancel order ${order.id}?`)) {
+      return;
+    }
+
+    setUpdatingOrderId(order.id);
+    setError('');
+    try {
+      const updated = await updateOrderStatus(order.id, status);
+      setOrders(prev => prev.map(o => (o.id === updated.id ? updated : o)));
+    } catch (err) {
+      if (err.unauthorized) {
+        signOut('Your session has expired. Please sign in again.');
+      } else {
+        setError(err.message || 'Failed to update order');
+      }
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  };
+
+  const openRefundForm = (order) => {
+    setRefundForm({ orderId: order.id, amount: (getRefundableCents(order) / 100).toFixed(2), reason: '' });
+  };
+
+  const handleRefundChange = (e) => {
+    const { name, value } = e.target;
+    setRefundForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleRefund = async (e, order) => {
+    e.preventDefault();
+    const amountCents = Math.round(parseFloat(refundForm.amount) * 100);
+    const refundableCents = getRefundableCents(order);
+    if (refundableCents > 0 && !(amountCents > 0 && amountCents <= refundableCents)) {
+      setError(`Enter a refund amount up to ${formatCents(refundableCents)}`);
+      return;
+    }
+    // Refunding everything left also returns any gift card share, cancels gift
+    // cards bought with the order and closes it
+    const isFull = refundableCents === 0 || amountCents === refundableCents;
+    const issuedCodes = isFull ? (order.giftCardsIssued || []).map(card => card.code) : [];
+    const voidNotice = issuedCodes.length > 0 ? ` Gift cards bought with it (${issuedCodes.join(', ')}) will be cancelled.` : '';
+    if (!window.confirm(`Refund ${isFull ? 'all of' : formatCents(amountCents) + ' of'} order ${order.id}?${voidNotice}`)) {
+      return;
+    }
+
+    setUpdatingOrderId(order.id);
+    setError('');
+    try {
+      const updated = await refundOrder(order.id, {
+        reason: refundForm.reason,
+        amountCents: isFull ? undefined : amountCents
+      });
+      setOrders(prev => prev.map(o => (o.id === updated.id ? updated : o)));
+      setRefundForm(null);
+    } catch (err) {
+      if (err.unauthorized) {
+        signOut('Your session has expired. Please sign in again.');
+      } else {
+        setError(err.message || 'Failed to refund order');
+      }
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  };
+
+  /**
+   * Copies the Square catalog to the website menu now, after staff have
+   * changed items in Square
+   */
+  const handleResendEmail = async (order, email) => {
+    setUpdatingOrderId(order.id);
+    setError('');
+    setNotice('');
+    try {
+      const updated = await resendOrderEmail(order.id, email.id);
+      setOrders(prev => prev.map(o => (o.id === updated.id ? updated : o)));
+      const resent = (updated.outbox || []).find(entry => entry.id === email.id);
+      if (resent && resent.status === 'SENT') {
+        setNotice(`${ORDER_EMAIL_LABELS[email.template] || 'Email'} for order ${order.id} sent.`);
+      } else {
+        setError(`Could not send the email: ${(resent && resent.lastError) || 'unknown error'}. It will be retried.`);
+      }
+    } catch (err) {
+      if (err.unauthorized) {
+        signOut('Your session has expired. Please sign in again.');
+      } else {
+        setError(err.message || 'Failed to resend email');
+      }
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  };
+
+  const handleSyncMenu = async () => {
+    setIsSyncingMenu(true);
+    setError('');
+    setNotice('');
+    try {
+      const { itemCount, categoryCount } = await syncMenu();
+      setNotice(`Menu synced from Square: ${itemCount} items in ${categoryCount} categories.`);
+    } catch (err) {
+      if (err.unauthorized) {
+        signOut('Your session has expired. Please sign in again.');
+      } else {
+        setError(err.message || 'Failed to sync the menu');
+      }
+    } finally {
+      setIsSyncingMenu(false);
+    }
+  };
+
+  // ===== RENDER =====
+
+  if (!token) {
+    return (
+      <div className="page">
+        <div className="page-content">
+          <form className="admin-login card" onSubmit={handleSignIn}>
+            <h2>Bakery Dashboard</h2>
+            <p>Enter the staff access token to manage orders.</p>
+            {error && <div className="admin-error">{error}</div>}
+            <label htmlFor="admin-token">Access token</label>
+            <input
+              type="password"
+              id="admin-token"
+              value={tokenInput}
+              onChange={(e) => setTokenInput(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+            <button type="submit" className="btn-primary">Sign In</button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="page">
+      <div className="page-content">
+        <div className="admin-header">
+          <h1>{view === 'orders' ? 'Orders' : 'Gift Cards'}</h1>
+          <div className="admin-header-actions">
+            {view === 'orders' && (
+              <button type="button" className="admin-btn" onClick={loadOrders} disabled={isLoading}>
+                {isLoading ? 'Loading...' : 'Refresh'}
+              </button>
+            )}
+            <button type="button" className="admin-btn" onClick={handleSyncMenu} disabled={isSyncingMenu}>
+              {isSyncingMenu ? 'Syncing...' : 'Sync Menu'}
+            </button>
+            <button
+              type="button"
+              className="admin-btn"
+              onClick={() => setView(view === 'orders' ? 'gift-cards' : 'orders')}
+            >
+              {view === 'orders' ? 'Gift Cards' : 'Orders'}
+            </button>
+            <button type="button" className="admin-btn" onClick={() => signOut()}>
+              Sign Out
+            </button>
+          </div>
+        </div>
+
+        {notice && <div className="admin-notice">{notice}</div>}
+
+        {view === 'gift-cards' && <AdminGiftCards onUnauthorized={signOut} />}
+
+        {view === 'orders' && (
+          <>
+            {/* Filters */}
+            <div className="admin-filters">
+              <div className="admin-filter">
+                <label htmlFor="filter-date">Delivery / pickup date</label>
+                <input type="date" id="filter-date" name="date" value={filters.date} onChange={handleFilterChange} />
+              </div>
+              <div className="admin-filter">
+                <label htmlFor="filter-method">Method</label>
+                <select id="filter-method" name="method" value={filters.method} onChange={handleFilterChange}>
+                  <option value="">Delivery and pickup</option>
+                  {Object.entries(FULFILLMENT_METHOD_LABELS).map(([method, label]) => (
+                    <option key={method} value={method}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="admin-filter">
+                <label htmlFor="filter-time-slot">Time slot</label>
+                <select id="filter-time-slot" name="timeSlot" value={filters.timeSlot} onChange={handleFilterChange}>
+                  <option value="">All time slots</option>
+                  {ALL_TIME_SLOTS.map(slot => (
+                    <option key={slot.id} value={slot.id}>{slot.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="admin-filter">
+                <label htmlFor="filter-status">Status</label>
+                <select id="filter-status" name="status" value={filters.status} onChange={handleFilterChange}>
+                  <option value="">All paid orders</option>
+                  {Object.entries(ORDER_STATUS_LABELS).map(([status, label]) => (
+                    <option key={status} value={status}>{label}</option>
+                  ))}
+                  <option value="all">Everything (including unpaid)</option>
+                </select>
+              </div>
+            </div>
+
+            {error && <div className="admin-error">{error}</div>}
+
+            {!isLoading && orders.length === 0 && (
+              <p className="admin-empty">No orders match these filters.</p>
+            )}
+
+            {/* Order List */}
+            <datalist id="refund-reasons">
+              {REFUND_REASONS.map(reason => <option key={reason} value={reason} />)}
+            </datalist>
+
+            <div className="admin-orders">
+              {orders.map(order => (
+                <div key={order.id} className="admin-order card">
+                  <div className="admin-order-header">
+                    <div>
+                      <h3>{order.id}</h3>
+                      <span className="admin-order-placed">Placed {formatTimestamp(order.createdAt)}</span>
+                    </div>
+                    <span className={`admin-status admin-status-${order.status}`}>
+                      {getStatusLabel(order.status, order.delivery.method)}
+                    </span>
+                  </div>
+
+                  <div className="admin-order-details">
+                    <div>
+                      <h4>Customer</h4>
+                      <p>{order.customer.name}</p>
+                      <p><a href={`mailto:${order.customer.email}`}>{order.customer.email}</a></p>
+                      <p><a href={`tel:${order.customer.phone}`}>{order.customer.phone}</a></p>
+                    </div>
+                    <div>
+                      <h4>{getFulfillmentLabel(order.delivery.method)}</h4>
+                      <p>{order.delivery.date} &middot; {getTimeSlot(order.delivery.timeSlot)?.label || order.delivery.timeSlot}</p>
+                      {order.delivery.method !== FULFILLMENT_METHODS.PICKUP && (
+                        <>
+                          <p>{order.delivery.address}</p>
+                          <p>{order.delivery.city} {order.delivery.zipCode}</p>
+                        </>
+                      )}
+                    </div>
+                  </div>
+
+                  {order.delivery.instructions && (
+                    <div className="admin-instructions">
+                      <h4>Special instructions</h4>
+                      <p>{order.delivery.instructions}</p>
+                    </div>
+                  )}
+
+                  <table className="admin-items">
+                    <tbody>
+                      {order.items.map(item => (
+                        <tr key={item.key || item.id}>
+                          <td className="admin-item-qty">{item.quantity} &times;</td>
+                          <td>{formatLineName(item)}</td>
+                          <td className="admin-item-price">{formatCents(item.totalCents)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      {order.totals.discountCents > 0 && (
+                        <tr>
+                          <td colSpan="2">Discount{order.promotion ? ` (${order.promotion.code})` : ''}</td>
+                          <td className="admin-item-price">-{formatCents(order.totals.discountCents)}</td>
+                        </tr>
+                      )}
+                      <tr>
+                        <td colSpan="2">Total (incl. tax{order.totals.deliveryFeeCents > 0 ? ' & delivery' : ''})</td>
+                        <td className="admin-item-price">{formatCents(order.totals.totalCents)}</td>
+                      </tr>
+                    </tfoot>
+                  </table>
+
+                  {order.giftCard && (
+                    <p className="admin-payment">
+                      Gift card {order.giftCard.code}: {formatCents(order.giftCard.amountCents)}
+                    </p>
+                  )}
+                  {order.payment && (
+                    <p className="admin-payment">
+                      Square payment: {order.payment.id}
+                      {order.payment.status && order.payment.status !== 'COMPLETED' ? ` (${order.payment.status.toLowerCase()})` : ''}
+                    </p>
+                  )}
+                  {(order.giftCardsIssued || []).length > 0 && (
+                    <p className="admin-payment">Gift cards issued: {order.giftCardsIssued.map(card => card.code).join(', ')}</p>
+                  )}
+                  {(order.refunds || []).map((refund, index) => (
+                    <p key={index} className="admin-payment">
+                      Refunded {formatCents(refund.amountCents + (refund.giftCardCents || 0))} on {formatTimestamp(refund.createdAt)}
+                      {refund.status !== 'COMPLETED' ? ` (${refund.status.toLowerCase()})` : ''}: {refund.reason}
+                    </p>
+                  ))}
+                  {(order.disputes || []).map(dispute => (
+                    <p key={dispute.id} className="admin-payment admin-dispute">
+                      Disputed {formatCents(dispute.amountCents)} ({String(dispute.reason || 'no reason').toLowerCase().replace(/_/g, ' ')})
+                      {dispute.dueAt ? `, respond in Square by ${formatTimestamp(dispute.dueAt)}` : ''}
+                    </p>
+                  ))}
+
+                  {(order.outbox || []).map(email => (
+                    <p key={email.id} className={`admin-payment admin-email${email.status === 'FAILED' ? ' admin-email-failed' : ''}`}>
+                      <span>{ORDER_EMAIL_LABELS[email.template] || email.template}: {describeOrderEmail(email)}</span>
+                      {(email.status !== 'PENDING' || email.attempts > 0) && (
+                        <button
+                          type="button"
+                          className="admin-btn"
+                          onClick={() => handleResendEmail(order, email)}
+                          disabled={updatingOrderId === order.id}
+                        >
+                          Resend
+                        </button>
+                      )}
+                    </p>
+                  ))}
+
+                  {refundForm && refundForm.orderId === order.id && (
+                    <form className="admin-refund" onSubmit={(e) => handleRefund(e, order)}>
+                      {getRefundableCents(order) > 0 && (
+                        <div className="admin-filter">
+                          <label htmlFor={`refund-amount-${order.id}`}>
+                            Amount (up to {formatCents(getRefundableCents(order))})
+                          </label>
+                          <input
+                            type="number"
+                            id={`refund-amount-${order.id}`}
+                            name="amount"
+                            min="0.01"
+                            step="0.01"
+                            max={(getRefundableCents(order) / 100).toFixed(2)}
+                            value={refundForm.amount}
+                            onChange={handleRefundChange}
+                            required
+                          />
+                        </div>
+                      )}
+                      <div className="admin-filter admin-refund-reason">
+                        <label htmlFor={`refund-reason-${order.id}`}>Reason (sent to the customer)</label>
+                        <input
+                          type="text"
+                          id={`refund-reason-${order.id}`}
+                          name="reason"
+                          list="refund-reasons"
+                          maxLength={192}
+                          value={refundForm.reason}
+                          onChange={handleRefundChange}
+                          required
+                        />
+                      </div>
+                      <div className="admin-filter admin-filter-actions">
+                        <button type="submit" className="admin-btn admin-btn-danger" disabled={updatingOrderId === order.id}>
+                          Issue Refund
+                        </button>
+                        <button type="button" className="admin-btn" onClick={() => setRefundForm(null)}>
+                          Close
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {((STATUS_TRANSITIONS[order.status] || []).length > 0 || canRefund(order)) && (
+                    <div className="admin-order-actions">
+                      {(STATUS_TRANSITIONS[order.status] || []).map(status => (
+                        <button
+                          key={status}
+                          type="button"
+                          className={status === ORDER_STATUS.CANCELLED ? 'admin-btn admin-btn-danger' : 'admin-btn admin-btn-primary'}
+                          onClick={() => handleStatusChange(order, status)}
+                          disabled={updatingOrderId === order.id}
+                        >
+                          {status === ORDER_STATUS.CANCELLED ? 'Cancel Order' : `Mark ${getStatusLabel(status, order.delivery.method)}`}
+                        </button>
+                      ))}
+                      {canRefund(order) && !(refundForm && refundForm.orderId === order.id) && (
+                        <button
+                          type="button"
+                          className="admin-btn"
+                          onClick={() => openRefundForm(order)}
+                          disabled={updatingOrderId === order.id}
+                        >
+                          Refund
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
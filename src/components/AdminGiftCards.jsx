@@ -0,0 +1,133 @@
+import { useState, useEffect, useCallback } from "react";
+import { formatCents } from "../shared/pricing";
+import { fetchGiftCards } from "../utils/adminService";
+import "./css/Admin.css";
+
+// Staff-facing name of each ledger entry type (see netlify/lib/giftCards.js)
+const LEDGER_TYPE_LABELS = {
+  issued: 'Issued',
+  redeemed: 'Redeemed',
+  restored: 'Restored',
+  voided: 'Voided',
+};
+
+/**
+ * Formats an ISO timestamp for staff, e.g. "Oct 19, 2:30 PM"
+ * @param {string} isoString - ISO timestamp
+ * @returns {string} Formatted date and time
+ */
+const formatTimestamp = (isoString) => {
+  if (!isoString) return '';
+  return new Date(isoString).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * AdminGiftCards Component
+ * Gift card balances and the ledger of every change to them, shown on the
+ * staff dashboard. Rendered by Admin, which handles signing in.
+ * @param {Object} props - Component props
+ * @param {Function} props.onUnauthorized - Called with a message when the token is rejected
+ */
+export default function AdminGiftCards({ onUnauthorized }) {
+  const [codeInput, setCodeInput] = useState('');
+  const [code, setCode] = useState(''); // Code being searched for ('' shows every card)
+  const [giftCards, setGiftCards] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadGiftCards = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      setGiftCards(await fetchGiftCards(code));
+    } catch (err) {
+      if (err.unauthorized) {
+        onUnauthorized('That access token was not accepted. Please sign in again.');
+      } else {
+        setError(err.message || 'Failed to load gift cards');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [code, onUnauthorized]);
+
+  useEffect(() => {
+    loadGiftCards();
+  }, [loadGiftCards]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCode(codeInput.trim());
+  };
+
+  return (
+    <>
+      <form className="admin-filters" onSubmit={handleSearch}>
+        <div className="admin-filter">
+          <label htmlFor="gift-card-code">Gift card code</label>
+          <input
+            type="text"
+            id="gift-card-code"
+            value={codeInput}
+            onChange={(e) => setCodeInput(e.target.value)}
+            placeholder="GC-XXXX-XXXX-XXXX"
+          />
+        </div>
+        <div className="admin-filter admin-filter-actions">
+          <button type="submit" className="admin-btn">Search</button>
+          <button type="button" className="admin-btn" onClick={loadGiftCards} disabled={isLoading}>
+            {isLoading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </form>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      {!isLoading && giftCards.length === 0 && (
+        <p className="admin-empty">{code ? 'No gift card with that code.' : 'No gift cards have been sold yet.'}</p>
+      )}
+
+      <div className="admin-orders">
+        {giftCards.map(card => (
+          <div key={card.code} className="admin-order card">
+            <div className="admin-order-header">
+              <div>
+                <h3>{card.code}</h3>
+                <span className="admin-order-placed">
+                  Issued {formatTimestamp(card.createdAt)}{card.purchaserEmail ? ` to ${card.purchaserEmail}` : ''}
+                </span>
+              </div>
+              <span className="admin-gift-card-balance">
+                {formatCents(card.balanceCents)} of {formatCents(card.initialBalanceCents)}
+              </span>
+            </div>
+
+            <table className="admin-items">
+              <tbody>
+                {(card.ledger || []).map((entry, index) => (
+                  <tr key={index}>
+                    <td>{formatTimestamp(entry.at)}</td>
+                    <td>
+                      {LEDGER_TYPE_LABELS[entry.type] || entry.type}
+                      {entry.orderId ? ` - order ${entry.orderId}` : ''}
+                      {entry.note ? ` (${entry.note})` : ''}
+                    </td>
+                    <td className="admin-item-price">
+                      {entry.amountCents < 0 ? `-${formatCents(-entry.amountCents)}` : `+${formatCents(entry.amountCents)}`}
+                    </td>
+                    <td className="admin-item-price">{formatCents(entry.balanceCents)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -1,5 +1,8 @@
 import { Link } from "react-router-dom";
-import cinnamonRollsImg from "../assets/cinnamon-rolls.jpg";
+import { useOrder } from "../contexts/OrderContext";
+import { getFeaturedItems } from "../shared/catalog";
+import { formatCents } from "../shared/pricing";
+import { getItemImage } from "../utils/catalogImages";
 import { useScrollAnimation } from "../hooks/useScrollAnimation";
 import "./css/Home.css";
 
@@ -9,29 +12,11 @@ export default function Home() {
   const [aboutRef, aboutVisible] = useScrollAnimation(0.1);
   const [ctaRef, ctaVisible] = useScrollAnimation(0.1);
 
-  const featuredProducts = [
-    {
-      name: "Artisan Sourdough",
-      price: 12,
-      description: "Handcrafted with a 48-hour fermentation process",
-      emoji: "🥖",
-      image: cinnamonRollsImg // Using the same image for now
-    },
-    {
-      name: "Chocolate Chip Cookies",
-      price: 3,
-      description: "Soft, chewy cookies with premium chocolate chips",
-      emoji: "🍪",
-      image: cinnamonRollsImg // Using the same image for now
-    },
-    {
-      name: "Cinnamon Rolls",
-      price: 6,
-      description: "Freshly baked with cream cheese frosting",
-      emoji: "🥐",
-      image: cinnamonRollsImg
-    }
-  ];
+  // Re-render once the menu synced from Square has loaded
+  useOrder();
+
+  // Featured products come from the shared menu catalog (items marked `featured`)
+  const featuredProducts = getFeaturedItems().map(item => ({ ...item, image: getItemImage(item) }));
 
   return (
     <div className="page">
@@ -63,7 +48,7 @@ export default function Home() {
         
         <div className="card-grid">
           {featuredProducts.map((product, index) => (
-            <div key={index} className={`product-card hover-lift ${productsVisible ? 'fade-in-up' : ''}`} style={{ animationDelay: `${index * 0.1}s` }}>
+            <div key={product.id} className={`product-card hover-lift ${productsVisible ? 'fade-in-up' : ''}`} style={{ animationDelay: `${index * 0.1}s` }}>
               <div className="product-image">
                 <img 
                   src={product.image} 
@@ -81,7 +66,7 @@ export default function Home() {
               </div>
               <div className="product-info">
                 <h3 className="product-name">{product.name}</h3>
-                <div className="product-price">${product.price}</div>
+                <div className="product-price">{formatCents(product.priceCents)}</div>
                 <p className="product-description">{product.description}</p>
               </div>
             </div>
@@ -1,11 +1,12 @@
 // Import React hooks for state management and performance optimization
-import { useState, useCallback, useMemo } from "react";
+import { useCallback, useState } from "react";
 
 // Import React Router hook for navigation
 import { useNavigate } from "react-router-dom";
 
-// Import the image asset (currently using same image for all items)
-import cinnamonRollsImg from "../assets/cinnamon-rolls.jpg";
+// Import the shared menu catalog (also used by the payment function for pricing)
+import { isItemAvailable } from "../shared/catalog";
+import { formatCents, formatLineName, resolveItemOptions } from "../shared/pricing";
 
 // Import the order context hook to access global order state
 import { useOrder } from "../contexts/OrderContext";
@@ -29,112 +30,40 @@ export default function Menu() {
   
   // Access order state and functions from the global OrderContext
   const { 
-    selectedItems,      // Array of items currently in the order
+    lines,              // Cart lines ({ id, options, quantity, ... })
     addToOrder,         // Function to add items to order
-    removeFromOrder,    // Function to remove items from order
+    incrementLine,      // Function to step a line's quantity up or down
+    removeLine,         // Function to remove a line from the order
     showMessage,        // Boolean for notification visibility
     setShowMessage,     // Function to control notification visibility
     messageText,        // Text content of notifications
-    totalPrice          // Calculated total price of all items
+    itemCount,          // Total number of units in the order
+    totals,             // Subtotal, taxes and total before delivery
+    menuSections        // Menu sections (category + items, with images) from the menu in use
   } = useOrder();
 
   /**
-   * Navigates to the order page with current selected items
+   * Navigates to the order page, which reads the same cart lines from OrderContext
    * This function is memoized to prevent unnecessary re-renders
    */
   const goToOrder = useCallback(() => {
-    navigate("/order", { state: { selectedItems } });
-  }, [navigate, selectedItems]);
+    navigate("/order");
+  }, [navigate]);
 
-  // ===== MENU DATA =====
-  
-  /**
-   * Array of menu items available for order
-   * Each item contains:
-   * - name: Display name of the item
-   * - price: Price in dollars
-   * - description: Brief description of the item
-   * - emoji: Emoji icon for visual appeal
-   * - image: Image asset (currently all using same image)
-   * - category: Category for grouping items
-   */
-  const menuItems = [
-    { 
-      name: "Artisan Sourdough", 
-      price: 12, 
-      description: "Handcrafted with a 48-hour fermentation process",
-      emoji: "🥖",
-      image: cinnamonRollsImg,
-      category: "Bread"
-    },
-    { 
-      name: "Sandwich Bread", 
-      price: 10, 
-      description: "Perfect for your daily sandwiches",
-      emoji: "🍞",
-      image: cinnamonRollsImg,
-      category: "Bread"
-    },
-    { 
-      name: "Chocolate Chip Cookies", 
-      price: 1, 
-      description: "Soft, chewy cookies with premium chocolate chips",
-      emoji: "🍪",
-      image: cinnamonRollsImg,
-      category: "Cookies"
-    },
-    { 
-      name: "Apple Cider Donut (2 pack)", 
-      price: 6, 
-      description: "Seasonal favorite with warm spices",
-      emoji: "🍩",
-      image: cinnamonRollsImg,
-      category: "Donuts"
-    },
-    { 
-      name: "Pecan Banana Bread", 
-      price: 4, 
-      description: "Moist and nutty, perfect for breakfast",
-      emoji: "🍌",
-      image: cinnamonRollsImg,
-      category: "Quick Bread"
-    },
-    { 
-      name: "Cinnamon Rolls", 
-      price: 6, 
-      description: "Freshly baked with cream cheese frosting",
-      emoji: "🥐",
-      image: cinnamonRollsImg,
-      category: "Pastries"
-    },
-    { 
-      name: "Express Brownie", 
-      price: 4, 
-      description: "Rich, fudgy brownies made with dark chocolate",
-      emoji: "🍫",
-      image: cinnamonRollsImg,
-      category: "Desserts"
-    },
-    { 
-      name: "Mini Banana Bread", 
-      price: 5, 
-      description: "Individual-sized loaves, great for gifting",
-      emoji: "🍞",
-      image: cinnamonRollsImg,
-      category: "Quick Bread"
-    },
-  ];
+  // Options picked on each menu card, keyed by item id: { [itemId]: { optionId: choiceId } }
+  const [optionSelections, setOptionSelections] = useState({});
 
-
-  // ===== COMPUTED VALUES =====
-  
   /**
-   * Extracts unique categories from menu items
-   * This is memoized to prevent recalculation on every render
-   * @returns {Array} Array of unique category names
+   * Records the choice picked for one of an item's options
+   * @param {string} itemId - Catalog item id
+   * @param {string} optionId - Option id, e.g. "pack"
+   * @param {string} choiceId - Choice id, e.g. "6"
    */
-  const categories = useMemo(() => {
-    return [...new Set(menuItems.map(item => item.category))];
+  const selectOption = useCallback((itemId, optionId, choiceId) => {
+    setOptionSelections(prev => ({
+      ...prev,
+      [itemId]: { ...prev[itemId], [optionId]: choiceId }
+    }));
   }, []);
 
   // ===== RENDER =====
@@ -158,207 +87,229 @@ export default function Menu() {
         />
 
 
-        <div className="menu-grid">
-          {menuItems.map((item, index) => (
-            <div key={index} className="modern-product-card">
-              <div className="product-image-container">
-                <img 
-                  src={item.image} 
-                  alt={item.name}
-                  className="product-image"
-                  loading="lazy"
-                  onError={(e) => {
-                    e.target.style.display = 'none';
-                    e.target.nextSibling.style.display = 'flex';
-                  }}
-                />
-                <div className="product-emoji-fallback">
-                  <span>{item.emoji}</span>
-                </div>
-                <div className="product-overlay">
-                  <button 
-                    onClick={() => addToOrder(item)}
-                    className="add-to-cart-btn"
-                  >
-                    <span>+</span> Add to Order
-                  </button>
-                </div>
-              </div>
-              <div className="product-details">
-                <div className="product-header">
-                  <h3 className="product-name">{item.name}</h3>
-                  <div className="product-price">${item.price}</div>
-                </div>
-                <div className="product-category">{item.category}</div>
-                <p className="product-description">{item.description}</p>
-                <button 
-                  onClick={(e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    addToOrder(item);
-                  }}
-                  className="add-to-cart-btn-mobile"
-                  style={{ 
-                    cursor: 'pointer',
-                    touchAction: 'manipulation',
-                    WebkitTapHighlightColor: 'transparent'
-                  }}
-                >
-                  <span>+</span> Add to Order
-                </button>
-              </div>
-            </div>
-          ))}
-        </div>
-
-        {selectedItems.length > 0 ? (
-          <div className="modern-order-summary">
-            <div className="order-header">
-              <h3>Your Order</h3>
-              <div className="item-count">{selectedItems.length} items</div>
-            </div>
-            
-            <div className="order-items">
-              {(() => {
-                // Group items by name and show unique items with quantities
-                const uniqueItems = selectedItems.reduce((acc, item) => {
-                  const existing = acc.find(i => i.name === item.name);
-                  if (existing) {
-                    existing.quantity += 1;
-                  } else {
-                    acc.push({ ...item, quantity: 1 });
-                  }
-                  return acc;
-                }, []);
-                
-                return uniqueItems.map((item, index) => (
-                  <div key={index} className="order-item-modern">
-                    {/* Item Image */}
-                    <div style={{ width: '50px', height: '50px', marginRight: 'var(--spacing-sm)', flexShrink: 0 }}>
+        {menuSections.map(({ category, items }) => (
+          <section key={category.id} className="menu-section" aria-labelledby={`menu-category-${category.id}`}>
+            <h2 id={`menu-category-${category.id}`} className="menu-category-title">{category.name}</h2>
+            <div className="menu-grid">
+              {items.map((item) => {
+                const available = isItemAvailable(item);
+                const selected = optionSelections[item.id] || {};
+                const { unitPriceCents } = resolveItemOptions(item, selected);
+                return (
+                  <div key={item.id} className={`modern-product-card ${available ? '' : 'is-sold-out'}`}>
+                    <div className="product-image-container">
                       <img 
                         src={item.image} 
                         alt={item.name}
-                        style={{ 
-                          width: '100%', 
-                          height: '100%', 
-                          objectFit: 'cover', 
-                          borderRadius: 'var(--radius-sm)',
-                          border: '1px solid var(--border-light)'
-                        }}
+                        className="product-image"
+                        loading="lazy"
                         onError={(e) => {
-                          // If image fails to load, show emoji fallback
                           e.target.style.display = 'none';
                           e.target.nextSibling.style.display = 'flex';
                         }}
                       />
-                      <div 
-                        style={{ 
-                          display: 'none', 
-                          width: '100%', 
-                          height: '100%', 
-                          alignItems: 'center', 
-                          justifyContent: 'center', 
-                          fontSize: '1.5rem',
-                          backgroundColor: 'var(--soft-gray)',
-                          borderRadius: 'var(--radius-sm)',
-                          border: '1px solid var(--border-light)'
-                        }} 
-                        aria-hidden="true"
-                      >
+                      <div className="product-emoji-fallback">
                         <span>{item.emoji}</span>
                       </div>
+                      {available ? (
+                        <div className="product-overlay">
+                          <button 
+                            onClick={() => addToOrder(item, selected)}
+                            className="add-to-cart-btn"
+                          >
+                            <span>+</span> Add to Order
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="product-sold-out-badge">Sold Out</div>
+                      )}
                     </div>
-                    
-                    {/* Item Info */}
-                    <div className="item-info" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', width: '100%', marginRight: 'var(--spacing-sm)' }}>
-                      <span className="item-name">{item.name}</span>
-                      <span className="item-price">${(item.price * item.quantity).toFixed(2)}</span>
-                    </div>
-                    <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)' }}>
-                      {/* Quantity Controls */}
+                    <div className="product-details">
+                      <div className="product-header">
+                        <h3 className="product-name">{item.name}</h3>
+                        <div className="product-price">{formatCents(unitPriceCents)}</div>
+                      </div>
+                      <div className="product-category">{category.name}</div>
+                      <p className="product-description">{item.description}</p>
+                      {item.options && (
+                        <div className="product-options">
+                          {item.options.map(option => (
+                            <label key={option.id} className="product-option">
+                              <span>{option.label}</span>
+                              <select
+                                value={selected[option.id] || option.choices[0].id}
+                                onChange={(e) => selectOption(item.id, option.id, e.target.value)}
+                                disabled={!available}
+                              >
+                                {option.choices.map(choice => (
+                                  <option key={choice.id} value={choice.id}>
+                                    {choice.label}{choice.priceDeltaCents ? ` (+${formatCents(choice.priceDeltaCents)})` : ''}
+                                  </option>
+                                ))}
+                              </select>
+                            </label>
+                          ))}
+                        </div>
+                      )}
                       <button 
-                        onClick={() => {
-                          // Remove one instance of this item
-                          const itemIndex = selectedItems.findIndex(selectedItem => selectedItem.name === item.name);
-                          if (itemIndex !== -1) {
-                            removeFromOrder(itemIndex);
-                          }
-                        }}
-                        style={{ 
-                          background: 'var(--soft-gray)', 
-                          border: '1px solid var(--border-light)', 
-                          color: 'var(--text-muted)', 
-                          width: '20px', 
-                          height: '20px', 
-                          borderRadius: '50%', 
-                          display: 'flex', 
-                          alignItems: 'center', 
-                          justifyContent: 'center', 
-                          cursor: 'pointer', 
-                          transition: 'all var(--transition-fast)', 
-                          fontSize: '0.8rem', 
-                          fontWeight: '600'
+                        onClick={(e) => {
+                          e.preventDefault();
+                          e.stopPropagation();
+                          addToOrder(item, selected);
                         }}
-                        title="Decrease quantity"
-                      >
-                        −
-                      </button>
-                      <span style={{ 
-                        minWidth: '16px', 
-                        textAlign: 'center', 
-                        fontSize: '0.8rem',
-                        fontWeight: '600',
-                        color: 'var(--text-dark)'
-                      }}>
-                        {item.quantity}
-                      </span>
-                      <button 
-                        onClick={() => addToOrder(item)}
+                        className="add-to-cart-btn-mobile"
+                        disabled={!available}
                         style={{ 
-                          background: 'var(--primary-pink)', 
-                          border: '1px solid var(--primary-pink)', 
-                          color: 'white', 
-                          width: '20px', 
-                          height: '20px', 
-                          borderRadius: '50%', 
-                          display: 'flex', 
-                          alignItems: 'center', 
-                          justifyContent: 'center', 
-                          cursor: 'pointer', 
-                          transition: 'all var(--transition-fast)', 
-                          fontSize: '0.8rem', 
-                          fontWeight: '600'
-                        }}
-                        title="Increase quantity"
-                      >
-                        +
-                      </button>
-                      <button 
-                        onClick={() => {
-                          // Remove all instances of this item
-                          const indicesToRemove = selectedItems
-                            .map((selectedItem, idx) => selectedItem.name === item.name ? idx : -1)
-                            .filter(idx => idx !== -1)
-                            .reverse(); // Remove from end to avoid index shifting
-                          
-                          indicesToRemove.forEach(idx => removeFromOrder(idx));
+                          cursor: available ? 'pointer' : 'not-allowed',
+                          touchAction: 'manipulation',
+                          WebkitTapHighlightColor: 'transparent'
                         }}
-                        className="remove-btn"
-                        title="Remove all of this item"
-                        style={{ marginLeft: 'var(--spacing-xs)' }}
                       >
-                        ×
+                        {available ? <><span>+</span> Add to Order</> : 'Sold Out'}
                       </button>
                     </div>
                   </div>
-                ));
-              })()}
+                );
+              })}
+            </div>
+          </section>
+        ))}
+
+        {lines.length > 0 ? (
+          <div className="modern-order-summary">
+            <div className="order-header">
+              <h3>Your Order</h3>
+              <div className="item-count">{itemCount} items</div>
+            </div>
+            
+            <div className="order-items">
+              {lines.map((item) => (
+                <div key={item.lineKey} className="order-item-modern">
+                  {/* Item Image */}
+                  <div style={{ width: '50px', height: '50px', marginRight: 'var(--spacing-sm)', flexShrink: 0 }}>
+                    <img 
+                      src={item.image} 
+                      alt={item.name}
+                      style={{ 
+                        width: '100%', 
+                        height: '100%', 
+                        objectFit: 'cover', 
+                        borderRadius: 'var(--radius-sm)',
+                        border: '1px solid var(--border-light)'
+                      }}
+                      onError={(e) => {
+                        // If image fails to load, show emoji fallback
+                        e.target.style.display = 'none';
+                        e.target.nextSibling.style.display = 'flex';
+                      }}
+                    />
+                    <div 
+                      style={{ 
+                        display: 'none', 
+                        width: '100%', 
+                        height: '100%', 
+                        alignItems: 'center', 
+                        justifyContent: 'center', 
+                        fontSize: '1.5rem',
+                        backgroundColor: 'var(--soft-gray)',
+                        borderRadius: 'var(--radius-sm)',
+                        border: '1px solid var(--border-light)'
+                      }} 
+                      aria-hidden="true"
+                    >
+                      <span>{item.emoji}</span>
+                    </div>
+                  </div>
+                  
+                  {/* Item Info */}
+                  <div className="item-info" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', width: '100%', marginRight: 'var(--spacing-sm)' }}>
+                    <span className="item-name">{formatLineName(item)}</span>
+                    <span className="item-price">{formatCents(item.unitPriceCents * item.quantity)}</span>
+                  </div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)' }}>
+                    {/* Quantity Controls */}
+                    <button 
+                      onClick={() => incrementLine(item.lineKey, -1)}
+                      style={{ 
+                        background: 'var(--soft-gray)', 
+                        border: '1px solid var(--border-light)', 
+                        color: 'var(--text-muted)', 
+                        width: '20px', 
+                        height: '20px', 
+                        borderRadius: '50%', 
+                        display: 'flex', 
+                        alignItems: 'center', 
+                        justifyContent: 'center', 
+                        cursor: 'pointer', 
+                        transition: 'all var(--transition-fast)', 
+                        fontSize: '0.8rem', 
+                        fontWeight: '600'
+                      }}
+                      title="Decrease quantity"
+                    >
+                      −
+                    </button>
+                    <span style={{ 
+                      minWidth: '16px', 
+                      textAlign: 'center', 
+                      fontSize: '0.8rem',
+                      fontWeight: '600',
+                      color: 'var(--text-dark)'
+                    }}>
+                      {item.quantity}
+                    </span>
+                    <button 
+                      onClick={() => incrementLine(item.lineKey)}
+                      style={{ 
+                        background: 'var(--primary-pink)', 
+                        border: '1px solid var(--primary-pink)', 
+                        color: 'white', 
+                        width: '20px', 
+                        height: '20px', 
+                        borderRadius: '50%', 
+                        display: 'flex', 
+                        alignItems: 'center', 
+                        justifyContent: 'center', 
+                        cursor: 'pointer', 
+                        transition: 'all var(--transition-fast)', 
+                        fontSize: '0.8rem', 
+                        fontWeight: '600'
+                      }}
+                      title="Increase quantity"
+                    >
+                      +
+                    </button>
+                    <button 
+                      onClick={() => removeLine(item.lineKey)}
+                      className="remove-btn"
+                      title="Remove all of this item"
+                      style={{ marginLeft: 'var(--spacing-xs)' }}
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+              ))}
             </div>
             
             <div className="order-footer">
-              <div className="order-total-modern">
-                Total: ${totalPrice.toFixed(2)}
-              </div>
+              {totals && (
+                <>
+                  <div className="order-subtotal-modern">
+                    <span>Subtotal</span>
+                    <span>{formatCents(totals.subtotalCents)}</span>
+                  </div>
+                  <div className="order-subtotal-modern">
+                    <span>Tax</span>
+                    <span>{formatCents(totals.taxCents)}</span>
+                  </div>
+                  <div className="order-total-modern">
+                    <span>Total</span>
+                    <span>{formatCents(totals.totalCents)}</span>
+                  </div>
+                  <p className="order-footer-note">Delivery fees, if any, are added at checkout.</p>
+                </>
+              )}
               <button onClick={goToOrder} className="checkout-btn">
                 Proceed to Checkout
               </button>
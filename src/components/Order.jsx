@@ -1,19 +1,39 @@
-import { useState } from "react";
-import { useLocation, useNavigate } from "react-router-dom";
+import { useCallback, useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
 import { useOrder } from "../contexts/OrderContext";
 import SquarePaymentForm from './SquarePaymentForm';
+import { MAX_QUANTITY_PER_ITEM, calculateOrderTotals, formatCents } from "../shared/pricing";
+import { formatTaxRate } from "../shared/taxes";
+import { FULFILLMENT_METHODS, FULFILLMENT_METHOD_LABELS, PICKUP_ADDRESS } from "../shared/fulfillment";
+import { findDeliveryZone, normalizeZipCode } from "../shared/deliveryZones";
+import { getGiftCardLastFour, splitGiftCardPayment } from "../shared/giftCards";
+import { checkGiftCard, createOrder, fetchAvailability, payWithGiftCard, validatePromo } from "../utils/orderService";
 import "./css/Order.css";
 
+/**
+ * Formats a "YYYY-MM-DD" date for the date picker, e.g. "Saturday, October 24"
+ * @param {string} date - Date string
+ * @returns {string} Formatted date
+ */
+const formatBookingDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
 export default function Order() {
-  const location = useLocation();
   const navigate = useNavigate();
-  const { selectedItems: contextItems, addToOrder, removeFromOrder, clearOrder } = useOrder();
-  const selectedItems = location.state?.selectedItems || contextItems;
+  const { lines, setQuantity, incrementLine, removeLine, clearOrder } = useOrder();
   
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     phone: '',
+    method: FULFILLMENT_METHODS.DELIVERY,
     address: '',
     city: '',
     zipCode: '',
@@ -27,16 +47,157 @@ export default function Order() {
   const [formErrors, setFormErrors] = useState({});
   const [paymentStep, setPaymentStep] = useState('form'); // 'form', 'payment', 'success'
   const [paymentError, setPaymentError] = useState('');
+  const [order, setOrder] = useState(null); // Stored order record, created before payment
+  const [availability, setAvailability] = useState(null); // Bookable dates and slots, null while loading
+  const [availabilityError, setAvailabilityError] = useState('');
+  const [availabilityVersion, setAvailabilityVersion] = useState(0); // Bumped to refetch availability
+  const [promoInput, setPromoInput] = useState('');
+  const [promotion, setPromotion] = useState(null); // Promotion rule returned by validate-promo
+  const [promoError, setPromoError] = useState('');
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
+  const [giftCardInput, setGiftCardInput] = useState('');
+  const [giftCard, setGiftCard] = useState(null); // { code, balanceCents } returned by check-gift-card
+  const [giftCardError, setGiftCardError] = useState('');
+  const [isApplyingGiftCard, setIsApplyingGiftCard] = useState(false);
+
+  const isDelivery = formData.method === FULFILLMENT_METHODS.DELIVERY;
+
+  // The stored order is what gets charged and fulfilled, so the cart and the
+  // form are locked while paying; going back to the form unlocks them
+  const isLocked = paymentStep === 'payment';
+
+  // Delivery zone for the ZIP code entered so far; delivery is only
+  // added to the total once we know where the order is going
+  const deliveryZone = isDelivery ? findDeliveryZone(formData.zipCode) : undefined;
+
+  // Price the order with the same module the payment function uses,
+  // so the total shown here is exactly what will be charged
+  const orderLines = lines.map(({ id, options, quantity }) => ({ id, options, quantity }));
+  const pricingOptions = {
+    method: formData.method,
+    ...(deliveryZone ? { zipCode: formData.zipCode } : {}),
+    // Seasonal items must be in season on the day the order is for
+    ...(formData.deliveryDate ? { deliveryDate: formData.deliveryDate } : {})
+  };
+  let totals = null;
+  let pricingError = '';
+  let promotionIssue = ''; // Why an applied promo code no longer fits the cart
+  if (orderLines.length > 0) {
+    try {
+      totals = calculateOrderTotals(orderLines, { ...pricingOptions, promotion: promotion || undefined });
+    } catch (error) {
+      // e.g. an item went out of season while the page was open
+      pricingError = error.message;
+    }
+    if (!totals && promotion) {
+      // The cart changed and no longer qualifies for the code; price without it
+      try {
+        totals = calculateOrderTotals(orderLines, pricingOptions);
+        promotionIssue = pricingError;
+        pricingError = '';
+      } catch {
+        // Not the promo code's fault; keep the original error
+      }
+    }
+  }
+
+  const handleApplyPromo = async () => {
+    if (!promoInput.trim()) return;
+    setIsApplyingPromo(true);
+    setPromoError('');
+    try {
+      const rule = await validatePromo({
+        code: promoInput,
+        items: orderLines,
+        method: formData.method,
+        zipCode: isDelivery ? formData.zipCode : undefined,
+        deliveryDate: formData.deliveryDate || undefined,
+        email: formData.email
+      });
+      setPromotion(rule);
+      setPromoInput('');
+    } catch (error) {
+      setPromoError(error.message || 'We could not check that promo code. Please try again.');
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setPromotion(null);
+    setPromoError('');
+  };
+
+  // How much of the total the gift card pays; the rest is charged to a card
+  const giftCardSplit = totals && giftCard ? splitGiftCardPayment(totals.totalCents, giftCard.balanceCents) : null;
+  const amountDueCents = giftCardSplit ? giftCardSplit.amountDueCents : (totals ? totals.totalCents : 0);
+
+  const handleApplyGiftCard = async () => {
+    if (!giftCardInput.trim()) return;
+    setIsApplyingGiftCard(true);
+    setGiftCardError('');
+    try {
+      setGiftCard(await checkGiftCard(giftCardInput));
+      setGiftCardInput('');
+    } catch (error) {
+      setGiftCardError(error.message || 'We could not check that gift card. Please try again.');
+    } finally {
+      setIsApplyingGiftCard(false);
+    }
+  };
+
+  const handleRemoveGiftCard = () => {
+    setGiftCard(null);
+    setGiftCardError('');
+  };
+
+  // Lead times depend on which items are in the cart (not how many), so only
+  // refetch availability when the set of items or the method changes
+  const availabilityKey = [...new Set(lines.map(line => line.id))].sort().join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    setAvailability(null);
+    setAvailabilityError('');
+
+    const items = availabilityKey ? availabilityKey.split(',').map(id => ({ id })) : [];
+    fetchAvailability(items, formData.method)
+      .then(dates => {
+        if (cancelled) return;
+        setAvailability(dates);
+        // Drop a date or time that is no longer offered
+        setFormData(prev => {
+          const day = dates.find(d => d.date === prev.deliveryDate);
+          if (!day) return { ...prev, deliveryDate: '', deliveryTime: '' };
+          if (!day.slots.some(slot => slot.id === prev.deliveryTime && slot.available)) {
+            return { ...prev, deliveryTime: '' };
+          }
+          return prev;
+        });
+      })
+      .catch(error => {
+        if (cancelled) return;
+        setAvailability([]);
+        setAvailabilityError(error.message || 'We could not load available times. Please refresh the page.');
+      });
+
+    return () => { cancelled = true; };
+  }, [availabilityKey, formData.method, availabilityVersion]);
+
+  const selectedDay = availability && availability.find(d => d.date === formData.deliveryDate);
 
   const getTotalPrice = () => {
-    return selectedItems.reduce((total, item) => total + item.price, 0);
+    return amountDueCents / 100;
   };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Delivery slots and pickup windows differ, so switching method clears the time,
+      // and slots differ from day to day, so changing the date does too
+      ...(name === 'method' || name === 'deliveryDate' ? { deliveryTime: '' } : {})
     }));
   };
 
@@ -47,11 +208,15 @@ export default function Order() {
     if (!formData.email.trim()) errors.email = 'Email is required';
     else if (!/\S+@\S+\.\S+/.test(formData.email)) errors.email = 'Email is invalid';
     if (!formData.phone.trim()) errors.phone = 'Phone is required';
-    if (!formData.address.trim()) errors.address = 'Address is required';
-    if (!formData.city.trim()) errors.city = 'City is required';
-    if (!formData.zipCode.trim()) errors.zipCode = 'ZIP code is required';
-    if (!formData.deliveryDate) errors.deliveryDate = 'Delivery date is required';
-    if (!formData.deliveryTime) errors.deliveryTime = 'Delivery time is required';
+    if (isDelivery) {
+      if (!formData.address.trim()) errors.address = 'Address is required';
+      if (!formData.city.trim()) errors.city = 'City is required';
+      if (!formData.zipCode.trim()) errors.zipCode = 'ZIP code is required';
+      else if (!normalizeZipCode(formData.zipCode)) errors.zipCode = 'ZIP code is invalid';
+      else if (!deliveryZone) errors.zipCode = "Sorry, we don't deliver to this ZIP code yet";
+    }
+    if (!formData.deliveryDate) errors.deliveryDate = `${isDelivery ? 'Delivery' : 'Pickup'} date is required`;
+    if (!formData.deliveryTime) errors.deliveryTime = `${isDelivery ? 'Delivery' : 'Pickup'} time is required`;
     
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
@@ -64,84 +229,130 @@ export default function Order() {
       return;
     }
     
-    // Move to payment step
-    setPaymentStep('payment');
-    setFormErrors({});
+    setIsSubmitting(true);
+    try {
+      // Store the order (items, contact and fulfillment details) before taking payment
+      const createdOrder = await createOrder({
+        items: orderLines,
+        amountCents: totals.totalCents,
+        customer: {
+          name: formData.name,
+          email: formData.email,
+          phone: formData.phone
+        },
+        delivery: {
+          method: formData.method,
+          ...(isDelivery ? {
+            address: formData.address,
+            city: formData.city,
+            zipCode: formData.zipCode
+          } : {}),
+          date: formData.deliveryDate,
+          timeSlot: formData.deliveryTime,
+          instructions: formData.specialInstructions
+        },
+        promoCode: totals.promotion ? totals.promotion.code : undefined,
+        giftCardCode: giftCard ? giftCard.code : undefined,
+        // Going back and continuing again replaces the unpaid order, freeing its slot
+        replacesOrderId: order ? order.id : undefined
+      });
+
+      setOrder(createdOrder);
+      // Move to payment step
+      setPaymentStep('payment');
+      setFormErrors({});
+    } catch (error) {
+      // The slot filled up since the page loaded; show what is still open
+      if (error.fieldErrors && error.fieldErrors.deliveryTime) {
+        setAvailabilityVersion(version => version + 1);
+      }
+      // The promo code was used up or isn't valid any more
+      if (error.fieldErrors && error.fieldErrors.promoCode) {
+        setPromotion(null);
+        setPromoError(error.fieldErrors.promoCode);
+      }
+      // The gift card was used up since it was applied
+      if (error.fieldErrors && error.fieldErrors.giftCardCode) {
+        setGiftCard(null);
+        setGiftCardError(error.fieldErrors.giftCardCode);
+      }
+      setFormErrors({
+        ...(error.fieldErrors || {}),
+        submit: error.message || 'We could not save your order. Please try again.'
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
-  const handlePaymentSuccess = async (paymentResult) => {
+  // The receipt and new order alert are sent by the server with the payment
+  const handlePaymentSuccess = () => {
+    setIsSubmitting(false);
+    setPaymentError('');
+    setPaymentStep('success');
+    clearOrder(); // Clear the order from context
+
+    // Redirect to home after 5 seconds
+    setTimeout(() => {
+      navigate('/');
+    }, 5000);
+  };
+
+  // The gift card covers the whole order, so there is nothing to charge to a card
+  const handlePayWithGiftCard = async () => {
     setIsSubmitting(true);
     setPaymentError('');
-    
     try {
-      const totalPrice = getTotalPrice();
-      
-      // Email notifications are now handled automatically by SquarePaymentForm
-      
-      setIsSubmitting(false);
-      setPaymentStep('success');
-      clearOrder(); // Clear the order from context
-      
-      // Redirect to home after 5 seconds
-      setTimeout(() => {
-        navigate('/');
-      }, 5000);
+      await payWithGiftCard(order.id);
+      handlePaymentSuccess();
     } catch (error) {
-      setIsSubmitting(false);
-      setPaymentError('Payment successful, but failed to send confirmation emails. Your order has been processed.');
-      setPaymentStep('success');
+      handlePaymentError(error.message || 'We could not place your order. Please try again.');
     }
   };
 
-  const handlePaymentError = (error) => {
+  const handlePaymentError = useCallback((error) => {
     setPaymentError(error);
     setIsSubmitting(false);
-  };
+  }, []);
 
-  if (selectedItems.length === 0) {
+  if (paymentStep === 'success') {
     return (
       <div className="page">
         <div className="page-content text-center">
           <div className="card" style={{ maxWidth: '500px', margin: '0 auto' }}>
-            <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-md)' }}>🛒</div>
-            <h2>Your cart is empty</h2>
-            <p>Add some delicious items from our menu to get started!</p>
-            <button 
-              onClick={() => navigate('/menu')} 
-              className="btn-primary"
-            >
-              Browse Menu
-            </button>
+            <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-md)' }}>🎉</div>
+            <h2>Order Placed Successfully!</h2>
+            <p>Thank you for your order! We'll contact you soon to confirm the details.</p>
+            {order && (
+              <p>
+                <strong>Order ID:</strong> {order.id}<br />
+                <Link to={`/orders/${order.id}`}>Track your order</Link>
+              </p>
+            )}
+            <p>Redirecting to home page...</p>
+            <div className="loading">
+              <div className="spinner"></div>
+            </div>
           </div>
         </div>
       </div>
     );
   }
 
-  if (paymentStep === 'success') {
+  if (lines.length === 0) {
     return (
       <div className="page">
         <div className="page-content text-center">
           <div className="card" style={{ maxWidth: '500px', margin: '0 auto' }}>
-            <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-md)' }}>🎉</div>
-            <h2>Order Placed Successfully!</h2>
-            <p>Thank you for your order! We'll contact you soon to confirm the details.</p>
-            {paymentError && (
-              <div style={{ 
-                background: '#fff3cd', 
-                color: '#856404', 
-                padding: 'var(--spacing-sm)', 
-                borderRadius: 'var(--radius-sm)', 
-                marginBottom: 'var(--spacing-md)',
-                border: '1px solid #ffeaa7'
-              }}>
-                {paymentError}
-              </div>
-            )}
-            <p>Redirecting to home page...</p>
-            <div className="loading">
-              <div className="spinner"></div>
-            </div>
+            <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-md)' }}>🛒</div>
+            <h2>Your cart is empty</h2>
+            <p>Add some delicious items from our menu to get started!</p>
+            <button 
+              onClick={() => navigate('/menu')} 
+              className="btn-primary"
+            >
+              Browse Menu
+            </button>
           </div>
         </div>
       </div>
@@ -160,20 +371,9 @@ export default function Order() {
           {/* Order Summary */}
           <div className="order-summary">
             <h3>Order Summary</h3>
-            {(() => {
-              // Group items by name and show unique items with quantities
-              const uniqueItems = selectedItems.reduce((acc, item) => {
-                const existing = acc.find(i => i.name === item.name);
-                if (existing) {
-                  existing.quantity += 1;
-                } else {
-                  acc.push({ ...item, quantity: 1 });
-                }
-                return acc;
-              }, []);
-              
-              return uniqueItems.map((item, index) => (
-                <div key={index} className="order-item">
+            <fieldset className="order-lock" disabled={isLocked}>
+              {lines.map((item) => (
+                <div key={item.lineKey} className="order-item">
                   {/* Item Image */}
                   <div style={{ width: '60px', height: '60px', marginRight: 'var(--spacing-md)', flexShrink: 0 }}>
                     <img 
@@ -209,10 +409,15 @@ export default function Order() {
                       <span>{item.emoji}</span>
                     </div>
                   </div>
-                  
+                
                   {/* Item Details */}
                   <div style={{ flex: 1 }}>
                     <strong>{item.name}</strong>
+                    {item.optionsLabel && (
+                      <p style={{ margin: 0, fontSize: '0.9rem', color: 'var(--text-dark)' }}>
+                        {item.optionsLabel}
+                      </p>
+                    )}
                     <p style={{ margin: 0, fontSize: '0.9rem', color: 'var(--text-light)' }}>
                       {item.description}
                     </p>
@@ -221,13 +426,7 @@ export default function Order() {
                   {/* Quantity Controls */}
                   <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)', marginRight: 'var(--spacing-sm)' }}>
                     <button 
-                      onClick={() => {
-                        // Remove one instance of this item
-                        const itemIndex = selectedItems.findIndex(selectedItem => selectedItem.name === item.name);
-                        if (itemIndex !== -1) {
-                          removeFromOrder(itemIndex);
-                        }
-                      }}
+                      onClick={() => incrementLine(item.lineKey, -1)}
                       style={{ 
                         background: 'var(--soft-gray)', 
                         border: '1px solid var(--border-light)', 
@@ -247,17 +446,29 @@ export default function Order() {
                     >
                       −
                     </button>
-                    <span style={{ 
-                      minWidth: '20px', 
-                      textAlign: 'center', 
-                      fontSize: '0.9rem',
-                      fontWeight: '600',
-                      color: 'var(--text-dark)'
-                    }}>
-                      {item.quantity}
-                    </span>
+                    <input
+                      type="number"
+                      min="1"
+                      max={MAX_QUANTITY_PER_ITEM}
+                      value={item.quantity}
+                      onChange={(e) => {
+                        // Ignore the empty value while the customer is retyping;
+                        // removing a line is left to the remove button
+                        if (e.target.value !== '') setQuantity(item.lineKey, Math.max(Number(e.target.value), 1));
+                      }}
+                      aria-label={`Quantity of ${item.name}`}
+                      style={{ 
+                        width: '44px', 
+                        textAlign: 'center', 
+                        fontSize: '0.9rem',
+                        fontWeight: '600',
+                        color: 'var(--text-dark)',
+                        border: '1px solid var(--border-light)',
+                        borderRadius: 'var(--radius-sm)'
+                      }}
+                    />
                     <button 
-                      onClick={() => addToOrder(item)}
+                      onClick={() => incrementLine(item.lineKey)}
                       style={{ 
                         background: 'var(--primary-pink)', 
                         border: '1px solid var(--primary-pink)', 
@@ -278,23 +489,15 @@ export default function Order() {
                       +
                     </button>
                   </div>
-                  
+                
                   {/* Price */}
                   <div style={{ fontWeight: 'bold', color: 'var(--primary-pink)', minWidth: '60px' }}>
-                    ${(item.price * item.quantity).toFixed(2)}
+                    {formatCents(item.unitPriceCents * item.quantity)}
                   </div>
-                  
+                
                   {/* Remove Button */}
                   <button 
-                    onClick={() => {
-                      // Remove all instances of this item
-                      const indicesToRemove = selectedItems
-                        .map((selectedItem, idx) => selectedItem.name === item.name ? idx : -1)
-                        .filter(idx => idx !== -1)
-                        .reverse(); // Remove from end to avoid index shifting
-                      
-                      indicesToRemove.forEach(idx => removeFromOrder(idx));
-                    }}
+                    onClick={() => removeLine(item.lineKey)}
                     className="remove-btn"
                     title="Remove all of this item"
                     style={{ 
@@ -330,16 +533,142 @@ export default function Order() {
                   </button>
                 </div>
               </div>
-              ));
-            })()}
-            <div className="order-total">
-              Total: ${getTotalPrice().toFixed(2)}
-            </div>
+              ))}
+              <div className="promo-code">
+                {promotion ? (
+                  <div className="promo-code-applied">
+                    <span><strong>{promotion.code}</strong>: {promotion.description}</span>
+                    <button type="button" className="promo-code-remove" onClick={handleRemovePromo}>
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <div className="promo-code-entry">
+                    <label htmlFor="promoCode">Promo code</label>
+                    <input
+                      type="text"
+                      id="promoCode"
+                      value={promoInput}
+                      onChange={(e) => setPromoInput(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          e.preventDefault();
+                          handleApplyPromo();
+                        }
+                      }}
+                      autoComplete="off"
+                      aria-invalid={promoError ? 'true' : 'false'}
+                      aria-describedby={promoError ? 'promoCode-error' : undefined}
+                    />
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      onClick={handleApplyPromo}
+                      disabled={isApplyingPromo || !promoInput.trim() || !totals}
+                    >
+                      {isApplyingPromo ? 'Checking...' : 'Apply'}
+                    </button>
+                  </div>
+                )}
+                {(promoError || promotionIssue) && (
+                  <div id="promoCode-error" className="field-error">{promoError || promotionIssue}</div>
+                )}
+              </div>
+              <div className="promo-code">
+                {giftCard ? (
+                  <div className="promo-code-applied">
+                    <span>
+                      Gift card ending <strong>{getGiftCardLastFour(giftCard.code)}</strong>: {formatCents(giftCard.balanceCents)} balance
+                    </span>
+                    <button type="button" className="promo-code-remove" onClick={handleRemoveGiftCard}>
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <div className="promo-code-entry">
+                    <label htmlFor="giftCardCode">Gift card</label>
+                    <input
+                      type="text"
+                      id="giftCardCode"
+                      value={giftCardInput}
+                      onChange={(e) => setGiftCardInput(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          e.preventDefault();
+                          handleApplyGiftCard();
+                        }
+                      }}
+                      autoComplete="off"
+                      aria-invalid={giftCardError ? 'true' : 'false'}
+                      aria-describedby={giftCardError ? 'giftCardCode-error' : undefined}
+                    />
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      onClick={handleApplyGiftCard}
+                      disabled={isApplyingGiftCard || !giftCardInput.trim()}
+                    >
+                      {isApplyingGiftCard ? 'Checking...' : 'Apply'}
+                    </button>
+                  </div>
+                )}
+                {giftCardError && (
+                  <div id="giftCardCode-error" className="field-error">{giftCardError}</div>
+                )}
+              </div>
+            </fieldset>
+            {totals ? (
+              <>
+                <div className="order-breakdown">
+                  <div className="order-breakdown-row">
+                    <span>Subtotal</span>
+                    <span>{formatCents(totals.subtotalCents)}</span>
+                  </div>
+                  {totals.discountCents > 0 && (
+                    <div className="order-breakdown-row order-breakdown-discount">
+                      <span>Discount ({totals.promotion.code})</span>
+                      <span>-{formatCents(totals.discountCents)}</span>
+                    </div>
+                  )}
+                  {totals.taxes.map(tax => (
+                    <div key={tax.id} className="order-breakdown-row">
+                      <span>{tax.label} ({formatTaxRate(tax.rate)} of {formatCents(tax.taxableCents)})</span>
+                      <span>{formatCents(tax.taxCents)}</span>
+                    </div>
+                  ))}
+                  <div className="order-breakdown-row">
+                    <span>{isDelivery ? `Delivery${deliveryZone ? ` (${deliveryZone.name})` : ''}` : 'Pickup'}</span>
+                    <span>
+                      {isDelivery && !deliveryZone
+                        ? 'Enter ZIP code'
+                        : totals.deliveryFeeCents === 0 ? 'Free' : formatCents(totals.deliveryFeeCents)}
+                    </span>
+                  </div>
+                </div>
+                <div className="order-total">
+                  Total: {formatCents(totals.totalCents)}
+                </div>
+                {giftCardSplit && (
+                  <div className="order-breakdown">
+                    <div className="order-breakdown-row order-breakdown-discount">
+                      <span>Gift card ending {getGiftCardLastFour(giftCard.code)}</span>
+                      <span>-{formatCents(giftCardSplit.giftCardCents)}</span>
+                    </div>
+                    <div className="order-breakdown-row order-amount-due">
+                      <span>Amount due</span>
+                      <span>{formatCents(giftCardSplit.amountDueCents)}</span>
+                    </div>
+                  </div>
+                )}
+              </>
+            ) : (
+              <div className="field-error">{pricingError}</div>
+            )}
           </div>
 
           {/* Order Form */}
           <form className="order-form" onSubmit={handleFormSubmit} noValidate>
-            <h3>Delivery Information</h3>
+            <h3>Contact &amp; Fulfillment</h3>
             
             {formErrors.submit && (
               <div className="error-message" style={{ 
@@ -353,39 +682,45 @@ export default function Order() {
                 {formErrors.submit}
               </div>
             )}
-            
-            <div className="form-row">
-              <div className="form-group">
-                <label htmlFor="name">Full Name *</label>
-                <input
-                  type="text"
-                  id="name"
-                  name="name"
-                  value={formData.name}
-                  onChange={handleInputChange}
-                  required
-                  aria-invalid={formErrors.name ? 'true' : 'false'}
-                  aria-describedby={formErrors.name ? 'name-error' : undefined}
-                />
-                {formErrors.name && (
-                  <div id="name-error" className="field-error">{formErrors.name}</div>
-                )}
-              </div>
+
+            {isLocked && (
+              <p className="order-lock-note">
+                Your order is saved as shown. To change anything, go back to the form.
+              </p>
+            )}
+
+            <fieldset className="order-lock" disabled={isLocked}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="name">Full Name *</label>
+                  <input
+                    type="text"
+                    id="name"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    required
+                    aria-invalid={formErrors.name ? 'true' : 'false'}
+                    aria-describedby={formErrors.name ? 'name-error' : undefined}
+                  />
+                  {formErrors.name && (
+                    <div id="name-error" className="field-error">{formErrors.name}</div>
+                  )}
+                </div>
               
-              <div className="form-group">
-                <label htmlFor="email">Email *</label>
-                <input
-                  type="email"
-                  id="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleInputChange}
-                  required
-                />
+                <div className="form-group">
+                  <label htmlFor="email">Email *</label>
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </div>
               </div>
-            </div>
 
-            <div className="form-row">
               <div className="form-group">
                 <label htmlFor="phone">Phone Number *</label>
                 <input
@@ -397,73 +732,134 @@ export default function Order() {
                   required
                 />
               </div>
-              
-              <div className="form-group">
-                <label htmlFor="zipCode">ZIP Code *</label>
-                <input
-                  type="text"
-                  id="zipCode"
-                  name="zipCode"
-                  value={formData.zipCode}
-                  onChange={handleInputChange}
-                  required
-                />
-              </div>
-            </div>
 
-            <div className="form-group">
-              <label htmlFor="address">Street Address *</label>
-              <input
-                type="text"
-                id="address"
-                name="address"
-                value={formData.address}
-                onChange={handleInputChange}
-                required
-              />
-            </div>
+              <fieldset className="form-group fulfillment-options">
+                <legend>How would you like to get your order? *</legend>
+                {Object.entries(FULFILLMENT_METHOD_LABELS).map(([method, label]) => (
+                  <label key={method} className="fulfillment-option">
+                    <input
+                      type="radio"
+                      name="method"
+                      value={method}
+                      checked={formData.method === method}
+                      onChange={handleInputChange}
+                    />
+                    {label}
+                  </label>
+                ))}
+            </fieldset>
+
+            {isDelivery ? (
+              <>
+                <div className="form-group">
+                  <label htmlFor="address">Street Address *</label>
+                  <input
+                    type="text"
+                    id="address"
+                    name="address"
+                    value={formData.address}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </div>
+
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="city">City *</label>
+                    <input
+                      type="text"
+                      id="city"
+                      name="city"
+                      value={formData.city}
+                      onChange={handleInputChange}
+                      required
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="zipCode">ZIP Code *</label>
+                    <input
+                      type="text"
+                      id="zipCode"
+                      name="zipCode"
+                      value={formData.zipCode}
+                      onChange={handleInputChange}
+                      required
+                      inputMode="numeric"
+                      autoComplete="postal-code"
+                      aria-invalid={formErrors.zipCode ? 'true' : 'false'}
+                      aria-describedby={formErrors.zipCode ? 'zipCode-error' : undefined}
+                    />
+                    {formErrors.zipCode && (
+                      <div id="zipCode-error" className="field-error">{formErrors.zipCode}</div>
+                    )}
+                  </div>
+                </div>
+              </>
+            ) : (
+              <p className="pickup-note">
+                Pick up your order at the cottage: <strong>{PICKUP_ADDRESS}</strong>
+              </p>
+            )}
 
             <div className="form-row">
               <div className="form-group">
-                <label htmlFor="city">City *</label>
-                <input
-                  type="text"
-                  id="city"
-                  name="city"
-                  value={formData.city}
+                <label htmlFor="deliveryDate">Preferred {isDelivery ? 'Delivery' : 'Pickup'} Date *</label>
+                <select
+                  id="deliveryDate"
+                  name="deliveryDate"
+                  value={formData.deliveryDate}
                   onChange={handleInputChange}
                   required
-                />
+                  disabled={!availability || availability.length === 0}
+                  aria-invalid={formErrors.deliveryDate ? 'true' : 'false'}
+                  aria-describedby={formErrors.deliveryDate ? 'deliveryDate-error' : undefined}
+                >
+                  <option value="">
+                    {!availability ? 'Loading available dates...' : 'Select a date'}
+                  </option>
+                  {(availability || []).map(day => (
+                    <option key={day.date} value={day.date}>{formatBookingDate(day.date)}</option>
+                  ))}
+                </select>
+                {formErrors.deliveryDate && (
+                  <div id="deliveryDate-error" className="field-error">{formErrors.deliveryDate}</div>
+                )}
               </div>
-              
+
               <div className="form-group">
-                <label htmlFor="deliveryDate">Preferred Delivery Date *</label>
-                <input
-                  type="date"
-                  id="deliveryDate"
-                  name="deliveryDate"
-                  value={formData.deliveryDate}
+                <label htmlFor="deliveryTime">Preferred {isDelivery ? 'Delivery Time' : 'Pickup Window'} *</label>
+                <select
+                  id="deliveryTime"
+                  name="deliveryTime"
+                  value={formData.deliveryTime}
                   onChange={handleInputChange}
                   required
-                />
+                  disabled={!selectedDay}
+                  aria-invalid={formErrors.deliveryTime ? 'true' : 'false'}
+                  aria-describedby={formErrors.deliveryTime ? 'deliveryTime-error' : undefined}
+                >
+                  <option value="">{selectedDay ? 'Select a time' : 'Choose a date first'}</option>
+                  {(selectedDay ? selectedDay.slots : []).map(slot => (
+                    <option key={slot.id} value={slot.id} disabled={!slot.available}>
+                      {slot.label}{slot.available ? '' : ' (full)'}
+                    </option>
+                  ))}
+                </select>
+                {formErrors.deliveryTime && (
+                  <div id="deliveryTime-error" className="field-error">{formErrors.deliveryTime}</div>
+                )}
               </div>
             </div>
 
-            <div className="form-group">
-              <label htmlFor="deliveryTime">Preferred Delivery Time *</label>
-              <select
-                id="deliveryTime"
-                name="deliveryTime"
-                value={formData.deliveryTime}
-                onChange={handleInputChange}
-                required
-              >
-                <option value="">Select a time</option>
-                <option value="morning">Morning (8:00 AM - 12:00 PM)</option>
-                <option value="afternoon">Afternoon (12:00 PM - 5:00 PM)</option>
-                <option value="evening">Evening (5:00 PM - 8:00 PM)</option>
-              </select>
-            </div>
+            {availabilityError && (
+              <div className="field-error">{availabilityError}</div>
+            )}
+            {availability && availability.length === 0 && !availabilityError && (
+              <div className="field-error">
+                Sorry, we're fully booked for the next few weeks. Please get in touch and we'll do our best to fit you in.
+              </div>
+            )}
 
             <div className="form-group">
               <label htmlFor="specialInstructions">Special Instructions</label>
@@ -473,17 +869,18 @@ export default function Order() {
                 value={formData.specialInstructions}
                 onChange={handleInputChange}
                 rows="4"
-                placeholder="Any special requests or delivery instructions..."
+                placeholder={isDelivery ? 'Any special requests or delivery instructions...' : 'Any special requests...'}
               />
             </div>
 
             <button 
               type="submit" 
               className="btn-primary"
-              disabled={isSubmitting}
+              disabled={isSubmitting || !totals}
             >
               Continue to Payment
             </button>
+            </fieldset>
           </form>
 
           {/* Payment Form - Only show when payment step is active */}
@@ -507,13 +904,35 @@ export default function Order() {
                 </div>
               )}
 
-              <SquarePaymentForm
-                amount={getTotalPrice()}
-                customerEmail={formData.email}
-                onPaymentSuccess={handlePaymentSuccess}
-                onPaymentError={handlePaymentError}
-                isProcessing={isSubmitting}
-              />
+              {amountDueCents > 0 ? (
+                <SquarePaymentForm
+                  amount={getTotalPrice()}
+                  orderId={order?.id}
+                  totals={totals}
+                  giftCardCents={giftCardSplit ? giftCardSplit.giftCardCents : 0}
+                  billingContact={{
+                    name: formData.name,
+                    email: formData.email,
+                    phone: formData.phone,
+                    ...(isDelivery ? { address: formData.address, city: formData.city, zipCode: formData.zipCode } : {})
+                  }}
+                  onPaymentSuccess={handlePaymentSuccess}
+                  onPaymentError={handlePaymentError}
+                  isProcessing={isSubmitting}
+                />
+              ) : (
+                <div className="gift-card-payment">
+                  <p>Your gift card covers this order, so there is nothing left to pay.</p>
+                  <button
+                    type="button"
+                    className="btn-primary"
+                    onClick={handlePayWithGiftCard}
+                    disabled={isSubmitting || !order}
+                  >
+                    {isSubmitting ? 'Placing Order...' : 'Place Order'}
+                  </button>
+                </div>
+              )}
 
               <div className="payment-actions">
                 <button 
@@ -0,0 +1,235 @@
+import { useState } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { FULFILLMENT_METHODS, PICKUP_ADDRESS, getFulfillmentLabel, getTimeSlot } from "../shared/fulfillment";
+import { ORDER_STATUS, getStatusLabel } from "../shared/orderStatus";
+import { formatCents, formatLineName } from "../shared/pricing";
+import { getSuccessfulRefunds } from "../shared/refunds";
+import { formatTaxRate } from "../shared/taxes";
+import { lookupOrder } from "../utils/orderService";
+import "./css/OrderTracking.css";
+
+// Steps shown on the timeline, in the order an order moves through them
+const TIMELINE_STEPS = [
+  ORDER_STATUS.RECEIVED,
+  ORDER_STATUS.BAKING,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+  ORDER_STATUS.DELIVERED,
+];
+
+/**
+ * Formats an ISO timestamp for customers, e.g. "Oct 19, 2:30 PM"
+ * @param {string} isoString - ISO timestamp
+ * @returns {string} Formatted date and time
+ */
+const formatTimestamp = (isoString) => new Date(isoString).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * OrderTracking Component
+ * Lets a customer look up an order by id and email and see its progress
+ * The order id can come from the URL (/orders/:id), e.g. from a status email link
+ */
+export default function OrderTracking() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [formData, setFormData] = useState({ orderId: id || '', email: '' });
+  const [order, setOrder] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    setOrder(null);
+
+    try {
+      const found = await lookupOrder(formData.orderId.trim(), formData.email.trim());
+      setOrder(found);
+      // Keep the URL in sync so the page can be bookmarked
+      if (found.id !== id) {
+        navigate(`/orders/${found.id}`, { replace: true });
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to look up your order');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Finds when an order reached a status, from its status history
+   * @param {string} status - Order status
+   * @returns {string|undefined} ISO timestamp
+   */
+  const reachedAt = (status) => order.statusHistory.find(entry => entry.status === status)?.at;
+
+  const currentStepIndex = order ? TIMELINE_STEPS.indexOf(order.status) : -1;
+
+  return (
+    <div className="page">
+      <div className="page-content">
+        <div className="text-center mb-5">
+          <h2>Track Your Order</h2>
+          <p>Enter your order ID and the email address you used at checkout</p>
+        </div>
+
+        <form className="tracking-form card" onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="orderId">Order ID</label>
+            <input
+              type="text"
+              id="orderId"
+              name="orderId"
+              value={formData.orderId}
+              onChange={handleInputChange}
+              placeholder="LLC-XXXXXXXX"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={formData.email}
+              onChange={handleInputChange}
+              required
+            />
+          </div>
+          {error && <div className="tracking-error">{error}</div>}
+          <button type="submit" className="btn-primary" disabled={isLoading}>
+            {isLoading ? 'Looking up...' : 'Track Order'}
+          </button>
+        </form>
+
+        {order && (
+          <div className="tracking-result card">
+            <div className="tracking-result-header">
+              <h3>Order {order.id}</h3>
+              <span className="tracking-status">{getStatusLabel(order.status, order.delivery.method)}</span>
+            </div>
+            <p className="tracking-delivery">
+              {getFulfillmentLabel(order.delivery.method)} on {order.delivery.date}, {getTimeSlot(order.delivery.timeSlot)?.label || order.delivery.timeSlot}
+            </p>
+            {order.delivery.method === FULFILLMENT_METHODS.PICKUP && (
+              <p className="tracking-delivery">Pick up at {PICKUP_ADDRESS}</p>
+            )}
+
+            {order.status === ORDER_STATUS.CANCELLED && (
+              <div className="tracking-error">
+                This order was cancelled. Please contact us at (931) 982-3020 if you have any questions.
+              </div>
+            )}
+
+            {order.status === ORDER_STATUS.REFUNDED && (
+              <div className="tracking-error">
+                This order was refunded. Please contact us at (931) 982-3020 if you have any questions.
+              </div>
+            )}
+
+            {order.status === ORDER_STATUS.PENDING_PAYMENT && (
+              <div className="tracking-error">
+                We haven't received payment for this order yet.
+              </div>
+            )}
+
+            {currentStepIndex !== -1 && (
+              <ol className="tracking-timeline">
+                {TIMELINE_STEPS.map((status, index) => (
+                  <li
+                    key={status}
+                    className={`tracking-step ${index <= currentStepIndex ? 'is-complete' : ''} ${index === currentStepIndex ? 'is-current' : ''}`}
+                  >
+                    <span className="tracking-step-marker" aria-hidden="true" />
+                    <span className="tracking-step-label">{getStatusLabel(status, order.delivery.method)}</span>
+                    {reachedAt(status) && (
+                      <span className="tracking-step-time">{formatTimestamp(reachedAt(status))}</span>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            <table className="tracking-items">
+              <tbody>
+                {order.items.map((item, index) => (
+                  <tr key={index}>
+                    <td>{item.quantity} &times; {formatLineName(item)}</td>
+                    <td className="tracking-item-price">{formatCents(item.totalCents)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td>Subtotal</td>
+                  <td className="tracking-item-price">{formatCents(order.totals.subtotalCents)}</td>
+                </tr>
+                {order.totals.discountCents > 0 && (
+                  <tr>
+                    <td>Discount{order.promotion ? ` (${order.promotion.code})` : ''}</td>
+                    <td className="tracking-item-price">-{formatCents(order.totals.discountCents)}</td>
+                  </tr>
+                )}
+                {/* Orders placed before tax was itemized only have taxCents */}
+                {(order.totals.taxes || [{ id: 'tax', label: 'Sales tax', taxCents: order.totals.taxCents }]).map(tax => (
+                  <tr key={tax.id}>
+                    <td>{tax.label}{tax.rate ? ` (${formatTaxRate(tax.rate)})` : ''}</td>
+                    <td className="tracking-item-price">{formatCents(tax.taxCents)}</td>
+                  </tr>
+                ))}
+                {order.totals.deliveryFeeCents > 0 && (
+                  <tr>
+                    <td>Delivery</td>
+                    <td className="tracking-item-price">{formatCents(order.totals.deliveryFeeCents)}</td>
+                  </tr>
+                )}
+                <tr>
+                  <td>Total</td>
+                  <td className="tracking-item-price">{formatCents(order.totals.totalCents)}</td>
+                </tr>
+                {order.giftCard && (
+                  <>
+                    <tr>
+                      <td>Gift card ending {order.giftCard.lastFour}</td>
+                      <td className="tracking-item-price">-{formatCents(order.giftCard.amountCents)}</td>
+                    </tr>
+                    <tr>
+                      <td>Charged to card</td>
+                      <td className="tracking-item-price">{formatCents(order.totals.totalCents - order.giftCard.amountCents)}</td>
+                    </tr>
+                  </>
+                )}
+                {getSuccessfulRefunds(order).map((refund, index) => (
+                  <tr key={`refund-${index}`}>
+                    <td>Refunded {formatTimestamp(refund.createdAt)}</td>
+                    <td className="tracking-item-price">-{formatCents(refund.amountCents + (refund.giftCardCents || 0))}</td>
+                  </tr>
+                ))}
+              </tfoot>
+            </table>
+
+            {(order.giftCardsIssued || []).length > 0 && (
+              <div className="tracking-gift-cards">
+                <h3>Your gift card{order.giftCardsIssued.length > 1 ? 's' : ''}</h3>
+                {order.giftCardsIssued.map(card => <p key={card.code}>{card.code} ({formatCents(card.amountCents)})</p>)}
+                <p>Enter a code at checkout to spend its balance.</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
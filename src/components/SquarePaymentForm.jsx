@@ -4,18 +4,74 @@ import React, { useEffect, useRef, useState } from 'react';
 // which can cause runtime errors like "Class extends value #<Object> is not a constructor or null".
 import { squareConfig, isSquareConfigured, getSquareEnvironment } from '../config/squareConfig';
 
-import { sendOrderEmails } from '../utils/emailService';
+import { formatTaxRate } from '../shared/taxes';
 import './css/SquarePaymentForm.css';
 
+// Square payment requests take amounts as dollar strings, e.g. "12.50"
+const toAmountString = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Builds the itemized total shown in the Apple Pay / Google Pay sheet
+ * @param {number} amount - Amount to charge, in dollars
+ * @param {Object} totals - Order totals in cents (optional; without them only the total is shown)
+ * @param {number} giftCardCents - Part of the total paid by gift card
+ * @returns {Object} { total, lineItems } for payments.paymentRequest() or paymentRequest.update()
+ */
+const buildPaymentRequestAmounts = (amount, totals, giftCardCents) => {
+  const lineItems = totals ? [
+    { label: 'Subtotal', amount: toAmountString(totals.subtotalCents) },
+    ...(totals.discountCents > 0 ? [{ label: 'Discount', amount: toAmountString(-totals.discountCents) }] : []),
+    ...totals.taxes.map(tax => ({
+      label: `${tax.label} (${formatTaxRate(tax.rate)})`,
+      amount: toAmountString(tax.taxCents)
+    })),
+    ...(totals.deliveryFeeCents > 0 ? [{ label: 'Delivery', amount: toAmountString(totals.deliveryFeeCents) }] : []),
+    ...(giftCardCents > 0 ? [{ label: 'Gift card', amount: toAmountString(-giftCardCents) }] : []),
+  ] : [];
+
+  return {
+    total: { label: 'Little Loaf Cottage', amount: amount.toFixed(2) },
+    lineItems
+  };
+};
+
+/**
+ * Converts the Order form's contact details to a Square billing contact
+ * @param {Object} contact - { name, email, phone, address, city, zipCode }; address fields are
+ *   left out for pickup orders
+ * @returns {Object} Billing contact for payments.verifyBuyer()
+ */
+const toBillingContact = ({ name = '', email, phone, address, city, zipCode } = {}) => {
+  const [givenName = '', ...familyNames] = name.trim().split(/\s+/);
+  return {
+    givenName,
+    familyName: familyNames.join(' '),
+    email,
+    phone,
+    ...(address ? { addressLines: [address] } : {}),
+    ...(city ? { city } : {}),
+    ...(zipCode ? { postalCode: zipCode } : {}),
+    countryCode: 'US'
+  };
+};
+
 /**
  * Square Payment Form Component
  * 
  * This component integrates Square's Web Payments SDK to handle secure payment processing.
- * It creates a secure payment form that tokenizes card information on the client side.
+ * It creates a secure payment form that tokenizes card information on the client side,
+ * plus Apple Pay and Google Pay buttons on devices that support them. Every method
+ * is charged through the same process-payment call.
+ * Apple Pay only appears once the site's domain is registered for it in the Square Dashboard.
+ * Card payments run Square's buyer verification (SCA) with the customer's billing
+ * contact first; wallets verify the buyer themselves.
  */
 export default function SquarePaymentForm({ 
   amount, 
-  customerEmail,
+  orderId,
+  totals,
+  giftCardCents = 0,
+  billingContact,
   onPaymentSuccess, 
   onPaymentError, 
   isProcessing = false,
@@ -23,10 +79,24 @@ export default function SquarePaymentForm({
 }) {
   const cardRef = useRef(null);
   const paymentsRef = useRef(null);
+  const paymentRequestRef = useRef(null);
+  const applePayRef = useRef(null);
+  const googlePayRef = useRef(null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [wallets, setWallets] = useState({ applePay: false, googlePay: false });
   const [paymentErrors, setPaymentErrors] = useState([]);
   const [isProcessingPayment, setIsProcessingPayment] = useState(false);
   const validationRunningRef = useRef(false);
+  // Token of a payment whose outcome we don't know yet; see submitPayment
+  const pendingPaymentRef = useRef(null);
+
+  // Itemized total for the wallet sheet; the key changes only when an amount does
+  const paymentRequestKey = JSON.stringify(buildPaymentRequestAmounts(amount, totals, giftCardCents));
+  const paymentRequestKeyRef = useRef(paymentRequestKey);
+  // Latest error callback, read by the setup below so a parent passing a new
+  // function each render doesn't rebuild the card form and wallets
+  const onPaymentErrorRef = useRef(onPaymentError);
+  onPaymentErrorRef.current = onPaymentError;
 
   /**
    * Initialize Square Payments SDK with robust error handling and retry logic
@@ -152,11 +222,46 @@ export default function SquarePaymentForm({
           setIsInitialized(true);
         }
 
+        // Wallets are optional: the SDK throws when the device or browser
+        // doesn't support one, and the card form still works without them
+        paymentRequestRef.current = paymentsRef.current.paymentRequest({
+          countryCode: 'US',
+          currencyCode: squareConfig.currency,
+          ...JSON.parse(paymentRequestKeyRef.current)
+        });
+
+        try {
+          applePayRef.current = await paymentsRef.current.applePay(paymentRequestRef.current);
+          if (isMounted) {
+            setWallets(prev => ({ ...prev, applePay: true }));
+          }
+        } catch (applePayError) {
+          applePayRef.current = null;
+          if (import.meta.env.VITE_DEBUG_SQUARE === 'true') {
+            // eslint-disable-next-line no-console
+            console.log('[Square][debug] Apple Pay unavailable:', applePayError.message);
+          }
+        }
+
+        try {
+          googlePayRef.current = await paymentsRef.current.googlePay(paymentRequestRef.current);
+          await googlePayRef.current.attach('#google-pay-button', { buttonColor: 'black', buttonSizeMode: 'fill' });
+          if (isMounted) {
+            setWallets(prev => ({ ...prev, googlePay: true }));
+          }
+        } catch (googlePayError) {
+          googlePayRef.current = null;
+          if (import.meta.env.VITE_DEBUG_SQUARE === 'true') {
+            // eslint-disable-next-line no-console
+            console.log('[Square][debug] Google Pay unavailable:', googlePayError.message);
+          }
+        }
+
       } catch (error) {
         // Only handle error if component is still mounted
         if (isMounted) {
           const errorMessage = error.message || 'Failed to initialize payment form. Please refresh the page and try again.';
-          onPaymentError?.(errorMessage);
+          onPaymentErrorRef.current?.(errorMessage);
         }
       }
     };
@@ -179,26 +284,118 @@ export default function SquarePaymentForm({
         container.innerHTML = '';
       }
       
-      if (cardRef.current && typeof cardRef.current.destroy === 'function') {
-        try {
-          cardRef.current.destroy();
-        } catch (destroyError) {
-          // Silently handle destroy errors as component is unmounting
+      [cardRef.current, applePayRef.current, googlePayRef.current].forEach(method => {
+        if (method && typeof method.destroy === 'function') {
+          try {
+            method.destroy();
+          } catch {
+            // Silently handle destroy errors as component is unmounting
+          }
         }
-      }
+      });
       
       // Reset refs
       cardRef.current = null;
+      applePayRef.current = null;
+      googlePayRef.current = null;
+      paymentRequestRef.current = null;
       paymentsRef.current = null;
     };
-  }, [onPaymentError]);
+  }, []);
+
+  // Keep the wallet sheet's itemized total in step with the order
+  useEffect(() => {
+    paymentRequestKeyRef.current = paymentRequestKey;
+    if (paymentRequestRef.current) {
+      paymentRequestRef.current.update(JSON.parse(paymentRequestKey));
+    }
+  }, [paymentRequestKey]);
 
 
   /**
-   * Handle payment form submission
-   * This tokenizes the card information and sends it to the backend for processing
+   * Send a tokenized payment to the backend and report the outcome
+   * Shared by the card form and the wallet buttons. Until process-payment gives
+   * a definite answer (e.g. the request timed out), the token is kept and sent
+   * again on the next try instead of a new one, so the retry can only ever
+   * complete the same payment.
+   * @param {string} sourceId - Payment token from tokenize()
+   * @param {string} verificationToken - Token from verifyBuyer() (card payments only)
    */
-  const handlePayment = async () => {
+  const submitPayment = async (sourceId, verificationToken) => {
+    pendingPaymentRef.current = { orderId, sourceId, verificationToken };
+
+    // The server prices the stored order itself; amountCents is the total the
+    // customer was shown and is only used to detect a stale or tampered cart.
+    const paymentData = {
+      sourceId,
+      verificationToken,
+      orderId,
+      amountCents: Math.round(amount * 100), // Convert to cents
+      currency: squareConfig.currency
+    };
+
+    const response = await fetch(squareConfig.paymentEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(paymentData)
+    });
+
+    let paymentResult = {};
+    try {
+      paymentResult = await response.json();
+    } catch (jsonErr) {
+      // eslint-disable-next-line no-console
+      console.error('[Square][debug] failed to parse payment response JSON', jsonErr);
+    }
+
+    if (import.meta.env.VITE_DEBUG_SQUARE === 'true' && typeof window !== 'undefined') {
+      // eslint-disable-next-line no-console
+      console.log('[Square][debug] payment endpoint response', { status: response.status, body: paymentResult });
+    }
+
+    if (!response.ok || paymentResult.status !== 'COMPLETED') {
+      // A definite answer (e.g. a declined card) ends this attempt. After a
+      // server or Square error, or while the payment is still being processed,
+      // the charge may yet go through, so keep the token for the retry.
+      if (response.status < 500 && paymentResult.status !== 'PENDING') {
+        pendingPaymentRef.current = null;
+      }
+      throw new Error(paymentResult.error || paymentResult.errorMessage || 'Payment processing failed');
+    }
+
+    pendingPaymentRef.current = null;
+
+    onPaymentSuccess?.(paymentResult);
+  };
+
+  /**
+   * Run Square's buyer verification for a card token
+   * @param {string} token - Card payment token
+   * @returns {Promise<string>} Verification token for process-payment
+   */
+  const verifyBuyer = async (token) => {
+    try {
+      const verificationResult = await paymentsRef.current.verifyBuyer(token, {
+        amount: amount.toFixed(2),
+        currencyCode: squareConfig.currency,
+        intent: 'CHARGE',
+        billingContact: toBillingContact(billingContact)
+      });
+      return verificationResult.token;
+    } catch (verifyError) {
+      throw new Error(`We couldn't verify your card with your bank: ${verifyError.message || 'Unknown error'}. Please try again or use another card.`);
+    }
+  };
+
+  /**
+   * Tokenize with a payment method and submit the payment
+   * @param {Function} tokenize - Resolves to the SDK's tokenize() result, or null to stop
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.verify - Run buyer verification before submitting (cards)
+   */
+  const runPayment = async (tokenize, { verify = false } = {}) => {
     // Prevent multiple simultaneous payment attempts
     if (isProcessingPayment || validationRunningRef.current) {
       return;
@@ -211,26 +408,17 @@ export default function SquarePaymentForm({
     try {
       setPaymentErrors([]);
 
-      if (!cardRef.current || !paymentsRef.current || !isInitialized) {
-        onPaymentError?.('Payment form not ready. Please try again.');
-        return;
-      }
-
-      // Check if card is properly attached before tokenizing
-      const container = document.getElementById('card-container');
-      if (!container || container.children.length === 0) {
-        onPaymentError?.('Payment form not properly initialized. Please refresh the page and try again.');
+      // Finish a payment that may have gone through before starting another
+      const pending = pendingPaymentRef.current;
+      if (pending && pending.orderId === orderId) {
+        await submitPayment(pending.sourceId, pending.verificationToken);
         return;
       }
 
-      // Additional check: ensure the card instance is properly attached
-      if (!cardRef.current.attach) {
-        onPaymentError?.('Payment form not properly initialized. Please refresh the page and try again.');
+      const result = await tokenize();
+      if (!result) {
         return;
       }
-      
-      // Tokenize the card information
-      const result = await cardRef.current.tokenize();
 
       // Debug-log tokenize result when enabled
       const debugSquare = import.meta.env.VITE_DEBUG_SQUARE === 'true';
@@ -240,58 +428,7 @@ export default function SquarePaymentForm({
       }
       
       if (result.status === 'OK') {
-        
-        // Send payment to backend for processing
-        const paymentData = {
-          sourceId: result.token,
-          amount: Math.round(amount * 100), // Convert to cents
-          currency: squareConfig.currency,
-          idempotencyKey: generateIdempotencyKey()
-        };
-
-        const response = await fetch(squareConfig.paymentEndpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(paymentData)
-        });
-
-        let paymentResult = {};
-        try {
-          paymentResult = await response.json();
-        } catch (jsonErr) {
-          // eslint-disable-next-line no-console
-          console.error('[Square][debug] failed to parse payment response JSON', jsonErr);
-        }
-
-        if (import.meta.env.VITE_DEBUG_SQUARE === 'true' && typeof window !== 'undefined') {
-          // eslint-disable-next-line no-console
-          console.log('[Square][debug] payment endpoint response', { status: response.status, body: paymentResult });
-        }
-
-        if (response.ok && paymentResult.status === 'COMPLETED') {
-          // Send email notifications if customer email is provided
-          if (customerEmail) {
-            try {
-              const emailResult = await sendOrderEmails({
-                customerEmail,
-                amount,
-                orderId: paymentResult.payment?.id
-              });
-              
-              if (!emailResult.success) {
-                // Don't fail the payment if email fails
-              }
-            } catch (emailError) {
-              // Don't fail the payment if email fails
-            }
-          }
-          
-          onPaymentSuccess?.(paymentResult);
-        } else {
-          throw new Error(paymentResult.errorMessage || 'Payment processing failed');
-        }
+        await submitPayment(result.token, verify ? await verifyBuyer(result.token) : undefined);
       } else {
         // Handle tokenization errors - only show for actual tokenization failures
         const errors = result.errors || [];
@@ -311,7 +448,8 @@ export default function SquarePaymentForm({
             setPaymentErrors(errorMessages);
           }
         }
-        // For basic validation errors (invalid card, etc.), let the SDK handle inline validation
+        // For basic validation errors (invalid card, etc.), let the SDK handle inline validation.
+        // A closed wallet sheet comes back as status "Cancel" with no errors.
       }
     } catch (error) {
       onPaymentError?.(error.message || 'Payment processing failed. Please try again.');
@@ -322,13 +460,43 @@ export default function SquarePaymentForm({
   };
 
   /**
-   * Generate a unique idempotency key for payment processing
-   * This ensures that duplicate payments are not processed
+   * Handle payment form submission
+   * This tokenizes the card information, verifies the buyer and sends it to the backend for processing
    */
-  const generateIdempotencyKey = () => {
-    return Date.now().toString() + Math.random().toString(36).substr(2, 9);
-  };
+  const handlePayment = () => runPayment(async () => {
+    if (!cardRef.current || !paymentsRef.current || !isInitialized) {
+      onPaymentError?.('Payment form not ready. Please try again.');
+      return null;
+    }
 
+    // Check if card is properly attached before tokenizing
+    const container = document.getElementById('card-container');
+    if (!container || container.children.length === 0) {
+      onPaymentError?.('Payment form not properly initialized. Please refresh the page and try again.');
+      return null;
+    }
+
+    // Additional check: ensure the card instance is properly attached
+    if (!cardRef.current.attach) {
+      onPaymentError?.('Payment form not properly initialized. Please refresh the page and try again.');
+      return null;
+    }
+    
+    // Tokenize the card information
+    return cardRef.current.tokenize();
+  }, { verify: true });
+
+  /**
+   * Handle an Apple Pay or Google Pay button click
+   * The wallet sheet shows the itemized total; its token is charged like a card's
+   * @param {Object} walletRef - applePayRef or googlePayRef
+   */
+  const handleWalletPayment = (walletRef) => {
+    if (disabled || isProcessing || !walletRef.current) {
+      return;
+    }
+    runPayment(() => walletRef.current.tokenize());
+  };
 
   // Show configuration error if Square credentials are not set up
   if (!isSquareConfigured()) {
@@ -367,6 +535,27 @@ export default function SquarePaymentForm({
         <p>Secure payment processing powered by Square</p>
       </div>
 
+      {/* Wallet Buttons - only shown when the device supports them */}
+      <div className="wallet-buttons">
+        {wallets.applePay && (
+          <button
+            type="button"
+            className="apple-pay-button"
+            onClick={() => handleWalletPayment(applePayRef)}
+            disabled={isProcessing || isProcessingPayment || disabled}
+            aria-label="Pay with Apple Pay"
+          />
+        )}
+        <div
+          id="google-pay-button"
+          className={wallets.googlePay ? 'google-pay-button' : undefined}
+          onClick={() => handleWalletPayment(googlePayRef)}
+        />
+      </div>
+      {(wallets.applePay || wallets.googlePay) && (
+        <div className="wallet-divider"><span>or pay with card</span></div>
+      )}
+
       {/* Square Card Form Container */}
       <div className="card-form-container">
         <div 
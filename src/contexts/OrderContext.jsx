@@ -1,5 +1,10 @@
 // Import React hooks for state management and context
 import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import { getCatalogItem, findCatalogItemByName, getMenuSections, isItemAvailable, setActiveCatalog } from '../shared/catalog';
+import { FULFILLMENT_METHODS } from '../shared/fulfillment';
+import { MAX_QUANTITY_PER_ITEM, calculateOrderTotals, formatLineName, getLineKey, resolveItemOptions, toOrderLines } from '../shared/pricing';
+import { getItemImage } from '../utils/catalogImages';
+import { fetchMenu } from '../utils/orderService';
 
 // Create a React Context for sharing order state across components
 const OrderContext = createContext();
@@ -17,39 +22,147 @@ export const useOrder = () => {
   return context;
 };
 
+/**
+ * Builds a cart line from a catalog item, the options the customer picked and a quantity
+ * The line's `options` holds the selection ({ optionId: choiceId }), not the
+ * catalog's option list, and `lineKey` tells configurations of one item apart
+ * @param {Object} catalogItem - Catalog item
+ * @param {Object} selectedOptions - Selected options (missing ones use the default choice)
+ * @param {number} quantity - Number of units
+ * @returns {Object} Cart line with options, optionsLabel, unitPriceCents, quantity and lineKey
+ * @throws {PricingError} If the selected options are not valid for the item
+ */
+const toCartLine = (catalogItem, selectedOptions, quantity) => {
+  const { options, optionsLabel, unitPriceCents } = resolveItemOptions(catalogItem, selectedOptions);
+  return {
+    ...catalogItem,
+    image: getItemImage(catalogItem),
+    options,
+    optionsLabel,
+    unitPriceCents,
+    quantity,
+    lineKey: getLineKey(catalogItem.id, options)
+  };
+};
+
+/**
+ * Builds the Menu page's sections from the catalog in use
+ * Images are attached here because asset imports only work in the browser bundle
+ * @returns {Array} Array of { category, items } groups, in menu order
+ */
+const buildMenuSections = () => getMenuSections().map(section => ({
+  ...section,
+  items: section.items.map(item => ({ ...item, image: getItemImage(item) }))
+}));
+
+/**
+ * Keeps a quantity within the range the payment function accepts
+ * @param {number} quantity - Requested quantity
+ * @returns {number} Whole number between 0 and MAX_QUANTITY_PER_ITEM
+ */
+const clampQuantity = (quantity) => Math.min(Math.max(Math.floor(Number(quantity) || 0), 0), MAX_QUANTITY_PER_ITEM);
+
 // ===== LOCAL STORAGE HELPER FUNCTIONS =====
 // These functions handle saving and loading order data to/from browser storage
 
 // Key used to store order data in localStorage
 const STORAGE_KEY = 'little-loaf-cottage-order';
 
+// Version of the stored cart format. Bump it (and teach loadOrderFromStorage
+// to migrate the old format) whenever the saved shape changes.
+// - No version: an array with one full item object per unit
+// - 2: { version, lines: [{ id, options, quantity }] }
+const STORAGE_VERSION = 2;
+
 /**
- * Saves order items to browser's localStorage
+ * Saves cart lines to browser's localStorage
  * This allows orders to persist even if the user closes the browser
- * @param {Array} items - Array of order items to save
+ * Only ids, options and quantities are stored; everything else comes from the catalog on load
+ * @param {Array} lines - Cart lines to save
  */
-const saveOrderToStorage = (items) => {
+const saveOrderToStorage = (lines) => {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
-    } catch (error) {
-      // Failed to save to localStorage, continue silently
-    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      lines: lines.map(({ id, options, quantity }) => ({ id, options, quantity }))
+    }));
+  } catch {
+    // Failed to save to localStorage, continue silently
+  }
+};
+
+// Items that used to fake a variant in their name, mapped to the item and options that replaced them
+const LEGACY_ITEM_NAMES = {
+  'Apple Cider Donut (2 pack)': { id: 'apple-cider-donut', options: { pack: '2' } },
 };
 
 /**
- * Loads order items from browser's localStorage
- * This restores the user's order when they return to the website
- * @returns {Array} Array of saved order items, or empty array if none found
+ * Converts saved data of any version into { id, options, quantity } lines
+ * @param {*} stored - Parsed localStorage value
+ * @returns {Array} Saved lines, possibly referencing unknown items
+ */
+const migrateStoredOrder = (stored) => {
+  // Unversioned: one entry per unit, saved before cart lines existed.
+  // Entries saved before ids existed are matched up by name.
+  if (Array.isArray(stored)) {
+    return toOrderLines(stored
+      .map(entry => {
+        if (LEGACY_ITEM_NAMES[entry.name]) return LEGACY_ITEM_NAMES[entry.name];
+        const catalogItem = getCatalogItem(entry.id) || findCatalogItemByName(entry.name);
+        return catalogItem ? { id: catalogItem.id, options: entry.options } : null;
+      })
+      .filter(Boolean));
+  }
+  if (stored && stored.version === STORAGE_VERSION && Array.isArray(stored.lines)) {
+    return stored.lines;
+  }
+  return [];
+};
+
+/**
+ * Rebuilds a line from the catalog in use, so stale prices are never reused
+ * @param {Object} line - Line with an id, options and quantity
+ * @returns {Object|null} Cart line, or null if the item is sold out, out of
+ *   season or the options no longer exist
+ */
+const refreshLine = (line) => {
+  const catalogItem = getCatalogItem(line && line.id);
+  const quantity = clampQuantity(line && line.quantity);
+  if (!catalogItem || !isItemAvailable(catalogItem) || quantity === 0) return null;
+  try {
+    return toCartLine(catalogItem, line.options, quantity);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads the saved order from browser's localStorage
+ * This restores the user's order when they return to the website. The lines
+ * still need refreshing from the catalog (see refreshLine) before use
+ * @returns {Array} Saved { id, options, quantity } lines, or empty array if none found
  */
 const loadOrderFromStorage = () => {
   try {
     const stored = localStorage.getItem(STORAGE_KEY);
-    return stored ? JSON.parse(stored) : [];
-    } catch (error) {
-      return [];
-    }
+    return migrateStoredOrder(stored ? JSON.parse(stored) : null);
+  } catch {
+    return [];
+  }
 };
 
+/**
+ * Adds lines to a cart, combining the ones for the same item and options
+ * @param {Array} lines - Cart lines
+ * @param {Array} added - Cart lines to add
+ * @returns {Array} Combined cart lines
+ */
+const mergeLines = (lines, added) => added.reduce((merged, line) => (
+  merged.some(existing => existing.lineKey === line.lineKey)
+    ? merged.map(existing => (existing.lineKey === line.lineKey ? { ...existing, quantity: clampQuantity(existing.quantity + line.quantity) } : existing))
+    : [...merged, line]
+), lines);
+
 /**
  * OrderProvider Component
  * This component provides order state and functions to all child components
@@ -59,92 +172,185 @@ const loadOrderFromStorage = () => {
  */
 export const OrderProvider = ({ children }) => {
   // ===== STATE MANAGEMENT =====
-  
-  // Array of items currently in the order
-  const [selectedItems, setSelectedItems] = useState([]);
-  
+
+  // Cart lines: one per item + options combination, each with a quantity
+  const [lines, setLines] = useState([]);
+
   // Controls whether to show notification messages
   const [showMessage, setShowMessage] = useState(false);
-  
+
   // Text content of the notification message
   const [messageText, setMessageText] = useState('');
 
+  // Menu page sections, rebuilt once the menu synced from Square is loaded
+  const [menuSections, setMenuSections] = useState(buildMenuSections);
+
   // ===== EFFECTS =====
-  
+
   /**
-   * Load saved order from localStorage when component mounts
-   * This runs once when the app starts to restore any saved orders
+   * Switch to the menu synced from Square, which the functions price with,
+   * then load the saved order from localStorage
+   * This runs once when the app starts. The bundled menu is shown until the
+   * synced one arrives, and kept if it can't be fetched; the saved order
+   * waits for it so its lines are priced (and kept or dropped) from the menu
+   * checkout will use. Saving straight back writes legacy data in the current format
    */
   useEffect(() => {
+    let isMounted = true;
+    // Read now: adding an item while the menu loads saves over it
     const savedOrder = loadOrderFromStorage();
-    if (savedOrder.length > 0) {
-      setSelectedItems(savedOrder);
-      // Show a welcome back message if there are saved items
-      setMessageText(`Welcome back! You have ${savedOrder.length} item${savedOrder.length > 1 ? 's' : ''} in your order.`);
-      setShowMessage(true);
-      setTimeout(() => setShowMessage(false), 4000);
-    }
+
+    const restoreSavedOrder = () => {
+      const savedLines = savedOrder.map(refreshLine).filter(Boolean);
+      // Anything added while the menu was loading is priced again from the
+      // menu now in use and added to the saved order
+      setLines(prev => {
+        const restored = mergeLines(savedLines, prev.map(refreshLine).filter(Boolean));
+        saveOrderToStorage(restored);
+        return restored;
+      });
+      if (savedLines.length > 0) {
+        // Show a welcome back message if there are saved items
+        const count = savedLines.reduce((sum, line) => sum + line.quantity, 0);
+        setMessageText(`Welcome back! We've kept the ${count} item${count > 1 ? 's' : ''} from your last visit in your order.`);
+        setShowMessage(true);
+        setTimeout(() => setShowMessage(false), 4000);
+      }
+    };
+
+    fetchMenu()
+      .then((catalog) => {
+        if (!isMounted || !catalog) return;
+        setActiveCatalog(catalog);
+        setMenuSections(buildMenuSections());
+      })
+      .catch(() => {
+        // Keep the bundled menu
+      })
+      .finally(() => {
+        if (isMounted) restoreSavedOrder();
+      });
+
+    return () => {
+      isMounted = false;
+    };
   }, []);
 
   // ===== ORDER MANAGEMENT FUNCTIONS =====
 
   /**
-   * Adds an item to the order
-   * @param {Object} item - The item to add (must have name, price, description, etc.)
+   * Applies a change to the cart lines and saves the result
+   * @param {Function} updater - Receives the current lines and returns the new lines
    */
-  const addToOrder = useCallback((item) => {
-    setSelectedItems(prev => {
-      const newItems = [...prev, item];
-      saveOrderToStorage(newItems); // Save to localStorage
-      return newItems;
+  const updateLines = useCallback((updater) => {
+    setLines(prev => {
+      const newLines = updater(prev);
+      saveOrderToStorage(newLines); // Save to localStorage
+      return newLines;
     });
-    // Show success notification with item name
-    setMessageText(`${item.name} added to order!`);
-    setShowMessage(true);
-    setTimeout(() => setShowMessage(false), 2000);
   }, []);
 
   /**
-   * Removes an item from the order by index
-   * @param {number} index - The index of the item to remove
+   * Sets the quantity of a line; a quantity of 0 removes the line
+   * @param {string} lineKey - Key of the line to change
+   * @param {number} quantity - New quantity (capped at MAX_QUANTITY_PER_ITEM)
    */
-  const removeFromOrder = useCallback((index) => {
-    setSelectedItems(prev => {
-      const newItems = prev.filter((_, i) => i !== index);
-      saveOrderToStorage(newItems); // Save to localStorage
-      return newItems;
-    });
-  }, []);
+  const setQuantity = useCallback((lineKey, quantity) => {
+    const newQuantity = clampQuantity(quantity);
+    updateLines(prev => (newQuantity === 0
+      ? prev.filter(line => line.lineKey !== lineKey)
+      : prev.map(line => (line.lineKey === lineKey ? { ...line, quantity: newQuantity } : line))
+    ));
+  }, [updateLines]);
+
+  /**
+   * Changes the quantity of a line by a step; the line is removed when it reaches 0
+   * @param {string} lineKey - Key of the line to change
+   * @param {number} step - Amount to add, use -1 to decrease (defaults to 1)
+   */
+  const incrementLine = useCallback((lineKey, step = 1) => {
+    updateLines(prev => prev
+      .map(line => (line.lineKey === lineKey ? { ...line, quantity: clampQuantity(line.quantity + step) } : line))
+      .filter(line => line.quantity > 0));
+  }, [updateLines]);
+
+  /**
+   * Removes a line from the order, whatever its quantity
+   * @param {string} lineKey - Key of the line to remove
+   */
+  const removeLine = useCallback((lineKey) => {
+    updateLines(prev => prev.filter(line => line.lineKey !== lineKey));
+  }, [updateLines]);
+
+  /**
+   * Adds one unit of an item to the order
+   * Adding the same item with the same options increases that line's quantity
+   * @param {Object} item - The catalog item to add; only its id is used
+   * @param {Object} selectedOptions - Selected options as { optionId: choiceId } (defaults used for any left out)
+   */
+  const addToOrder = useCallback((item, selectedOptions = {}) => {
+    const catalogItem = getCatalogItem(item.id);
+    if (!catalogItem) return;
+    const newLine = toCartLine(catalogItem, selectedOptions, 1);
+
+    updateLines(prev => (prev.some(line => line.lineKey === newLine.lineKey)
+      ? prev.map(line => (line.lineKey === newLine.lineKey ? { ...line, quantity: clampQuantity(line.quantity + 1) } : line))
+      : [...prev, newLine]
+    ));
+    // Show success notification with item name and options
+    setMessageText(`${formatLineName(newLine)} added to order!`);
+    setShowMessage(true);
+    setTimeout(() => setShowMessage(false), 2000);
+  }, [updateLines]);
 
   /**
    * Clears all items from the order
    * Used after successful order completion
    */
   const clearOrder = useCallback(() => {
-    setSelectedItems([]);
-    saveOrderToStorage([]); // Clear localStorage
-  }, []);
+    updateLines(() => []);
+  }, [updateLines]);
 
   // ===== CALCULATED VALUES =====
-  
+
+  /**
+   * Total number of units across all lines
+   * @returns {number} Item count
+   */
+  const itemCount = lines.reduce((count, line) => count + line.quantity, 0);
+
   /**
-   * Calculates the total price of all items in the order
-   * @returns {number} Total price of all items
+   * Prices the cart with the same module as checkout: subtotal, tax per tax
+   * class and total. Delivery depends on the address, so it is left out here
+   * and added on the Order page
+   * @returns {Object|null} calculateOrderTotals result, or null for an empty or unpriceable cart
    */
-  const totalPrice = selectedItems.reduce((total, item) => total + item.price, 0);
+  let totals = null;
+  if (lines.length > 0) {
+    try {
+      totals = calculateOrderTotals(lines, { method: FULFILLMENT_METHODS.PICKUP });
+    } catch {
+      // e.g. an item went out of season; the Order page shows the reason
+      totals = null;
+    }
+  }
 
   // ===== CONTEXT VALUE =====
-  
+
   // Object containing all state and functions to share with child components
   const value = {
-    selectedItems,        // Array of order items
-    addToOrder,          // Function to add items
-    removeFromOrder,     // Function to remove items
+    lines,               // Array of cart lines ({ id, options, quantity, lineKey, ... })
+    addToOrder,          // Function to add one unit of an item
+    setQuantity,         // Function to set a line's quantity
+    incrementLine,       // Function to step a line's quantity up or down
+    removeLine,          // Function to remove a line
     clearOrder,          // Function to clear all items
     showMessage,         // Boolean for notification visibility
     setShowMessage,      // Function to control notification visibility
     messageText,         // Text content of notifications
-    totalPrice           // Calculated total price
+    itemCount,           // Total number of units
+    totals,              // Subtotal, taxes and total before delivery (null if empty)
+    menuSections         // Menu page sections ({ category, items }) from the menu in use
   };
 
   // Provide the context value to all child components
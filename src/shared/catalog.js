@@ -0,0 +1,317 @@
+/**
+ * Menu Catalog for Little Loaf Cottage
+ *
+ * This is the single source of truth for what we sell and what it costs.
+ * It is imported by the Menu and Home pages (to render items) and by the
+ * Netlify functions (to price orders server-side), so they can never drift apart.
+ *
+ * Items are maintained in Square for in-store sales, and sync-catalog copies
+ * them into a synced catalog (see netlify/lib/squareCatalog.js). Once one
+ * exists, the functions and the browser switch to it with setActiveCatalog
+ * and every lookup below uses it; the lists in this file are the fallback
+ * and supply what Square doesn't know (tax classes, lead times, seasons...).
+ *
+ * Keep this module free of browser-only imports (images, CSS, import.meta.env)
+ * so it can run inside a serverless function. Images are referenced by file
+ * name and resolved by the browser (see src/utils/catalogImages.js).
+ */
+
+import { getBakeryDate } from './schedule.js';
+
+/**
+ * Menu categories, in the order they appear on the Menu page
+ * - id: Stable identifier referenced by items
+ * - name: Heading shown to customers
+ * - taxClass: Sales tax class of the items in the category (see src/shared/taxes.js)
+ * - squareNames: Optional names of the category in Square, when they differ
+ *   from name; the Square sync refuses categories it can't match
+ */
+export const catalogCategories = [
+  { id: 'bread', name: 'Bread', taxClass: 'food', squareNames: ['Breads'] },
+  { id: 'quick-bread', name: 'Quick Bread', taxClass: 'food' },
+  { id: 'pastries', name: 'Pastries', taxClass: 'prepared-food' },
+  { id: 'donuts', name: 'Donuts', taxClass: 'prepared-food' },
+  { id: 'cookies', name: 'Cookies', taxClass: 'prepared-food' },
+  { id: 'desserts', name: 'Desserts', taxClass: 'prepared-food' },
+  { id: 'gift-cards', name: 'Gift Cards', taxClass: 'exempt' },
+];
+
+/**
+ * Array of menu items
+ * Each item contains:
+ * - id: Stable identifier used by the cart and the payment function
+ * - name: Display name of the item
+ * - priceCents: Price in cents (integer, avoids floating point rounding)
+ * - description: Brief description of the item
+ * - emoji: Emoji icon, shown when the image cannot be loaded
+ * - image: Optional image file name in src/assets; items without a photo
+ *   there use the default image (see src/utils/catalogImages.js)
+ * - category: Category id (see catalogCategories)
+ * - available: Set to false to mark the item sold out
+ * - season: Optional { start, end } window as "MM-DD" strings; the item is
+ *   only offered between those dates (inclusive, may wrap over New Year)
+ * - featured: Shown in Featured Products on the Home page
+ * - leadTimeHours: Optional notice we need to bake the item, when it is longer
+ *   than the default (see src/shared/schedule.js)
+ * - giftCard: Set on gift cards; paying for one issues a code worth the unit
+ *   price (see src/shared/giftCards.js), and promo codes don't discount it
+ * - onlineOnly: Sold only on the website, so kept when the synced catalog
+ *   from Square doesn't list it
+ * - imageUrl: Set by the Square sync when Square has a photo of the item;
+ *   used instead of image
+ * - squareVariationId: Set by the Square sync to the item variation it is sold
+ *   as, so the Square Order for a payment refers to the catalog item
+ * - options: Optional choices the customer makes when ordering. Each option has
+ *   an id, a label and a list of choices ({ id, label, priceDeltaCents }); the
+ *   first choice is the default and priceDeltaCents is added to priceCents.
+ *   Choices made from Square variations by the sync carry their squareVariationId.
+ */
+export const catalogItems = [
+  {
+    id: 'artisan-sourdough',
+    name: 'Artisan Sourdough',
+    priceCents: 1200,
+    description: 'Handcrafted with a 48-hour fermentation process',
+    emoji: '🥖',
+    category: 'bread',
+    available: true,
+    featured: true,
+    leadTimeHours: 48,
+    options: [
+      {
+        id: 'size',
+        label: 'Size',
+        choices: [
+          { id: 'regular', label: 'Regular loaf', priceDeltaCents: 0 },
+          { id: 'large', label: 'Large boule', priceDeltaCents: 400 },
+        ]
+      }
+    ]
+  },
+  {
+    id: 'sandwich-bread',
+    name: 'Sandwich Bread',
+    priceCents: 1000,
+    description: 'Perfect for your daily sandwiches',
+    emoji: '🍞',
+    category: 'bread',
+    available: true
+  },
+  {
+    id: 'chocolate-chip-cookies',
+    name: 'Chocolate Chip Cookies',
+    priceCents: 100,
+    description: 'Soft, chewy cookies with premium chocolate chips',
+    emoji: '🍪',
+    category: 'cookies',
+    available: true,
+    featured: true,
+    options: [
+      {
+        id: 'pack',
+        label: 'Pack',
+        choices: [
+          { id: '1', label: 'Single cookie', priceDeltaCents: 0 },
+          { id: '6', label: 'Half dozen', priceDeltaCents: 400 },
+          { id: '12', label: 'Dozen', priceDeltaCents: 900 },
+        ]
+      }
+    ]
+  },
+  {
+    id: 'apple-cider-donut',
+    name: 'Apple Cider Donut',
+    priceCents: 600,
+    description: 'Seasonal favorite with warm spices',
+    emoji: '🍩',
+    category: 'donuts',
+    available: true,
+    season: { start: '09-01', end: '11-30' },
+    options: [
+      {
+        id: 'pack',
+        label: 'Pack',
+        choices: [
+          { id: '2', label: '2 pack', priceDeltaCents: 0 },
+          { id: '6', label: '6 pack', priceDeltaCents: 1000 },
+          { id: '12', label: '12 pack', priceDeltaCents: 2400 },
+        ]
+      }
+    ]
+  },
+  {
+    id: 'pecan-banana-bread',
+    name: 'Pecan Banana Bread',
+    priceCents: 400,
+    description: 'Moist and nutty, perfect for breakfast',
+    emoji: '🍌',
+    category: 'quick-bread',
+    available: true,
+    options: [
+      {
+        id: 'nuts',
+        label: 'Nuts',
+        choices: [
+          { id: 'pecans', label: 'With pecans', priceDeltaCents: 0 },
+          { id: 'nut-free', label: 'Nut-free', priceDeltaCents: 0 },
+        ]
+      }
+    ]
+  },
+  {
+    id: 'cinnamon-rolls',
+    name: 'Cinnamon Rolls',
+    priceCents: 600,
+    description: 'Freshly baked with cream cheese frosting',
+    emoji: '🥐',
+    image: 'cinnamon-rolls.jpg',
+    category: 'pastries',
+    available: true,
+    featured: true,
+    options: [
+      {
+        id: 'frosting',
+        label: 'Frosting',
+        choices: [
+          { id: 'cream-cheese', label: 'Cream cheese frosting', priceDeltaCents: 0 },
+          { id: 'vanilla-glaze', label: 'Vanilla glaze', priceDeltaCents: 0 },
+          { id: 'none', label: 'No frosting', priceDeltaCents: 0 },
+        ]
+      }
+    ]
+  },
+  {
+    id: 'express-brownie',
+    name: 'Express Brownie',
+    priceCents: 400,
+    description: 'Rich, fudgy brownies made with dark chocolate',
+    emoji: '🍫',
+    category: 'desserts',
+    available: true
+  },
+  {
+    id: 'mini-banana-bread',
+    name: 'Mini Banana Bread',
+    priceCents: 500,
+    description: 'Individual-sized loaves, great for gifting',
+    emoji: '🍞',
+    category: 'quick-bread',
+    available: true
+  },
+  {
+    id: 'gift-card',
+    name: 'Gift Card',
+    priceCents: 2500,
+    description: 'A code emailed to you right away, plus a printed card with your order',
+    emoji: '🎁',
+    category: 'gift-cards',
+    available: true,
+    giftCard: true,
+    onlineOnly: true,
+    options: [
+      {
+        id: 'amount',
+        label: 'Amount',
+        choices: [
+          { id: '25', label: '$25', priceDeltaCents: 0 },
+          { id: '50', label: '$50', priceDeltaCents: 2500 },
+          { id: '100', label: '$100', priceDeltaCents: 7500 },
+        ]
+      }
+    ]
+  },
+];
+
+// Catalog every lookup below uses: the lists above until setActiveCatalog
+// is given a synced one
+let activeCatalog = { categories: catalogCategories, items: catalogItems };
+
+/**
+ * Switches lookups to a synced catalog, or back to the lists above
+ * @param {Object|null} catalog - { categories, items } in the shapes documented above, or null
+ */
+export const setActiveCatalog = (catalog) => {
+  activeCatalog = catalog && Array.isArray(catalog.items) && Array.isArray(catalog.categories)
+    ? { categories: catalog.categories, items: catalog.items }
+    : { categories: catalogCategories, items: catalogItems };
+};
+
+/**
+ * Looks up a catalog item by its id
+ * @param {string} id - Catalog item id
+ * @returns {Object|undefined} The catalog item, or undefined if unknown
+ */
+export const getCatalogItem = (id) => activeCatalog.items.find(item => item.id === id);
+
+/**
+ * Looks up a catalog item by its display name
+ * Only used to migrate carts saved before items had ids
+ * @param {string} name - Item display name
+ * @returns {Object|undefined} The catalog item, or undefined if unknown
+ */
+export const findCatalogItemByName = (name) => activeCatalog.items.find(item => item.name === name);
+
+/**
+ * Looks up a category by its id
+ * @param {string} id - Category id
+ * @returns {Object|undefined} The category, or undefined if unknown
+ */
+export const getCatalogCategory = (id) => activeCatalog.categories.find(category => category.id === id);
+
+/**
+ * Formats a date as "MM-DD" for comparison with season windows
+ * An instant is read as a date at the bakery (see src/shared/schedule.js),
+ * whatever time zone the browser or the serverless function runs in
+ * @param {Date|string} date - Instant, or a bakery date as "YYYY-MM-DD"
+ * @returns {string} Month and day, e.g. "10-19"
+ */
+const toMonthDay = (date) => (typeof date === 'string' ? date : getBakeryDate(date)).slice(5, 10);
+
+/**
+ * Checks whether an item's season includes a date
+ * @param {Object} item - Catalog item
+ * @param {Date|string} date - Instant or "YYYY-MM-DD" bakery date to check (defaults to now)
+ * @returns {boolean} True if the item has no season or the date falls inside it
+ */
+export const isInSeason = (item, date = new Date()) => {
+  if (!item.season) return true;
+  const today = toMonthDay(date);
+  const { start, end } = item.season;
+  // A window such as 11-15 to 01-15 wraps over New Year
+  return start <= end
+    ? today >= start && today <= end
+    : today >= start || today <= end;
+};
+
+/**
+ * Checks whether an item can be ordered on a date
+ * @param {Object} item - Catalog item
+ * @param {Date|string} date - Instant or "YYYY-MM-DD" bakery date to check (defaults to now)
+ * @returns {boolean} True if the item is in season and not sold out
+ */
+export const isItemAvailable = (item, date = new Date()) => item.available !== false && isInSeason(item, date);
+
+/**
+ * Returns the items to show on the menu, grouped by category in menu order
+ * Out-of-season items are left out; sold out items are kept so customers
+ * can see them (the Menu page disables ordering them)
+ * @param {Date} date - Date to check seasons against (defaults to today)
+ * @returns {Array} Array of { category, items } groups, skipping empty categories
+ */
+export const getMenuSections = (date = new Date()) => {
+  return activeCatalog.categories
+    .map(category => ({
+      category,
+      items: activeCatalog.items.filter(item => item.category === category.id && isInSeason(item, date))
+    }))
+    .filter(section => section.items.length > 0);
+};
+
+/**
+ * Returns the available items highlighted on the Home page
+ * @param {Date} date - Date to check availability against (defaults to today)
+ * @returns {Array} Featured catalog items
+ */
+export const getFeaturedItems = (date = new Date()) => (
+  activeCatalog.items.filter(item => item.featured && isItemAvailable(item, date))
+);
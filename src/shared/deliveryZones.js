@@ -0,0 +1,84 @@
+/**
+ * Delivery Zones for Little Loaf Cottage
+ *
+ * Which ZIP codes we deliver to, what delivery costs there and the smallest
+ * order we will drive out for. Used by the Order form to validate the ZIP and
+ * show the fee, and by the create-order and process-payment functions (through
+ * calculateOrderTotals) so an out-of-area order can never be paid for.
+ *
+ * Edit the table below to change the delivery area. Like the catalog, this
+ * module must stay free of browser-only imports.
+ */
+
+/**
+ * Delivery zones, checked in order; the first zone that matches a ZIP wins
+ * Each zone contains:
+ * - id: Stable identifier stored on orders
+ * - name: Area name shown to customers
+ * - zipCodes: Individual 5-digit ZIP codes in the zone
+ * - zipRanges: Optional inclusive [from, to] ZIP ranges in the zone
+ * - feeCents: Delivery fee in cents
+ * - minimumOrderCents: Smallest subtotal (before tax) we deliver to this zone
+ * - freeDeliveryThresholdCents: Optional subtotal at which delivery becomes free
+ */
+export const DELIVERY_ZONES = [
+  {
+    id: 'columbia',
+    name: 'Columbia',
+    zipCodes: ['38401', '38402'],
+    feeCents: 500,
+    minimumOrderCents: 1000,
+    freeDeliveryThresholdCents: 2500
+  },
+  {
+    id: 'maury-county',
+    name: 'Maury County',
+    zipCodes: ['38451', '38461', '38474', '38482', '38487'],
+    feeCents: 800,
+    minimumOrderCents: 2000
+  },
+  {
+    id: 'spring-hill-franklin',
+    name: 'Spring Hill & Franklin',
+    zipCodes: ['37174'],
+    zipRanges: [['37064', '37069']],
+    feeCents: 1200,
+    minimumOrderCents: 4000
+  },
+];
+
+/**
+ * Normalizes a ZIP code to its first five digits ("38401-1234" -> "38401")
+ * @param {string} zipCode - ZIP code as entered by the customer
+ * @returns {string|null} 5-digit ZIP code, or null if it is not a valid US ZIP
+ */
+export const normalizeZipCode = (zipCode) => {
+  const match = /^(\d{5})(-?\d{4})?$/.exec(String(zipCode || '').trim());
+  return match ? match[1] : null;
+};
+
+/**
+ * Finds the delivery zone covering a ZIP code
+ * @param {string} zipCode - ZIP code as entered by the customer
+ * @returns {Object|undefined} The delivery zone, or undefined if we don't deliver there
+ */
+export const findDeliveryZone = (zipCode) => {
+  const zip = normalizeZipCode(zipCode);
+  if (!zip) return undefined;
+  return DELIVERY_ZONES.find(zone => (
+    zone.zipCodes.includes(zip)
+    || (zone.zipRanges || []).some(([from, to]) => zip >= from && zip <= to)
+  ));
+};
+
+/**
+ * Works out the delivery fee for an order subtotal within a zone
+ * @param {Object} zone - Delivery zone
+ * @param {number} subtotalCents - Order subtotal before tax, in cents
+ * @returns {number} Delivery fee in cents
+ */
+export const getDeliveryFeeCents = (zone, subtotalCents) => (
+  zone.freeDeliveryThresholdCents !== undefined && subtotalCents >= zone.freeDeliveryThresholdCents
+    ? 0
+    : zone.feeCents
+);
@@ -0,0 +1,477 @@
+/**
+ * Email Templates for Little Loaf Cottage
+ *
+ * Every email we send is a named template rendered from structured data:
+ *
+ *   renderEmail(EMAIL_TEMPLATES.ORDER_CONFIRMATION, { order, trackingUrl })
+ *     -> { subject, text, html }
+ *
+ * A template only decides the subject, heading and a list of content blocks
+ * (paragraphs, detail boxes, itemized tables, links...). The shared layout
+ * turns those blocks into the branded HTML email and into its plain-text
+ * alternative, so the two never disagree and no template writes markup.
+ * Everything that comes from data (names, messages, addresses, special
+ * instructions...) is escaped in the HTML, links must be http(s), and the
+ * subject is kept to one line.
+ *
+ * Rendered on the server by whatever sends the email: the order email outbox
+ * (netlify/lib/outbox.js, drained by process-payment and send-outbox), the
+ * contact-message function and netlify/lib/statusEmails.js. Like the catalog, this
+ * module must stay free of browser-only imports.
+ */
+
+import { ORDER_STATUS } from './orderStatus.js';
+import { FULFILLMENT_METHODS, PICKUP_ADDRESS, getFulfillmentLabel, getTimeSlot } from './fulfillment.js';
+import { formatCents, formatLineName } from './pricing.js';
+import { formatTaxRate } from './taxes.js';
+
+/**
+ * Template names, passed to renderEmail
+ */
+export const EMAIL_TEMPLATES = {
+  ORDER_CONFIRMATION: 'order-confirmation',
+  ADMIN_NEW_ORDER: 'admin-new-order',
+  ORDER_STATUS: 'order-status',
+  REFUND: 'refund',
+  CONTACT_ACKNOWLEDGEMENT: 'contact-acknowledgement',
+  CONTACT_NOTIFICATION: 'contact-notification',
+};
+
+const BAKERY_NAME = 'Little Loaf Cottage';
+const BAKERY_PHONE = '(931) 982-3020';
+const BRAND_COLOR = '#e91e63';
+
+// ===== FORMATTING HELPERS =====
+
+/**
+ * Escapes text for safe inclusion in HTML
+ * @param {string} value - Untrusted text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Longest subject we send; longer ones are cut
+const MAX_SUBJECT_LENGTH = 200;
+
+/**
+ * Makes text safe for a one-line email header such as the subject
+ * Line breaks would let a visitor start new headers (e.g. "Bcc:"), so they
+ * and other control characters become spaces
+ * @param {string} value - Untrusted text
+ * @param {number} maxLength - Longest result (defaults to MAX_SUBJECT_LENGTH)
+ * @returns {string} Single-line text
+ */
+export const toHeaderText = (value, maxLength = MAX_SUBJECT_LENGTH) => String(value == null ? '' : value)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u001f\u007f\u2028\u2029]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, maxLength);
+
+/**
+ * Checks that a link goes to a web page, so data can't smuggle in
+ * "javascript:" or similar URLs
+ * @param {string} url - Link target
+ * @returns {boolean} True for http(s) URLs and site-relative paths
+ */
+const isSafeUrl = (url) => /^(https?:\/\/|\/(?!\/))/i.test(String(url || ''));
+
+/**
+ * Lists the subtotal, each tax, delivery and total of an order, and what
+ * was left to charge after any gift card
+ * @param {Object} totals - Order totals
+ * @param {Object} giftCard - { lastFour, amountCents } gift card payment (optional)
+ * @returns {Array} [label, amount] rows
+ */
+const getTotalsRows = (totals, giftCard) => [
+  ['Subtotal', formatCents(totals.subtotalCents)],
+  ...(totals.discountCents > 0 ? [['Discount', `-${formatCents(totals.discountCents)}`]] : []),
+  // Orders placed before tax was itemized only have taxCents
+  ...(totals.taxes || [{ label: 'Sales tax', taxCents: totals.taxCents }]).map(tax => [
+    tax.rate ? `${tax.label} (${formatTaxRate(tax.rate)})` : tax.label,
+    formatCents(tax.taxCents)
+  ]),
+  ...(totals.deliveryFeeCents > 0 ? [['Delivery', formatCents(totals.deliveryFeeCents)]] : []),
+  ['Total', formatCents(totals.totalCents)],
+  ...(giftCard ? [
+    [`Gift card ending ${giftCard.lastFour}`, `-${formatCents(giftCard.amountCents)}`],
+    ['Charged to card', formatCents(totals.totalCents - giftCard.amountCents)],
+  ] : []),
+];
+
+/**
+ * Describes a gift card bought with an order
+ * @param {Object} card - { code, amountCents }
+ * @returns {string} e.g. "GC-7KQ2-M9XD-4HTP ($50.00)"
+ */
+const formatIssuedGiftCard = (card) => `${card.code} (${formatCents(card.amountCents)})`;
+
+/**
+ * Describes how and when an order will be fulfilled
+ * @param {Object} delivery - { method, address, city, date, timeSlot }; the street
+ *   address is optional (the public order view leaves it out)
+ * @returns {string} e.g. "Pickup at the cottage (2120 Hollandale Circle, ...) on 2026-10-25, Morning pickup (9:00 AM - 11:00 AM)"
+ */
+const formatFulfillment = (delivery) => {
+  const slot = getTimeSlot(delivery.timeSlot)?.label || delivery.timeSlot;
+  const destination = [delivery.address, delivery.city].filter(Boolean).join(', ');
+  const where = delivery.method === FULFILLMENT_METHODS.PICKUP
+    ? ` (${PICKUP_ADDRESS})`
+    : destination ? ` to ${destination}` : '';
+  return `${getFulfillmentLabel(delivery.method)}${where} on ${delivery.date}, ${slot}`;
+};
+
+/**
+ * Builds the itemized receipt block for an order
+ * @param {Object} order - { items, totals, giftCard }
+ * @param {number} amount - Amount paid in dollars, for orders without totals
+ * @returns {Object} items block
+ */
+const receiptBlock = (order, amount) => ({
+  type: 'items',
+  items: order.items || [],
+  totalsRows: order.totals
+    ? getTotalsRows(order.totals, order.giftCard)
+    : [['Amount', formatCents(Math.round((amount || 0) * 100))]],
+});
+
+// ===== TEMPLATES =====
+
+/**
+ * Status update copy. Statuses without an entry send no email.
+ * - subject: Email subject
+ * - heading: Headline inside the email
+ * - message: Body paragraph
+ */
+const STATUS_COPY = {
+  [ORDER_STATUS.BAKING]: {
+    subject: 'Your Order Is in the Oven',
+    heading: 'Your Order Is in the Oven!',
+    message: "Our bakers have started on your order. We'll let you know as soon as it's on its way."
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    subject: 'Your Order Is on Its Way',
+    heading: 'Your Order Is on Its Way!',
+    message: 'Your fresh baked goods have left the cottage and will be with you soon.'
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    subject: 'Your Order Has Been Delivered',
+    heading: 'Enjoy Your Treats!',
+    message: 'Your order has been delivered. We hope you love every bite!'
+  },
+  [ORDER_STATUS.CANCELLED]: {
+    subject: 'Your Order Has Been Cancelled',
+    heading: 'Your Order Has Been Cancelled',
+    message: `Your order has been cancelled. If you have any questions, please reply to this email or call us at ${BAKERY_PHONE}.`
+  },
+};
+
+/**
+ * Copy that replaces STATUS_COPY for pickup orders, same shape
+ */
+const PICKUP_STATUS_COPY = {
+  [ORDER_STATUS.BAKING]: {
+    subject: 'Your Order Is in the Oven',
+    heading: 'Your Order Is in the Oven!',
+    message: "Our bakers have started on your order. We'll let you know as soon as it's ready to pick up."
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    subject: 'Your Order Is Ready for Pickup',
+    heading: 'Your Order Is Ready!',
+    message: `Your fresh baked goods are ready. Come see us at ${PICKUP_ADDRESS} during your pickup window.`
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    subject: 'Thanks for Picking Up Your Order',
+    heading: 'Enjoy Your Treats!',
+    message: 'Thanks for stopping by the cottage. We hope you love every bite!'
+  },
+};
+
+/**
+ * Template functions, keyed by name. Each returns
+ * { subject, heading, greeting, blocks, signOff } (greeting is the name to
+ * greet, if any; signOff adds the team's sign-off) or null to send nothing.
+ */
+const TEMPLATES = {
+  /**
+   * Receipt for the customer once an order is paid
+   * @param {Object} data - { order, amount, trackingUrl }; order has id, items,
+   *   totals, delivery, giftCard, giftCardsIssued and optionally customer
+   */
+  [EMAIL_TEMPLATES.ORDER_CONFIRMATION]: ({ order, amount, trackingUrl }) => {
+    const giftCardsIssued = order.giftCardsIssued || [];
+    return {
+      subject: 'Thank You for Your Order',
+      heading: 'Thank You for Your Order!',
+      greeting: (order.customer && order.customer.name) || 'there',
+      blocks: [
+        { type: 'paragraph', text: `Thank you for your order at ${BAKERY_NAME}!` },
+        receiptBlock(order, amount),
+        {
+          type: 'details',
+          rows: [
+            ...(order.id ? [['Order ID', order.id]] : []),
+            ...(order.delivery ? [['Fulfillment', formatFulfillment(order.delivery)]] : []),
+            ...(order.delivery && order.delivery.instructions ? [['Instructions', order.delivery.instructions]] : []),
+          ],
+        },
+        { type: 'paragraph', text: "We're preparing your delicious baked goods and will have them ready soon. We'll email you as your order moves along." },
+        ...(giftCardsIssued.length ? [{
+          type: 'list',
+          title: `Your gift card code${giftCardsIssued.length > 1 ? 's' : ''}`,
+          items: giftCardsIssued.map(formatIssuedGiftCard),
+          note: 'Enter a code at checkout to spend its balance.',
+        }] : []),
+        ...(trackingUrl ? [{ type: 'link', label: 'Track your order', url: trackingUrl }] : []),
+        { type: 'paragraph', text: `Thank you for choosing ${BAKERY_NAME}!` },
+      ],
+      signOff: true,
+    };
+  },
+
+  /**
+   * New order alert for the bakery
+   * @param {Object} data - { order, amount }; order as for the confirmation,
+   *   with customer { name, email, phone } as far as known
+   */
+  [EMAIL_TEMPLATES.ADMIN_NEW_ORDER]: ({ order, amount }) => {
+    const customer = order.customer || {};
+    const giftCardsIssued = order.giftCardsIssued || [];
+    return {
+      subject: 'New Order Received',
+      heading: 'New Order Alert!',
+      blocks: [
+        { type: 'paragraph', text: `A new order has been placed on ${BAKERY_NAME}:` },
+        {
+          type: 'details',
+          highlight: true,
+          rows: [
+            ...(order.id ? [['Order ID', order.id]] : []),
+            ...(customer.name ? [['Customer', customer.name]] : []),
+            ...(customer.email ? [['Customer Email', customer.email]] : []),
+            ...(customer.phone ? [['Customer Phone', customer.phone]] : []),
+            ...(order.delivery ? [['Fulfillment', formatFulfillment(order.delivery)]] : []),
+            ...(order.delivery && order.delivery.instructions ? [['Instructions', order.delivery.instructions]] : []),
+            ...(giftCardsIssued.length ? [['Gift cards issued', giftCardsIssued.map(formatIssuedGiftCard).join(', ')]] : []),
+            ['Payment Status', 'Completed'],
+          ],
+        },
+        receiptBlock(order, amount),
+        { type: 'paragraph', text: 'Please prepare the order and notify the customer when ready.' },
+      ],
+    };
+  },
+
+  /**
+   * Update for the customer when staff move an order on, e.g. ready for pickup
+   * @param {Object} data - { order, trackingUrl }; order has id, status,
+   *   delivery.method and customer.name
+   */
+  [EMAIL_TEMPLATES.ORDER_STATUS]: ({ order, trackingUrl }) => {
+    const isPickup = order.delivery && order.delivery.method === FULFILLMENT_METHODS.PICKUP;
+    const copy = (isPickup && PICKUP_STATUS_COPY[order.status]) || STATUS_COPY[order.status];
+    if (!copy) return null;
+    return {
+      subject: copy.subject,
+      heading: copy.heading,
+      greeting: (order.customer && order.customer.name) || 'there',
+      blocks: [
+        { type: 'paragraph', text: copy.message },
+        { type: 'details', rows: [['Order ID', order.id]] },
+        { type: 'link', label: 'Track your order', url: trackingUrl },
+        { type: 'paragraph', text: `Thank you for choosing ${BAKERY_NAME}!` },
+      ],
+      signOff: true,
+    };
+  },
+
+  /**
+   * Refund notice for the customer
+   * @param {Object} data - { order, refund, trackingUrl }; refund has
+   *   amountCents, giftCardCents and reason. A refunded order was refunded in full.
+   */
+  [EMAIL_TEMPLATES.REFUND]: ({ order, refund, trackingUrl }) => {
+    const isFull = order.status === ORDER_STATUS.REFUNDED;
+    const parts = [
+      ...(refund.amountCents > 0 ? [`${formatCents(refund.amountCents)} to the card you paid with`] : []),
+      ...(refund.giftCardCents > 0 ? [`${formatCents(refund.giftCardCents)} to your gift card`] : []),
+    ];
+    return {
+      subject: isFull ? 'Your Order Has Been Refunded' : 'Partial Refund for Your Order',
+      heading: isFull ? 'Your Order Has Been Refunded' : 'A Refund Is on Its Way',
+      greeting: (order.customer && order.customer.name) || 'there',
+      blocks: [
+        {
+          type: 'paragraph',
+          text: `We've ${isFull ? 'refunded your order' : 'issued a partial refund on your order'}: ${parts.join(' and ')}.`
+            + (refund.amountCents > 0 ? ' Card refunds usually show up within 5-10 business days.' : ''),
+        },
+        { type: 'details', rows: [['Reason', refund.reason], ['Order ID', order.id]] },
+        { type: 'link', label: 'Track your order', url: trackingUrl },
+        { type: 'paragraph', text: `If you have any questions, please reply to this email or call us at ${BAKERY_PHONE}.` },
+      ],
+      signOff: true,
+    };
+  },
+
+  /**
+   * Acknowledgement for someone who used the contact form. Their address
+   * isn't verified, so it repeats nothing they wrote, not even their name;
+   * otherwise the form could be used to mail arbitrary text.
+   */
+  [EMAIL_TEMPLATES.CONTACT_ACKNOWLEDGEMENT]: () => ({
+    subject: 'Thanks for Contacting Us',
+    heading: 'Thanks for Reaching Out!',
+    greeting: 'there',
+    blocks: [
+      { type: 'paragraph', text: "We received your message and we'll get back to you shortly." },
+      { type: 'paragraph', text: `If it's urgent, you can also call us at ${BAKERY_PHONE}.` },
+    ],
+    signOff: true,
+  }),
+
+  /**
+   * Contact form message for the bakery
+   * @param {Object} data - { name, email, phone, subject, message }
+   */
+  [EMAIL_TEMPLATES.CONTACT_NOTIFICATION]: ({ name, email, phone, subject, message }) => ({
+    subject: `Contact form received: ${subject}`,
+    heading: 'New Contact Form Message',
+    blocks: [
+      {
+        type: 'details',
+        highlight: true,
+        rows: [['Name', name], ['Email', email], ...(phone ? [['Phone', phone]] : []), ['Subject', subject]],
+      },
+      { type: 'message', text: message },
+    ],
+  }),
+};
+
+// ===== LAYOUT =====
+
+/**
+ * Renders a content block as HTML
+ * @param {Object} block - Content block
+ * @returns {string} HTML
+ */
+const renderBlockHtml = (block) => {
+  switch (block.type) {
+    case 'paragraph':
+      return `<p>${escapeHtml(block.text)}</p>`;
+    case 'message':
+      return `<p style="white-space: pre-wrap; border-left: 3px solid #ddd; padding-left: 12px; color: #444;">${escapeHtml(block.text)}</p>`;
+    case 'details':
+      if (block.rows.length === 0) return '';
+      return `<div style="${block.highlight ? 'background: #fff3cd; border: 1px solid #ffeaa7;' : 'background: #f8f9fa;'} padding: 16px 20px; border-radius: 8px; margin: 20px 0;">`
+        + block.rows.map(([label, value]) => `<p style="margin: 6px 0;"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('')
+        + '</div>';
+    case 'items':
+      return '<table style="width: 100%; border-collapse: collapse; margin: 20px 0;">'
+        + block.items.map(item => '<tr>'
+          + `<td style="padding: 6px 0; border-bottom: 1px solid #eee;">${escapeHtml(item.quantity)} &times; ${escapeHtml(formatLineName(item))}</td>`
+          + `<td style="padding: 6px 0; border-bottom: 1px solid #eee; text-align: right;">${escapeHtml(formatCents(item.totalCents))}</td>`
+          + '</tr>').join('')
+        + block.totalsRows.map(([label, amount]) => {
+          const weight = label === 'Total' ? 'font-weight: bold;' : '';
+          return `<tr><td style="padding: 4px 0; ${weight}">${escapeHtml(label)}</td><td style="padding: 4px 0; text-align: right; ${weight}">${escapeHtml(amount)}</td></tr>`;
+        }).join('')
+        + '</table>';
+    case 'list':
+      return `<p><strong>${escapeHtml(block.title)}:</strong></p><ul>`
+        + block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')
+        + '</ul>'
+        + (block.note ? `<p>${escapeHtml(block.note)}</p>` : '');
+    case 'link':
+      if (!isSafeUrl(block.url)) return '';
+      return `<p><a href="${escapeHtml(block.url)}" style="color: ${BRAND_COLOR};">${escapeHtml(block.label)}</a></p>`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Renders a content block as plain text
+ * @param {Object} block - Content block
+ * @returns {string} Text, without surrounding blank lines
+ */
+const renderBlockText = (block) => {
+  switch (block.type) {
+    case 'paragraph':
+    case 'message':
+      return block.text;
+    case 'details':
+      return block.rows.map(([label, value]) => `${label}: ${value}`).join('\n');
+    case 'items':
+      return [
+        ...block.items.map(item => `- ${item.quantity} x ${formatLineName(item)}: ${formatCents(item.totalCents)}`),
+        ...(block.items.length ? [''] : []),
+        ...block.totalsRows.map(([label, amount]) => `${label}: ${amount}`),
+      ].join('\n');
+    case 'list':
+      return [`${block.title}:`, ...block.items.map(item => `- ${item}`), ...(block.note ? [block.note] : [])].join('\n');
+    case 'link':
+      return isSafeUrl(block.url) ? `${block.label}: ${block.url}` : '';
+    default:
+      return '';
+  }
+};
+
+/**
+ * Wraps rendered content in the branded HTML layout
+ * @param {Object} content - Template result
+ * @returns {string} HTML document body
+ */
+const renderLayoutHtml = (content) => `
+<div style="background: #fdf6f0; padding: 24px 0; font-family: Arial, sans-serif; color: #333;">
+  <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 8px; overflow: hidden;">
+    <div style="background: ${BRAND_COLOR}; color: #ffffff; padding: 16px 24px; font-size: 20px; font-weight: bold;">${BAKERY_NAME}</div>
+    <div style="padding: 24px;">
+      <h2 style="color: ${BRAND_COLOR}; margin-top: 0;">${escapeHtml(content.heading)}</h2>
+      ${content.greeting ? `<p>Hi ${escapeHtml(content.greeting)},</p>` : ''}
+      ${content.blocks.map(renderBlockHtml).filter(Boolean).join('\n      ')}
+      ${content.signOff ? `<p>Best regards,<br>The ${BAKERY_NAME} Team</p>` : ''}
+    </div>
+    <div style="background: #f8f9fa; color: #777; padding: 16px 24px; font-size: 12px;">
+      ${BAKERY_NAME} &middot; ${escapeHtml(PICKUP_ADDRESS)} &middot; ${BAKERY_PHONE}
+    </div>
+  </div>
+</div>`;
+
+/**
+ * Renders the plain-text alternative of an email from the same content
+ * @param {Object} content - Template result
+ * @returns {string} Plain text
+ */
+const renderLayoutText = (content) => [
+  ...(content.greeting ? [`Hi ${content.greeting},`] : [content.heading]),
+  ...content.blocks.map(renderBlockText).filter(Boolean),
+  ...(content.signOff ? [`Best regards,\nThe ${BAKERY_NAME} Team`] : []),
+  `--\n${BAKERY_NAME} - ${PICKUP_ADDRESS} - ${BAKERY_PHONE}`,
+].join('\n\n');
+
+/**
+ * Renders a named template
+ * @param {string} name - Template name (see EMAIL_TEMPLATES)
+ * @param {Object} data - Data the template expects (see each template)
+ * @returns {Object|null} { subject, text, html }, or null if the template has nothing to send
+ * @throws {Error} If there is no template with that name
+ */
+export const renderEmail = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  const content = template(data || {});
+  if (!content) return null;
+  return {
+    subject: toHeaderText(`${content.subject} - ${BAKERY_NAME}`),
+    text: renderLayoutText(content),
+    html: renderLayoutHtml(content),
+  };
+};
@@ -0,0 +1,94 @@
+/**
+ * Fulfillment Options for Little Loaf Cottage
+ *
+ * How an order reaches the customer (delivery or pickup at the cottage) and
+ * the time slots offered for each. Shared by the Order form (to render
+ * choices) and the Netlify functions (to validate what the customer picked).
+ */
+
+/**
+ * Fulfillment methods, stored on the order as delivery.method
+ */
+export const FULFILLMENT_METHODS = {
+  DELIVERY: 'delivery',
+  PICKUP: 'pickup',
+};
+
+/**
+ * Customer-facing name of each fulfillment method
+ */
+export const FULFILLMENT_METHOD_LABELS = {
+  [FULFILLMENT_METHODS.DELIVERY]: 'Delivery',
+  [FULFILLMENT_METHODS.PICKUP]: 'Pickup at the cottage',
+};
+
+/**
+ * Where pickup orders are collected
+ */
+export const PICKUP_ADDRESS = '2120 Hollandale Circle, Columbia, TN 38401';
+
+/**
+ * Delivery time slots offered on the Order page
+ * - id: Value stored on the order record
+ * - label: Text shown to customers and staff
+ * - startHour: Hour the slot starts (24h, bakery time); lead times count up to it
+ * - capacity: Most orders we can take in this slot on one day
+ */
+export const DELIVERY_TIME_SLOTS = [
+  { id: 'morning', label: 'Morning (8:00 AM - 12:00 PM)', startHour: 8, capacity: 6 },
+  { id: 'afternoon', label: 'Afternoon (12:00 PM - 5:00 PM)', startHour: 12, capacity: 8 },
+  { id: 'evening', label: 'Evening (5:00 PM - 8:00 PM)', startHour: 17, capacity: 6 },
+];
+
+/**
+ * Pickup windows at the cottage, same shape as DELIVERY_TIME_SLOTS
+ * Ids must not clash with delivery slot ids
+ */
+export const PICKUP_WINDOWS = [
+  { id: 'pickup-morning', label: 'Morning pickup (9:00 AM - 11:00 AM)', startHour: 9, capacity: 10 },
+  { id: 'pickup-afternoon', label: 'Afternoon pickup (2:00 PM - 4:00 PM)', startHour: 14, capacity: 10 },
+];
+
+/**
+ * Every time slot for either method, in the order they fall within a day
+ */
+export const ALL_TIME_SLOTS = [
+  DELIVERY_TIME_SLOTS[0],
+  PICKUP_WINDOWS[0],
+  DELIVERY_TIME_SLOTS[1],
+  PICKUP_WINDOWS[1],
+  DELIVERY_TIME_SLOTS[2],
+];
+
+/**
+ * Checks whether a value is a known fulfillment method
+ * @param {string} method - Value to check
+ * @returns {boolean} True for "delivery" or "pickup"
+ */
+export const isFulfillmentMethod = (method) => Object.values(FULFILLMENT_METHODS).includes(method);
+
+/**
+ * Returns the customer-facing name of a fulfillment method
+ * Orders stored before pickup existed have no method and count as delivery
+ * @param {string} method - Fulfillment method
+ * @returns {string} e.g. "Pickup at the cottage"
+ */
+export const getFulfillmentLabel = (method) => (
+  FULFILLMENT_METHOD_LABELS[method || FULFILLMENT_METHODS.DELIVERY] || method
+);
+
+/**
+ * Returns the time slots offered for a fulfillment method
+ * @param {string} method - Fulfillment method
+ * @returns {Array} Pickup windows for pickup, delivery slots otherwise
+ */
+export const getTimeSlots = (method) => (
+  method === FULFILLMENT_METHODS.PICKUP ? PICKUP_WINDOWS : DELIVERY_TIME_SLOTS
+);
+
+/**
+ * Looks up a delivery time slot or pickup window by id
+ * @param {string} id - Time slot id
+ * @returns {Object|undefined} The time slot, or undefined if unknown
+ */
+export const getTimeSlot = (id) => ALL_TIME_SLOTS.find(slot => slot.id === id);
@@ -0,0 +1,48 @@
+/**
+ * Gift Cards for Little Loaf Cottage
+ *
+ * Gift cards are sold as a menu item (see "gift-card" in catalog.js) and each
+ * one bought gets a code with a balance, kept server-side in the "gift-cards"
+ * store (netlify/lib/giftCards.js). At checkout a code pays for all or part
+ * of an order; the helpers here decide the split so the Order page and
+ * process-payment agree on what is left to charge by card.
+ *
+ * Like the catalog, this module must stay free of browser-only imports.
+ */
+
+// Smallest amount we charge by card; a gift card never leaves less than this
+// to pay (it covers a little less instead), matching process-payment's minimum
+export const MIN_CARD_CHARGE_CENTS = 50;
+
+/**
+ * Normalizes a gift card code as typed by the customer
+ * @param {string} code - Gift card code, any case, with dashes, spaces or neither
+ * @returns {string} Upper-case code, e.g. "GC-7KQ2-M9XD-4HTP"
+ */
+export const normalizeGiftCardCode = (code) => (
+  typeof code === 'string'
+    ? code.toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^GC(\w{4})(\w{4})(\w{4})$/, 'GC-$1-$2-$3')
+    : ''
+);
+
+/**
+ * Shortens a gift card code for display, e.g. "Gift card ending 4HTP"
+ * @param {string} code - Gift card code
+ * @returns {string} Last four characters
+ */
+export const getGiftCardLastFour = (code) => String(code || '').slice(-4);
+
+/**
+ * Works out how much of an order a gift card pays and what is left to charge
+ * @param {number} totalCents - Order total in cents
+ * @param {number} balanceCents - Gift card balance in cents
+ * @returns {Object} { giftCardCents, amountDueCents }
+ */
+export const splitGiftCardPayment = (totalCents, balanceCents) => {
+  let giftCardCents = Math.max(Math.min(balanceCents, totalCents), 0);
+  const amountDueCents = totalCents - giftCardCents;
+  if (amountDueCents > 0 && amountDueCents < MIN_CARD_CHARGE_CENTS) {
+    giftCardCents = Math.max(totalCents - MIN_CARD_CHARGE_CENTS, 0);
+  }
+  return { giftCardCents, amountDueCents: totalCents - giftCardCents };
+};
@@ -0,0 +1,67 @@
+/**
+ * Order Statuses for Little Loaf Cottage
+ *
+ * Shared by the admin dashboard (to render and change statuses) and the
+ * Netlify functions (to validate status changes).
+ */
+
+export const ORDER_STATUS = {
+  PENDING_PAYMENT: 'pending_payment',
+  RECEIVED: 'received',
+  BAKING: 'baking',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+};
+
+// Text shown to staff and customers for each status
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.PENDING_PAYMENT]: 'Awaiting payment',
+  [ORDER_STATUS.RECEIVED]: 'Received',
+  [ORDER_STATUS.BAKING]: 'Baking',
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: 'Out for delivery',
+  [ORDER_STATUS.DELIVERED]: 'Delivered',
+  [ORDER_STATUS.CANCELLED]: 'Cancelled',
+  [ORDER_STATUS.REFUNDED]: 'Refunded',
+};
+
+// Labels that read differently for pickup orders: "out for delivery" means
+// the order is ready on the shelf, and "delivered" means it was collected
+export const PICKUP_STATUS_LABELS = {
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: 'Ready for pickup',
+  [ORDER_STATUS.DELIVERED]: 'Picked up',
+};
+
+/**
+ * Status changes staff may make from each status
+ * Payment-driven changes (pending_payment -> received) happen in process-payment only,
+ * and an order becomes refunded only through refund-payment
+ */
+export const STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PENDING_PAYMENT]: [ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.RECEIVED]: [ORDER_STATUS.BAKING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.BAKING]: [ORDER_STATUS.OUT_FOR_DELIVERY, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+/**
+ * Checks whether staff may move an order from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the change is allowed
+ */
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Returns the display label for a status
+ * @param {string} status - Order status
+ * @param {string} method - Fulfillment method of the order (optional); pickup orders use pickup wording
+ * @returns {string} Human-readable label
+ */
+export const getStatusLabel = (status, method) => (
+  (method === 'pickup' && PICKUP_STATUS_LABELS[status]) || ORDER_STATUS_LABELS[status] || status
+);
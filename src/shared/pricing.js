@@ -0,0 +1,253 @@
+/**
+ * Order Pricing for Little Loaf Cottage
+ *
+ * Computes order totals from catalog ids, selected options and quantities. The browser uses it
+ * to display the Order Summary and the process-payment function uses it to
+ * decide what to charge, so both always arrive at the same number.
+ * All amounts are integer cents. Tax is worked out per tax class (see
+ * taxes.js) the way Square works it out for the Square Order: on each line
+ * after its discount, rounded to the cent with banker's rounding, then added
+ * up per class. Promo code discounts (see promotions.js) come off the items
+ * before tax.
+ */
+
+import { getCatalogCategory, getCatalogItem, isItemAvailable } from './catalog.js';
+import { findDeliveryZone, getDeliveryFeeCents, normalizeZipCode } from './deliveryZones.js';
+import { FULFILLMENT_METHODS } from './fulfillment.js';
+import { getPromotionDiscounts, getPromotionError } from './promotions.js';
+import { TAX_CLASSES, getTaxClass } from './taxes.js';
+
+// Upper bound per line to catch typos and tampered carts
+export const MAX_QUANTITY_PER_ITEM = 99;
+
+// Tax rates are taken to this many parts of a whole, so line tax is worked
+// out in whole numbers rather than floating point
+const RATE_PRECISION = 1000000;
+
+/**
+ * Error thrown when an order cannot be priced (unknown item, bad quantity,
+ * delivery address outside our area or below the zone's minimum order, or a
+ * promo code that doesn't apply)
+ * Callers should treat it as a client error rather than a server failure
+ */
+export class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingError';
+  }
+}
+
+/**
+ * Formats an amount in cents as a dollar string
+ * @param {number} cents - Amount in cents
+ * @returns {string} Formatted amount, e.g. "$12.00"
+ */
+export const formatCents = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+/**
+ * Formats an item name with its selected options for display
+ * @param {Object} line - Cart entry or priced line with name and optionsLabel
+ * @returns {string} e.g. "Apple Cider Donut (6 pack)"
+ */
+export const formatLineName = (line) => (
+  line.optionsLabel ? `${line.name} (${line.optionsLabel})` : line.name
+);
+
+/**
+ * Builds the key that identifies a cart line: the item id plus its selected
+ * options, so two configurations of the same item stay on separate lines
+ * @param {string} id - Catalog item id
+ * @param {Object} options - Selected options as { optionId: choiceId }
+ * @returns {string} Line key, e.g. "apple-cider-donut|pack=6"
+ */
+export const getLineKey = (id, options = {}) => {
+  const parts = Object.keys(options).sort().map(key => `${key}=${options[key]}`);
+  return [id, ...parts].join('|');
+};
+
+/**
+ * Validates the options selected for an item and works out the unit price
+ * Options left unselected fall back to their first (default) choice
+ * @param {Object} item - Catalog item
+ * @param {Object} selected - Selected options as { optionId: choiceId }
+ * @returns {Object} { options, optionsLabel, unitPriceCents } where options has every option filled in
+ * @throws {PricingError} If an option or choice does not exist for the item
+ */
+export const resolveItemOptions = (item, selected = {}) => {
+  const itemOptions = item.options || [];
+  const selectedOptions = selected && typeof selected === 'object' ? selected : {};
+
+  const unknownOption = Object.keys(selectedOptions).find(key => !itemOptions.some(option => option.id === key));
+  if (unknownOption) {
+    throw new PricingError(`Unknown option "${unknownOption}" for ${item.name}`);
+  }
+
+  const options = {};
+  const labels = [];
+  let unitPriceCents = item.priceCents;
+
+  itemOptions.forEach((option) => {
+    const choiceId = selectedOptions[option.id] ?? option.choices[0].id;
+    const choice = option.choices.find(c => c.id === String(choiceId));
+    if (!choice) {
+      throw new PricingError(`Invalid ${option.label.toLowerCase()} for ${item.name}`);
+    }
+    options[option.id] = choice.id;
+    labels.push(choice.label);
+    unitPriceCents += choice.priceDeltaCents || 0;
+  });
+
+  return { options, optionsLabel: labels.join(', '), unitPriceCents };
+};
+
+/**
+ * Groups one-entry-per-unit items into { id, options, quantity } lines
+ * Entries are grouped by item id and selected options. Used to migrate carts
+ * saved in the per-unit format
+ * @param {Array} items - Entries, each with an id and optional options
+ * @returns {Array} Lines in the order items were first added
+ */
+export const toOrderLines = (items) => {
+  return items.reduce((lines, item) => {
+    const key = getLineKey(item.id, item.options);
+    const existing = lines.find(line => getLineKey(line.id, line.options) === key);
+    if (existing) {
+      existing.quantity += 1;
+    } else {
+      lines.push({ id: item.id, options: item.options || {}, quantity: 1 });
+    }
+    return lines;
+  }, []);
+};
+
+/**
+ * Works out the tax on one line: half a cent goes to the even cent
+ * (banker's rounding), as in Square's own order calculations
+ * @param {number} amountCents - Line amount after its discount
+ * @param {number} rate - Tax rate as a fraction
+ * @returns {number} Tax in cents
+ */
+const getLineTaxCents = (amountCents, rate) => {
+  const exact = amountCents * Math.round(rate * RATE_PRECISION);
+  const cents = Math.floor(exact / RATE_PRECISION);
+  const remainder = exact - cents * RATE_PRECISION;
+  const roundUp = remainder * 2 > RATE_PRECISION || (remainder * 2 === RATE_PRECISION && cents % 2 === 1);
+  return roundUp ? cents + 1 : cents;
+};
+
+/**
+ * Calculates subtotal, tax, delivery fee and total for an order
+ * @param {Array} lines - Array of { id, options, quantity } order lines
+ * @param {Object} options - Optional settings
+ * @param {Date} options.date - When the order is placed, for the promo code dates (defaults to now)
+ * @param {string} options.deliveryDate - Delivery or pickup date as "YYYY-MM-DD", if chosen;
+ *   seasonal items must be in season then (otherwise on options.date)
+ * @param {string} options.method - Fulfillment method; pickup orders have no delivery fee (defaults to delivery)
+ * @param {string} options.zipCode - Delivery ZIP code. Leave it out only to show an
+ *   estimate before the customer has entered one; delivery is then not charged
+ * @param {Object} options.promotion - Promotion rule for a promo code (optional)
+ * @returns {Object} Priced lines (each with its taxClass, discountCents and taxCents) plus
+ *   subtotalCents (before discount), discountCents, promotion ({ code, description }
+ *   or null), taxes ([{ id, label, rate, taxableCents, taxCents }] for each taxed class
+ *   in the order), taxCents (sum of taxes), deliveryFeeCents, deliveryZone (zone id,
+ *   or null for pickup or without a ZIP) and totalCents
+ * @throws {PricingError} If a line references an unknown or unavailable item, has invalid
+ *   options or quantity, the ZIP is outside our delivery area or below its minimum order,
+ *   or the promotion doesn't apply to the order
+ */
+export const calculateOrderTotals = (lines, { date = new Date(), deliveryDate, method = FULFILLMENT_METHODS.DELIVERY, zipCode, promotion } = {}) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new PricingError('Order must contain at least one item');
+  }
+
+  const pricedLines = lines.map((line) => {
+    const item = getCatalogItem(line && line.id);
+    if (!item) {
+      throw new PricingError(`Unknown menu item: ${line && line.id}`);
+    }
+    if (!isItemAvailable(item, deliveryDate || date)) {
+      throw new PricingError(`${item.name} is not available ${deliveryDate ? 'on that date' : 'right now'}`);
+    }
+
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY_PER_ITEM) {
+      throw new PricingError(`Invalid quantity for ${item.name}`);
+    }
+
+    const { options, optionsLabel, unitPriceCents } = resolveItemOptions(item, line.options);
+    const category = getCatalogCategory(item.category);
+
+    return {
+      id: item.id,
+      key: getLineKey(item.id, options),
+      name: item.name,
+      options,
+      optionsLabel,
+      quantity,
+      unitPriceCents,
+      totalCents: unitPriceCents * quantity,
+      taxClass: getTaxClass(category && category.taxClass).id
+    };
+  });
+
+  const subtotalCents = pricedLines.reduce((sum, line) => sum + line.totalCents, 0);
+
+  let freeDelivery = false;
+  if (promotion) {
+    const promotionError = getPromotionError(promotion, { lines: pricedLines, subtotalCents, method, date });
+    if (promotionError) {
+      throw new PricingError(promotionError);
+    }
+    const discounts = getPromotionDiscounts(promotion, pricedLines);
+    pricedLines.forEach((line, index) => {
+      line.discountCents = discounts.lineDiscounts[index];
+    });
+    freeDelivery = discounts.freeDelivery;
+  } else {
+    pricedLines.forEach((line) => {
+      line.discountCents = 0;
+    });
+  }
+  const discountCents = pricedLines.reduce((sum, line) => sum + line.discountCents, 0);
+
+  pricedLines.forEach((line) => {
+    line.taxCents = getLineTaxCents(line.totalCents - line.discountCents, getTaxClass(line.taxClass).rate);
+  });
+  const taxes = TAX_CLASSES
+    .map(({ id, label, rate }) => {
+      const classLines = pricedLines.filter(line => line.taxClass === id);
+      return {
+        id,
+        label,
+        rate,
+        taxableCents: classLines.reduce((sum, line) => sum + line.totalCents - line.discountCents, 0),
+        taxCents: classLines.reduce((sum, line) => sum + line.taxCents, 0)
+      };
+    })
+    .filter(tax => tax.rate > 0 && tax.taxableCents > 0);
+  const taxCents = taxes.reduce((sum, tax) => sum + tax.taxCents, 0);
+
+  let zone = null;
+  if (method !== FULFILLMENT_METHODS.PICKUP && zipCode !== undefined) {
+    zone = findDeliveryZone(zipCode);
+    if (!zone) {
+      throw new PricingError(`Sorry, we don't deliver to ZIP code ${normalizeZipCode(zipCode) || zipCode} yet`);
+    }
+    if (subtotalCents < zone.minimumOrderCents) {
+      throw new PricingError(`Delivery to ${zone.name} requires an order of at least ${formatCents(zone.minimumOrderCents)} before tax`);
+    }
+  }
+  const deliveryFeeCents = zone && !freeDelivery ? getDeliveryFeeCents(zone, subtotalCents) : 0;
+
+  return {
+    lines: pricedLines,
+    subtotalCents,
+    discountCents,
+    promotion: promotion ? { code: promotion.code, description: promotion.description } : null,
+    taxes,
+    taxCents,
+    deliveryFeeCents,
+    deliveryZone: zone ? zone.id : null,
+    totalCents: subtotalCents - discountCents + taxCents + deliveryFeeCents
+  };
+};
@@ -0,0 +1,149 @@
+/**
+ * Promotion Rules for Little Loaf Cottage
+ *
+ * Works out what a promo code takes off an order. The codes themselves, and
+ * their usage limits, are kept server-side (netlify/lib/promotions.js) so they
+ * don't ship in the browser bundle; the validate-promo function hands the
+ * Order page the public part of a rule, and calculateOrderTotals applies it
+ * with the functions below on both sides.
+ *
+ * Like the catalog, this module must stay free of browser-only imports.
+ */
+
+import { getCatalogItem } from './catalog.js';
+import { FULFILLMENT_METHODS } from './fulfillment.js';
+import { getBakeryDate } from './schedule.js';
+
+/**
+ * Kinds of promotion
+ * - percent-off: percentOff percent off every item
+ * - fixed-amount: amountOffCents off the order (never more than the items cost)
+ *   Neither discounts gift cards, which are as good as cash
+ * - free-delivery: no delivery fee (delivery orders only)
+ * - buy-x-get-y: for every buyQuantity units of itemId, getQuantity more are free
+ *   (the cheapest units are the free ones)
+ */
+export const PROMOTION_TYPES = {
+  PERCENT_OFF: 'percent-off',
+  FIXED_AMOUNT: 'fixed-amount',
+  FREE_DELIVERY: 'free-delivery',
+  BUY_X_GET_Y: 'buy-x-get-y',
+};
+
+// Same as formatCents; pricing.js imports this module, so it can't be imported back
+const formatDollars = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+/**
+ * Checks whether a promotion applies to an order
+ * Usage limits need the order history and are checked server-side only
+ * @param {Object} promotion - Promotion rule
+ * @param {Object} order - What is being priced
+ * @param {Array} order.lines - Priced lines ({ id, quantity, ... })
+ * @param {number} order.subtotalCents - Subtotal before any discount
+ * @param {string} order.method - Fulfillment method
+ * @param {Date} order.date - Date to check the promotion dates against
+ * @returns {string|null} Why the code can't be used, or null if it can
+ */
+export const getPromotionError = (promotion, { lines, subtotalCents, method, date = new Date() }) => {
+  const today = getBakeryDate(date);
+  if (promotion.startsOn && today < promotion.startsOn) {
+    return `Promo code ${promotion.code} isn't active yet`;
+  }
+  if (promotion.expiresOn && today > promotion.expiresOn) {
+    return `Promo code ${promotion.code} has expired`;
+  }
+  if (promotion.minimumOrderCents && subtotalCents < promotion.minimumOrderCents) {
+    return `Promo code ${promotion.code} needs an order of at least ${formatDollars(promotion.minimumOrderCents)}`;
+  }
+
+  if (promotion.type === PROMOTION_TYPES.FREE_DELIVERY && method === FULFILLMENT_METHODS.PICKUP) {
+    return `Promo code ${promotion.code} is for delivery orders only`;
+  }
+  if (promotion.type === PROMOTION_TYPES.BUY_X_GET_Y) {
+    const units = lines.filter(line => line.id === promotion.itemId).reduce((sum, line) => sum + line.quantity, 0);
+    if (units < promotion.buyQuantity + promotion.getQuantity) {
+      const item = getCatalogItem(promotion.itemId);
+      return `Promo code ${promotion.code} needs ${promotion.buyQuantity + promotion.getQuantity} or more of ${item ? item.name : 'the promotion item'}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Spreads a discount over lines in proportion to their totals
+ * Rounding leftovers go to the last line, so the parts add up exactly
+ * @param {Array} lines - Priced lines
+ * @param {number} amountCents - Discount to spread
+ * @returns {Array} Discount per line, in cents
+ */
+const spreadDiscount = (lines, amountCents) => {
+  const subtotalCents = lines.reduce((sum, line) => sum + line.totalCents, 0);
+  let remaining = amountCents;
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1
+      ? remaining
+      : Math.floor(amountCents * line.totalCents / subtotalCents);
+    remaining -= share;
+    return share;
+  });
+};
+
+/**
+ * Works out the discount a promotion gives each line
+ * Call getPromotionError first; this assumes the promotion applies
+ * @param {Object} promotion - Promotion rule
+ * @param {Array} lines - Priced lines ({ id, quantity, unitPriceCents, totalCents })
+ * @returns {Object} { lineDiscounts, freeDelivery } where lineDiscounts is cents per line
+ */
+export const getPromotionDiscounts = (promotion, lines) => {
+  const none = lines.map(() => 0);
+  const isDiscountable = (line) => {
+    const item = getCatalogItem(line.id);
+    return !(item && item.giftCard);
+  };
+
+  switch (promotion.type) {
+    case PROMOTION_TYPES.PERCENT_OFF:
+      return {
+        lineDiscounts: lines.map(line => (
+          isDiscountable(line) ? Math.round(line.totalCents * promotion.percentOff / 100) : 0
+        )),
+        freeDelivery: false
+      };
+
+    case PROMOTION_TYPES.FIXED_AMOUNT: {
+      const discountable = lines.filter(isDiscountable);
+      const discountableCents = discountable.reduce((sum, line) => sum + line.totalCents, 0);
+      if (discountableCents === 0) {
+        return { lineDiscounts: none, freeDelivery: false };
+      }
+      const shares = spreadDiscount(discountable, Math.min(promotion.amountOffCents, discountableCents));
+      return {
+        lineDiscounts: lines.map(line => (isDiscountable(line) ? shares[discountable.indexOf(line)] : 0)),
+        freeDelivery: false
+      };
+    }
+
+    case PROMOTION_TYPES.FREE_DELIVERY:
+      return { lineDiscounts: none, freeDelivery: true };
+
+    case PROMOTION_TYPES.BUY_X_GET_Y: {
+      // The same item can be on several lines with different options;
+      // the cheapest units are the free ones
+      const units = lines
+        .flatMap((line, index) => (
+          line.id === promotion.itemId ? Array(line.quantity).fill({ index, priceCents: line.unitPriceCents }) : []
+        ))
+        .sort((a, b) => a.priceCents - b.priceCents);
+      const freeUnits = Math.floor(units.length / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+      const lineDiscounts = [...none];
+      units.slice(0, freeUnits).forEach(unit => {
+        lineDiscounts[unit.index] += unit.priceCents;
+      });
+      return { lineDiscounts, freeDelivery: false };
+    }
+
+    default:
+      return { lineDiscounts: none, freeDelivery: false };
+  }
+};
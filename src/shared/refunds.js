@@ -0,0 +1,39 @@
+/**
+ * Refund Amounts for Little Loaf Cottage
+ *
+ * Shared by refund-payment (to check a refund fits) and the admin dashboard
+ * (to show what can still be refunded). Refunds are recorded on the order as
+ *
+ *   { id, status, amountCents, giftCardCents, reason, createdAt }
+ *
+ * where amountCents went back to the customer's card through Square and
+ * giftCardCents back onto the gift card that paid for the order.
+ */
+
+// Square refund statuses that mean the money never went back
+const UNSUCCESSFUL_REFUND_STATUSES = ['REJECTED', 'FAILED'];
+
+/**
+ * Lists an order's refunds, leaving out any Square rejected or that failed
+ * @param {Object} order - Order record (or its public view)
+ * @returns {Array} Refund records
+ */
+export const getSuccessfulRefunds = (order) => (order.refunds || [])
+  .filter(refund => !UNSUCCESSFUL_REFUND_STATUSES.includes(refund.status));
+
+/**
+ * Adds up what has been refunded on an order's Square payment
+ * @param {Object} order - Order record
+ * @returns {number} Refunded amount in cents
+ */
+export const getRefundedCents = (order) => getSuccessfulRefunds(order)
+  .reduce((sum, refund) => sum + refund.amountCents, 0);
+
+/**
+ * Works out how much of an order's Square payment can still be refunded
+ * @param {Object} order - Order record
+ * @returns {number} Refundable amount in cents (0 for unpaid or gift card only orders)
+ */
+export const getRefundableCents = (order) => (
+  order.payment ? Math.max(order.payment.amountCents - getRefundedCents(order), 0) : 0
+);
@@ -0,0 +1,203 @@
+/**
+ * Delivery and Pickup Scheduling for Little Loaf Cottage
+ *
+ * Decides which dates and time slots an order can be booked for: far enough
+ * ahead for everything in it to be baked, on a day we are open, and in a slot
+ * that still has room. The get-availability function uses it to offer choices
+ * to the Order page, and create-order and process-payment use it to refuse
+ * bookings that are no longer possible.
+ *
+ * Times are bakery wall-clock times (BAKERY_TIME_ZONE), whatever time zone
+ * the browser or the serverless function runs in. Like the catalog, this
+ * module must stay free of browser-only imports.
+ */
+
+import { getCatalogItem } from './catalog.js';
+import { getTimeSlot, getTimeSlots } from './fulfillment.js';
+
+// Time zone the bakery, its slots and its blackout dates are in
+export const BAKERY_TIME_ZONE = 'America/Chicago';
+
+// Notice we need for items without their own leadTimeHours (see catalog.js).
+// Three hours keeps same-day evening delivery open for orders placed by 2 PM.
+export const DEFAULT_LEAD_TIME_HOURS = 3;
+
+// How far ahead customers can book
+export const BOOKING_WINDOW_DAYS = 30;
+
+// Days of the week we don't deliver or hand out online orders (0 = Sunday)
+export const CLOSED_WEEKDAYS = [0];
+
+// Holidays and other days off: "MM-DD" repeats every year, "YYYY-MM-DD" is a single day
+export const BLACKOUT_DATES = [
+  '01-01',
+  '07-04',
+  '2026-11-26', // Thanksgiving
+  '12-24',
+  '12-25',
+];
+
+// Unpaid orders hold their slot for this long, so an abandoned checkout
+// doesn't keep a slot full forever
+export const PENDING_HOLD_MINUTES = 30;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Returns the bakery's current wall-clock time as a UTC timestamp with the same
+ * digits, so dates and slot start times can be compared with plain arithmetic
+ * @param {Date} now - Current instant
+ * @returns {number} Milliseconds; read it back with getUTC* methods
+ */
+const toBakeryClock = (now) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: BAKERY_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+  return Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+};
+
+/**
+ * Parses a "YYYY-MM-DD" date into a bakery-clock timestamp at midnight
+ * @param {string} date - Date string
+ * @returns {number|null} Milliseconds, or null if the date is malformed
+ */
+const parseDate = (date) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+  if (!match) return null;
+  const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  // Reject dates like 2026-02-30 that Date.UTC silently rolls over
+  return new Date(time).toISOString().slice(0, 10) === date ? time : null;
+};
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Returns today's date at the bakery
+ * @param {Date} now - Current instant (defaults to now)
+ * @returns {string} Date as "YYYY-MM-DD"
+ */
+export const getBakeryDate = (now = new Date()) => formatDate(toBakeryClock(now));
+
+/**
+ * Returns the notice needed to bake every item in an order
+ * @param {Array} lines - Order lines with item ids
+ * @returns {number} Lead time in hours (the longest of the items)
+ */
+export const getLeadTimeHours = (lines = []) => lines.reduce((hours, line) => {
+  const item = getCatalogItem(line && line.id);
+  return Math.max(hours, (item && item.leadTimeHours) || DEFAULT_LEAD_TIME_HOURS);
+}, DEFAULT_LEAD_TIME_HOURS);
+
+/**
+ * Checks whether the bakery is closed for online orders on a date
+ * @param {string} date - Date as "YYYY-MM-DD"
+ * @returns {boolean} True on closed weekdays and blackout dates
+ */
+export const isClosedDate = (date) => {
+  const time = parseDate(date);
+  if (time === null) return true;
+  return CLOSED_WEEKDAYS.includes(new Date(time).getUTCDay())
+    || BLACKOUT_DATES.includes(date)
+    || BLACKOUT_DATES.includes(date.slice(5));
+};
+
+/**
+ * Returns the moment a slot starts on a date
+ * @param {string} date - Date as "YYYY-MM-DD"
+ * @param {string} timeSlot - Time slot id
+ * @returns {string|null} ISO timestamp (UTC), or null if the date or slot is unknown
+ */
+export const getSlotStartTime = (date, timeSlot) => {
+  const day = parseDate(date);
+  const slot = getTimeSlot(timeSlot);
+  if (day === null || !slot) return null;
+  // Slot hours are bakery time; shift by the bakery's UTC offset on that day
+  const wallClock = day + slot.startHour * HOUR_MS;
+  const offset = toBakeryClock(new Date(wallClock)) - wallClock;
+  return new Date(wallClock - offset).toISOString();
+};
+
+/**
+ * Builds the key used to count bookings per slot
+ * @param {string} date - Date as "YYYY-MM-DD"
+ * @param {string} timeSlot - Time slot id
+ * @returns {string} e.g. "2026-10-24|morning"
+ */
+export const getSlotKey = (date, timeSlot) => `${date}|${timeSlot}`;
+
+/**
+ * Checks whether an order can be booked into a slot
+ * @param {Object} booking - What the customer picked
+ * @param {string} booking.date - Date as "YYYY-MM-DD"
+ * @param {string} booking.timeSlot - Time slot id
+ * @param {string} booking.method - Fulfillment method
+ * @param {Array} booking.lines - Order lines, for the lead time
+ * @param {Object} context - Current state
+ * @param {Object} context.bookedCounts - Orders already in each slot, keyed by getSlotKey
+ * @param {Date} context.now - Current time (defaults to now)
+ * @returns {string|null} Why the slot can't be booked, or null if it can
+ */
+export const getBookingError = ({ date, timeSlot, method, lines }, { bookedCounts = {}, now = new Date() } = {}) => {
+  const day = parseDate(date);
+  if (day === null) return 'Please choose a valid date';
+
+  const slot = getTimeSlots(method).find(s => s.id === timeSlot);
+  if (!slot) return 'Please choose a valid time';
+
+  const clock = toBakeryClock(now);
+  const today = parseDate(formatDate(clock));
+  if (day > today + BOOKING_WINDOW_DAYS * DAY_MS) {
+    return `Orders can be scheduled up to ${BOOKING_WINDOW_DAYS} days ahead`;
+  }
+  if (isClosedDate(date)) return "Sorry, we're closed that day";
+
+  const leadTimeHours = getLeadTimeHours(lines);
+  if (day + slot.startHour * HOUR_MS < clock + leadTimeHours * HOUR_MS) {
+    return `Your order needs at least ${leadTimeHours} hours' notice. Please choose a later time`;
+  }
+
+  if ((bookedCounts[getSlotKey(date, timeSlot)] || 0) >= slot.capacity) {
+    return 'Sorry, that time slot is fully booked. Please choose another';
+  }
+  return null;
+};
+
+/**
+ * Lists the dates and slots an order can be booked for
+ * Dates with no bookable slot are left out; full slots are included (with
+ * available: false) so customers can see why they can't pick them
+ * @param {Object} request - What is being booked
+ * @param {string} request.method - Fulfillment method
+ * @param {Array} request.lines - Order lines, for the lead time
+ * @param {Object} context - Current state, as for getBookingError
+ * @returns {Array} [{ date, slots: [{ id, label, available, remaining }] }] soonest first
+ */
+export const getAvailableDates = ({ method, lines }, { bookedCounts = {}, now = new Date() } = {}) => {
+  const today = parseDate(getBakeryDate(now));
+  const dates = [];
+
+  for (let offset = 0; offset <= BOOKING_WINDOW_DAYS; offset++) {
+    const date = formatDate(today + offset * DAY_MS);
+    const slots = getTimeSlots(method)
+      .map(slot => {
+        // Slots ruled out by the calendar or lead time aren't offered at all
+        if (getBookingError({ date, timeSlot: slot.id, method, lines }, { now })) return null;
+        const remaining = Math.max(slot.capacity - (bookedCounts[getSlotKey(date, slot.id)] || 0), 0);
+        return { id: slot.id, label: slot.label, available: remaining > 0, remaining };
+      })
+      .filter(Boolean);
+
+    if (slots.some(slot => slot.available)) {
+      dates.push({ date, slots });
+    }
+  }
+
+  return dates;
+};
@@ -0,0 +1,45 @@
+/**
+ * Sales Tax Rates for Little Loaf Cottage
+ *
+ * Tennessee taxes grocery food (our loaves) at a reduced state rate and
+ * prepared food (pastries, cookies, desserts) at the general rate; the Maury
+ * County local rate applies to both. Gift cards aren't taxed when sold (what
+ * they are spent on is). Each menu category names the tax class
+ * its items fall under (see catalogCategories in catalog.js), and
+ * calculateOrderTotals taxes each class separately.
+ *
+ * Edit the table below when rates change. Like the catalog, this module must
+ * stay free of browser-only imports.
+ */
+
+/**
+ * Tax classes
+ * - id: Referenced by catalog categories as taxClass
+ * - label: Shown on the Order Summary, receipts and Square
+ * - rate: Combined state + local rate, as a fraction
+ */
+export const TAX_CLASSES = [
+  { id: 'food', label: 'Sales tax - bread', rate: 0.0675 },
+  { id: 'prepared-food', label: 'Sales tax - prepared food', rate: 0.0975 },
+  { id: 'exempt', label: 'No sales tax', rate: 0 },
+];
+
+// Used for categories that don't name a tax class, so nothing goes untaxed
+export const DEFAULT_TAX_CLASS = 'prepared-food';
+
+/**
+ * Looks up a tax class by id
+ * @param {string} id - Tax class id
+ * @returns {Object} The tax class, or the default class if unknown
+ */
+export const getTaxClass = (id) => (
+  TAX_CLASSES.find(taxClass => taxClass.id === id)
+  || TAX_CLASSES.find(taxClass => taxClass.id === DEFAULT_TAX_CLASS)
+);
+
+/**
+ * Formats a tax rate as a percentage
+ * @param {number} rate - Rate as a fraction
+ * @returns {string} e.g. "9.75%"
+ */
+export const formatTaxRate = (rate) => `${Number((rate * 100).toFixed(3))}%`;
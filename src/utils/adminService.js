@@ -0,0 +1,162 @@
+/**
+ * Admin Service Utility for Little Loaf Cottage
+ *
+ * This utility talks to the staff-only Netlify functions used by the /admin
+ * dashboard. The staff access token is kept in sessionStorage, so it is
+ * forgotten when the browser tab is closed.
+ */
+
+// Key used to store the staff access token in sessionStorage
+const TOKEN_KEY = 'little-loaf-cottage-admin-token';
+
+/**
+ * Returns the saved staff access token
+ * @returns {string} Token, or an empty string if not signed in
+ */
+export const getAdminToken = () => {
+  try {
+    return sessionStorage.getItem(TOKEN_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Saves the staff access token for this browser tab
+ * @param {string} token - Staff access token
+ */
+export const setAdminToken = (token) => {
+  try {
+    sessionStorage.setItem(TOKEN_KEY, token);
+  } catch {
+    // Storage unavailable (private mode); the token only lives in memory then
+  }
+};
+
+/**
+ * Forgets the staff access token (sign out)
+ */
+export const clearAdminToken = () => {
+  try {
+    sessionStorage.removeItem(TOKEN_KEY);
+  } catch {
+    // Nothing to clear
+  }
+};
+
+/**
+ * Calls an admin function with the staff access token
+ * @param {string} endpoint - Function URL (including any query string)
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} With `unauthorized` set when the token was rejected
+ */
+const adminFetch = async (endpoint, options = {}) => {
+  const response = await fetch(endpoint, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${getAdminToken()}`,
+      ...(options.headers || {})
+    }
+  });
+
+  let result = {};
+  try {
+    result = await response.json();
+  } catch {
+    throw new Error(`Unexpected response from server (status ${response.status})`);
+  }
+
+  if (!response.ok) {
+    const error = new Error(result.error || `Request failed with status ${response.status}`);
+    error.unauthorized = response.status === 401;
+    throw error;
+  }
+
+  return result;
+};
+
+/**
+ * Lists orders for the dashboard
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.date - Delivery or pickup date (YYYY-MM-DD)
+ * @param {string} filters.method - Fulfillment method (delivery or pickup)
+ * @param {string} filters.timeSlot - Delivery time slot or pickup window id
+ * @param {string} filters.status - Order status, or "all" to include unpaid orders
+ * @returns {Promise<Array>} Matching orders, soonest delivery first
+ */
+export const fetchOrders = async (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  const query = params.toString();
+  const result = await adminFetch(`/.netlify/functions/admin-orders${query ? `?${query}` : ''}`);
+  return result.orders;
+};
+
+/**
+ * Moves an order to a new status
+ * @param {string} orderId - Order id
+ * @param {string} status - New status
+ * @returns {Promise<Object>} The updated order
+ */
+export const updateOrderStatus = async (orderId, status) => {
+  const result = await adminFetch('/.netlify/functions/admin-update-order', {
+    method: 'POST',
+    body: JSON.stringify({ orderId, status })
+  });
+  return result.order;
+};
+
+/**
+ * Refunds all or part of an order's payment
+ * @param {string} orderId - Order id
+ * @param {Object} refund - Refund details
+ * @param {string} refund.reason - Why the order is being refunded (shown to the customer)
+ * @param {number} refund.amountCents - Amount to refund (optional; everything left when omitted)
+ * @returns {Promise<Object>} The updated order
+ */
+export const refundOrder = async (orderId, { reason, amountCents }) => {
+  const result = await adminFetch('/.netlify/functions/refund-payment', {
+    method: 'POST',
+    body: JSON.stringify({ orderId, reason, amountCents })
+  });
+  return result.order;
+};
+
+/**
+ * Sends one of an order's emails again
+ * @param {string} orderId - Order id
+ * @param {string} emailId - Id of the order's outbox entry
+ * @returns {Promise<Object>} The updated order
+ */
+export const resendOrderEmail = async (orderId, emailId) => {
+  const result = await adminFetch('/.netlify/functions/admin-resend-email', {
+    method: 'POST',
+    body: JSON.stringify({ orderId, emailId })
+  });
+  return result.order;
+};
+
+/**
+ * Lists gift cards with their balance ledgers
+ * @param {string} code - Show only this gift card (optional)
+ * @returns {Promise<Array>} Gift cards, newest first
+ */
+export const fetchGiftCards = async (code = '') => {
+  const query = code ? `?${new URLSearchParams({ code })}` : '';
+  const result = await adminFetch(`/.netlify/functions/admin-gift-cards${query}`);
+  return result.giftCards;
+};
+
+/**
+ * Copies the Square catalog to the website menu now, instead of waiting for
+ * the hourly sync
+ * @returns {Promise<Object>} { syncedAt, itemCount, categoryCount }
+ */
+export const syncMenu = async () => {
+  const result = await adminFetch('/.netlify/functions/admin-sync-catalog', { method: 'POST' });
+  return { syncedAt: result.syncedAt, itemCount: result.itemCount, categoryCount: result.categoryCount };
+};
@@ -0,0 +1,21 @@
+/**
+ * Catalog Image Resolver
+ *
+ * Catalog items with a photo name its file (see src/shared/catalog.js). This
+ * maps those names to bundled assets in src/assets, so adding a photo means
+ * dropping the file into that folder and setting the item's `image` to its name.
+ * Items without one use the default image, and items synced from Square with
+ * a photo there use that instead (imageUrl).
+ */
+
+import defaultImg from "../assets/cinnamon-rolls.jpg";
+
+// All images in src/assets, keyed by path (e.g. "../assets/cinnamon-rolls.jpg")
+const assetImages = import.meta.glob('../assets/*.{jpg,jpeg,png,webp}', { eager: true, import: 'default' });
+
+/**
+ * Returns the image URL for a catalog item
+ * @param {Object} item - Catalog item, with an `image` file name or an `imageUrl` if it has a photo
+ * @returns {string} Image URL
+ */
+export const getItemImage = (item) => item.imageUrl || assetImages[`../assets/${item.image}`] || defaultImg;
@@ -1,200 +1,54 @@
 /**
  * Email Service Utility for Little Loaf Cottage
  * 
- * This utility handles sending email notifications for orders and payments.
- * It uses the Netlify serverless function for email delivery via SendGrid.
+ * This utility asks the Netlify functions to send the contact form emails.
+ * The browser only sends the message; the functions choose the recipients and
+ * render the emails (see src/shared/emailTemplates.js). Order emails are sent
+ * by process-payment itself, through the order's outbox.
  */
 
 /**
- * Send email using the Netlify serverless function
- * @param {Object} emailData - Email data object
- * @param {string} emailData.to - Recipient email address
- * @param {string} emailData.subject - Email subject
- * @param {string} emailData.text - Plain text content
- * @param {string} emailData.html - HTML content (optional)
- * @param {string} emailData.from - Sender email (optional, defaults to bakery email)
+ * Call one of the email functions
+ * @param {string} name - Function name, e.g. "contact-message"
+ * @param {Object} payload - Request body
  * @returns {Promise<Object>} Response from email service
+ * @throws {Error} If the function can't be reached or the email wasn't sent
  */
-export const sendEmail = async (emailData) => {
-  try {
-    const response = await fetch('/.netlify/functions/send-email', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(emailData)
-    });
-
-    // Check if the response is valid JSON
-    const contentType = response.headers.get('content-type');
-    if (!contentType || !contentType.includes('application/json')) {
-      const text = await response.text();
-      throw new Error(`Invalid response from email service: ${text}`);
-    }
-
-    let result;
-    try {
-      result = await response.json();
-    } catch (jsonError) {
-      const text = await response.text();
-      throw new Error(`Failed to parse JSON response: ${text}`);
-    }
-
-    if (!response.ok) {
-      throw new Error(result.error || `Email sending failed with status ${response.status}`);
-    }
-
-    // Check if the email was actually sent
-    if (result.status !== 'SENT') {
-      throw new Error(result.error || 'Email sending failed');
-    }
-
-    return result;
-  } catch (error) {
-    // For local development, show a helpful message instead of failing
-    if (error.message.includes('404') || error.message.includes('Failed to fetch') || error.message.includes('Email service not configured')) {
-      return {
-        status: 'LOCAL_DEV_SKIP',
-        message: 'Email sending skipped in local development'
-      };
-    }
-    
-    throw error;
-  }
-};
-
-/**
- * Send order confirmation email to customer
- * @param {Object} orderData - Order information
- * @param {string} orderData.customerEmail - Customer's email address
- * @param {number} orderData.amount - Order amount
- * @param {string} orderData.orderId - Order ID (optional)
- * @returns {Promise<Object>} Email sending result
- */
-export const sendOrderConfirmation = async ({ customerEmail, amount, orderId }) => {
-  const subject = 'Thank You for Your Order - Little Loaf Cottage';
-  
-  const text = `Hi there!
-
-Thank you for your order at Little Loaf Cottage! 
-
-Order Details:
-- Amount: $${amount.toFixed(2)}
-${orderId ? `- Order ID: ${orderId}` : ''}
-
-We're preparing your delicious baked goods and will have them ready soon. You'll receive another email when your order is ready for pickup.
-
-Thank you for choosing Little Loaf Cottage!
-
-Best regards,
-The Little Loaf Cottage Team`;
-
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #e91e63;">Thank You for Your Order!</h2>
-      
-      <p>Hi there!</p>
-      
-      <p>Thank you for your order at <strong>Little Loaf Cottage</strong>!</p>
-      
-      <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #333; margin-top: 0;">Order Details:</h3>
-        <p><strong>Amount:</strong> $${amount.toFixed(2)}</p>
-        ${orderId ? `<p><strong>Order ID:</strong> ${orderId}</p>` : ''}
-      </div>
-      
-      <p>We're preparing your delicious baked goods and will have them ready soon. You'll receive another email when your order is ready for pickup.</p>
-      
-      <p>Thank you for choosing Little Loaf Cottage!</p>
-      
-      <p>Best regards,<br>
-      The Little Loaf Cottage Team</p>
-    </div>
-  `;
-
-  return sendEmail({
-    to: customerEmail,
-    subject,
-    text,
-    html
+const callEmailFunction = async (name, payload) => {
+  const response = await fetch(`/.netlify/functions/${name}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload)
   });
-};
-
-/**
- * Send order notification email to admin
- * @param {Object} orderData - Order information
- * @param {string} orderData.customerEmail - Customer's email address
- * @param {number} orderData.amount - Order amount
- * @param {string} orderData.orderId - Order ID (optional)
- * @returns {Promise<Object>} Email sending result
- */
-export const sendAdminNotification = async ({ customerEmail, amount, orderId }) => {
-  const subject = 'New Order Received - Little Loaf Cottage';
-  
-  const text = `New Order Alert!
 
-A new order has been placed on Little Loaf Cottage:
-
-Order Details:
-- Customer Email: ${customerEmail}
-- Amount: $${amount.toFixed(2)}
-${orderId ? `- Order ID: ${orderId}` : ''}
-- Payment Status: Completed
-
-Please prepare the order and notify the customer when ready.
+  // Anything but JSON means the function isn't there (e.g. `vite` without
+  // `netlify dev`); locally the mailer catches mail in its mailbox instead
+  const text = await response.text();
+  let result;
+  try {
+    result = JSON.parse(text);
+  } catch {
+    throw new Error(`Invalid response from email service (${response.status}): ${text.slice(0, 200)}`);
+  }
 
-Order Management System`;
+  if (!response.ok) {
+    throw new Error(result.error || `Email sending failed with status ${response.status}`);
+  }
 
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #e91e63;">New Order Alert!</h2>
-      
-      <p>A new order has been placed on <strong>Little Loaf Cottage</strong>:</p>
-      
-      <div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #856404; margin-top: 0;">Order Details:</h3>
-        <p><strong>Customer Email:</strong> ${customerEmail}</p>
-        <p><strong>Amount:</strong> $${amount.toFixed(2)}</p>
-        ${orderId ? `<p><strong>Order ID:</strong> ${orderId}</p>` : ''}
-        <p><strong>Payment Status:</strong> <span style="color: green;">Completed</span></p>
-      </div>
-      
-      <p>Please prepare the order and notify the customer when ready.</p>
-      
-      <p><strong>Order Management System</strong></p>
-    </div>
-  `;
+  // Check if the email was actually sent
+  if (result.status !== 'SENT') {
+    throw new Error(result.error || 'Email sending failed');
+  }
 
-  return sendEmail({
-    to: import.meta.env.VITE_ADMIN_EMAIL || "", // Admin email
-    subject,
-    text,
-    html
-  });
+  return result;
 };
 
 /**
- * Send both customer confirmation and admin notification
- * @param {Object} orderData - Order information
- * @returns {Promise<Object>} Results from both emails
+ * Send a contact form message to the bakery, with an acknowledgement to the sender
+ * @param {Object} contact - { name, email, phone, subject, message }
+ * @returns {Promise<Object>} Response from email service
+ * @throws {Error} If the message wasn't sent
  */
-export const sendOrderEmails = async (orderData) => {
-  try {
-    // Send emails in parallel
-    const [customerResult, adminResult] = await Promise.all([
-      sendOrderConfirmation(orderData),
-      sendAdminNotification(orderData)
-    ]);
-
-    return {
-      success: true,
-      customerEmail: customerResult,
-      adminEmail: adminResult
-    };
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-};
+export const sendContactMessage = (contact) => callEmailFunction('contact-message', contact);
@@ -0,0 +1,127 @@
+/**
+ * Order Service Utility for Little Loaf Cottage
+ *
+ * This utility talks to the order-related Netlify functions.
+ */
+
+/**
+ * POSTs JSON to a Netlify function and returns the parsed response
+ * @param {string} endpoint - Function URL
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} With `fieldErrors` attached when the server rejected specific fields
+ */
+const postJson = async (endpoint, payload) => {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload)
+  });
+
+  let result = {};
+  try {
+    result = await response.json();
+  } catch {
+    throw new Error(`Unexpected response from server (status ${response.status})`);
+  }
+
+  if (!response.ok) {
+    const error = new Error(result.error || `Request failed with status ${response.status}`);
+    error.fieldErrors = result.fieldErrors;
+    throw error;
+  }
+
+  return result;
+};
+
+/**
+ * Stores a new order before payment
+ * @param {Object} orderData - Order information
+ * @param {Array} orderData.items - Array of { id, options, quantity } lines
+ * @param {number} orderData.amountCents - Total shown to the customer, in cents
+ * @param {Object} orderData.customer - { name, email, phone }
+ * @param {Object} orderData.delivery - { method, address, city, zipCode, date, timeSlot, instructions }
+ *   (address, city and zipCode only for delivery)
+ * @param {string} orderData.promoCode - Applied promo code (optional)
+ * @param {string} orderData.giftCardCode - Gift card paying for part or all of the order (optional)
+ * @param {string} orderData.replacesOrderId - Unpaid order this one replaces, which is cancelled (optional)
+ * @returns {Promise<Object>} The stored order record
+ */
+export const createOrder = async (orderData) => {
+  const result = await postJson('/.netlify/functions/create-order', orderData);
+  return result.order;
+};
+
+/**
+ * Looks up an order for the tracking page
+ * @param {string} orderId - Order id, e.g. "LLC-7KQ2M9XD"
+ * @param {string} email - Email address used at checkout
+ * @returns {Promise<Object>} Public view of the order, including its status history
+ */
+export const lookupOrder = async (orderId, email) => {
+  const result = await postJson('/.netlify/functions/order-status', { orderId, email });
+  return result.order;
+};
+
+/**
+ * Fetches the dates and time slots an order can be booked for
+ * @param {Array} items - Array of { id } lines (only the ids matter, for bake lead times)
+ * @param {string} method - Fulfillment method ("delivery" or "pickup")
+ * @returns {Promise<Array>} [{ date, slots: [{ id, label, available, remaining }] }], soonest first
+ */
+export const fetchAvailability = async (items, method) => {
+  const result = await postJson('/.netlify/functions/get-availability', { items, method });
+  return result.dates;
+};
+
+/**
+ * Checks a promo code against the current cart
+ * @param {Object} request - What to check
+ * @param {string} request.code - Promo code as typed by the customer
+ * @param {Array} request.items - Array of { id, options, quantity } lines
+ * @param {string} request.method - Fulfillment method
+ * @param {string} request.zipCode - Delivery ZIP code, if entered
+ * @param {string} request.deliveryDate - Delivery or pickup date as "YYYY-MM-DD", if chosen
+ * @param {string} request.email - Customer email, if entered (some codes are once per customer)
+ * @returns {Promise<Object>} The promotion rule to pass to calculateOrderTotals
+ * @throws {Error} With the reason when the code can't be used
+ */
+export const validatePromo = async (request) => {
+  const result = await postJson('/.netlify/functions/validate-promo', request);
+  return result.promotion;
+};
+
+/**
+ * Looks up a gift card's balance
+ * @param {string} code - Gift card code as typed by the customer
+ * @returns {Promise<Object>} { code, balanceCents }
+ * @throws {Error} With the reason when the card can't be used
+ */
+export const checkGiftCard = async (code) => {
+  const result = await postJson('/.netlify/functions/check-gift-card', { code });
+  return result.giftCard;
+};
+
+/**
+ * Pays for an order that a gift card covers in full (no card payment needed)
+ * @param {string} orderId - Stored order id
+ * @returns {Promise<Object>} Payment result, shaped like the card payment result
+ */
+export const payWithGiftCard = (orderId) => (
+  postJson('/.netlify/functions/process-payment', { orderId, amountCents: 0 })
+);
+
+/**
+ * Fetches the menu synced from Square
+ * @returns {Promise<Object|null>} { syncedAt, categories, items }, or null until a sync has run
+ */
+export const fetchMenu = async () => {
+  const response = await fetch('/.netlify/functions/get-menu');
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  const result = await response.json();
+  return result.catalog;
+};
@@ -0,0 +1,95 @@
+/* global process */
+/**
+ * Tests for the contact-message function
+ *
+ * Mail goes to a transport that keeps each message in `sent`, and the rate
+ * limit counters live in the in-memory store.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { handler } from '../netlify/functions/contact-message.js';
+import { registerMailTransport } from '../netlify/lib/mailer.js';
+
+const CONTACT_EMAIL = 'orders@littleloafcottage.test';
+
+process.env.DATA_STORE = 'memory';
+process.env.EMAIL_TRANSPORT = 'test';
+process.env.FROM_EMAIL = 'hello@littleloafcottage.test';
+process.env.ORDERS_EMAIL = CONTACT_EMAIL;
+
+let sent = [];
+registerMailTransport('test', () => ({
+  isConfigured: () => true,
+  send: async (message) => { sent.push(message); },
+}));
+
+// Each test sends from its own address so the rate limits don't carry over
+let visitor = 0;
+let ip;
+
+beforeEach(() => {
+  sent = [];
+  visitor += 1;
+  ip = `203.0.113.${visitor}`;
+});
+
+/**
+ * Posts the contact form
+ * @param {Object} fields - Form fields to change
+ * @returns {Promise<Object>} { statusCode, body } with the body parsed
+ */
+const submit = async (fields = {}) => {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { 'x-nf-client-connection-ip': ip },
+    body: JSON.stringify({
+      name: 'Ada Baker',
+      email: `ada+${visitor}@example.com`,
+      subject: 'Wedding order',
+      message: 'Could you bake three dozen rolls for June 6?',
+      ...fields,
+    }),
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+test('forwards the message and acknowledges it without repeating the sender\'s words', async () => {
+  const response = await submit({ name: 'Visit https://phish.example now' });
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(sent.map(message => message.to), [CONTACT_EMAIL, `ada+${visitor}@example.com`]);
+  const acknowledgement = sent[1];
+  assert.ok(!`${acknowledgement.subject}${acknowledgement.text}${acknowledgement.html}`.includes('phish'));
+  assert.ok(sent[0].text.includes('Visit https://phish.example now'));
+});
+
+test('refuses more than five messages an hour from one visitor', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await submit({ email: `guest${i}@example.com` })).statusCode, 200);
+  }
+
+  const response = await submit({ email: 'guest5@example.com' });
+
+  assert.equal(response.statusCode, 429);
+  assert.equal(response.body.status, 'FAILED');
+  assert.equal(sent.length, 10);
+});
+
+test('stops acknowledging an address after three messages a day, but still forwards them', async () => {
+  const email = `target${visitor}@example.com`;
+  for (let i = 0; i < 4; i++) {
+    ip = `198.51.100.${visitor * 10 + i}`;
+    assert.equal((await submit({ email: email.toUpperCase() })).statusCode, 200);
+  }
+
+  assert.equal(sent.filter(message => message.to === CONTACT_EMAIL).length, 4);
+  assert.equal(sent.filter(message => message.to !== CONTACT_EMAIL).length, 3);
+});
+
+test('refuses incomplete messages and recipients that are not one address', async () => {
+  assert.equal((await submit({ message: '' })).statusCode, 400);
+  assert.equal((await submit({ email: 'ada@example.com, boss@example.com' })).statusCode, 400);
+  assert.deepEqual(sent, []);
+});
@@ -0,0 +1,121 @@
+/* global process */
+/**
+ * Tests for the create-order function
+ *
+ * Orders, slot holds and rate limit counters live in the in-memory store.
+ * Each test books its own pickup date so their bookings don't add up.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { handler } from '../netlify/functions/create-order.js';
+import { getOrdersStore } from '../netlify/lib/orders.js';
+import { calculateOrderTotals } from '../src/shared/pricing.js';
+import { getAvailableDates } from '../src/shared/schedule.js';
+import { FULFILLMENT_METHODS, PICKUP_WINDOWS } from '../src/shared/fulfillment.js';
+import { ORDER_STATUS } from '../src/shared/orderStatus.js';
+
+process.env.DATA_STORE = 'memory';
+
+const LINES = [{ id: 'sandwich-bread', quantity: 1 }];
+const WINDOW = PICKUP_WINDOWS[0];
+
+// Skip today, whose windows may already be past the lead time
+const DATES = getAvailableDates({ method: FULFILLMENT_METHODS.PICKUP, lines: LINES })
+  .slice(1)
+  .filter(({ slots }) => slots.some(slot => slot.id === WINDOW.id))
+  .map(({ date }) => date);
+
+// Each test orders from its own address so the rate limit doesn't carry over
+let visitor = 0;
+let ip;
+let date;
+
+beforeEach(() => {
+  visitor += 1;
+  ip = `203.0.113.${visitor}`;
+  date = DATES[visitor];
+});
+
+/**
+ * Posts a pickup order for one loaf
+ * @param {Object} fields - Request fields to change
+ * @param {string} fromIp - Client address (defaults to the test's own)
+ * @returns {Promise<Object>} { statusCode, body } with the body parsed
+ */
+const submit = async (fields = {}, fromIp = ip) => {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { 'x-nf-client-connection-ip': fromIp },
+    body: JSON.stringify({
+      items: LINES,
+      amountCents: calculateOrderTotals(LINES, { deliveryDate: date, method: FULFILLMENT_METHODS.PICKUP }).totalCents,
+      customer: { name: 'Ada Baker', email: 'ada@example.com', phone: '555-0100' },
+      delivery: { method: FULFILLMENT_METHODS.PICKUP, date, timeSlot: WINDOW.id },
+      ...fields,
+    }),
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+/**
+ * Books the window until only `left` places remain
+ * @param {number} left - Places to leave open
+ */
+const fillWindow = async (left) => {
+  for (let i = 0; i < WINDOW.capacity - left; i++) {
+    const response = await submit({ customer: { name: 'Guest', email: `guest${i}@example.com`, phone: '555-0101' } }, `198.51.100.${i}`);
+    assert.equal(response.statusCode, 201);
+  }
+};
+
+test('gives the last place in a window to only one of two orders placed at once', async () => {
+  await fillWindow(1);
+
+  const responses = await Promise.all([
+    submit({}, '192.0.2.1'),
+    submit({ customer: { name: 'Grace Baker', email: 'grace@example.com', phone: '555-0102' } }, '192.0.2.2'),
+  ]);
+
+  assert.deepEqual(responses.map(response => response.statusCode).sort(), [201, 409]);
+  const refused = responses.find(response => response.statusCode === 409);
+  assert.ok(refused.body.fieldErrors.deliveryTime);
+});
+
+test('cancels the unpaid order a customer replaces, freeing its place', async () => {
+  await fillWindow(1);
+  const first = await submit();
+  assert.equal(first.statusCode, 201);
+
+  const second = await submit({ replacesOrderId: first.body.order.id });
+
+  assert.equal(second.statusCode, 201);
+  const replaced = await getOrdersStore().get(first.body.order.id);
+  assert.equal(replaced.status, ORDER_STATUS.CANCELLED);
+});
+
+test('leaves another customer\'s order alone when asked to replace it', async () => {
+  const first = await submit();
+
+  const second = await submit({
+    customer: { name: 'Grace Baker', email: 'grace@example.com', phone: '555-0102' },
+    replacesOrderId: first.body.order.id,
+  });
+
+  assert.equal(second.statusCode, 201);
+  const untouched = await getOrdersStore().get(first.body.order.id);
+  assert.equal(untouched.status, ORDER_STATUS.PENDING_PAYMENT);
+});
+
+test('refuses more than twenty orders an hour from one visitor', async () => {
+  for (let i = 0; i < 20; i++) {
+    const response = await submit({ customer: { name: 'Ada Baker', email: `ada${i}@example.com`, phone: '555-0100' } });
+    assert.notEqual(response.statusCode, 429);
+  }
+
+  const response = await submit();
+
+  assert.equal(response.statusCode, 429);
+  assert.equal(response.body.status, 'FAILED');
+});
@@ -0,0 +1,142 @@
+/* global process */
+/**
+ * Hostile input tests for the emails we send
+ *
+ * Everything in an email that comes from data is typed by a visitor at some
+ * point (names, addresses, instructions, contact form fields...). These
+ * tests put markup, script and header line breaks in every such field and
+ * check that none of it reaches the HTML, the subject or the recipients
+ * as anything but text.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EMAIL_TEMPLATES, escapeHtml, renderEmail, toHeaderText } from '../src/shared/emailTemplates.js';
+import { isSingleAddress, registerMailTransport, sendMail } from '../netlify/lib/mailer.js';
+
+process.env.EMAIL_TRANSPORT = 'test';
+
+let sent = [];
+registerMailTransport('test', () => ({
+  isConfigured: () => true,
+  send: async (message) => { sent.push(message); },
+}));
+
+const HOSTILE = '<script>alert(1)</script>"><img src=x onerror=alert(2)>\'<a href="javascript:alert(3)">&amp;\r\nBcc: victim@example.com';
+
+// Parts of HOSTILE that only appear if it went into the HTML unescaped
+const INJECTED = ['<script', '<img', 'alert(2)>', '<a href="javascript', 'alert(3)">'];
+
+const hostileOrder = (status) => ({
+  id: HOSTILE,
+  status,
+  customer: { name: HOSTILE, email: HOSTILE, phone: HOSTILE },
+  items: [{ id: 'artisan-sourdough', name: HOSTILE, optionsLabel: HOSTILE, quantity: HOSTILE, totalCents: 1200 }],
+  totals: {
+    subtotalCents: 1200,
+    discountCents: 100,
+    taxes: [{ id: 'food', label: HOSTILE, rate: 0.0675, taxCents: 74 }],
+    taxCents: 74,
+    deliveryFeeCents: 500,
+    totalCents: 1674,
+  },
+  delivery: { method: 'delivery', address: HOSTILE, city: HOSTILE, date: HOSTILE, timeSlot: HOSTILE, instructions: HOSTILE },
+  giftCard: { lastFour: HOSTILE, amountCents: 500 },
+  giftCardsIssued: [{ code: HOSTILE, amountCents: 5000 }],
+});
+
+// Every template, with hostile text in every field it takes
+const CASES = [
+  ['order confirmation', EMAIL_TEMPLATES.ORDER_CONFIRMATION, { order: hostileOrder('received'), trackingUrl: 'javascript:alert(4)' }],
+  ['new order alert', EMAIL_TEMPLATES.ADMIN_NEW_ORDER, { order: hostileOrder('received') }],
+  ['status update', EMAIL_TEMPLATES.ORDER_STATUS, { order: hostileOrder('baking'), trackingUrl: `https://littleloafcottage.test/orders/${HOSTILE}` }],
+  ['refund', EMAIL_TEMPLATES.REFUND, { order: hostileOrder('refunded'), refund: { amountCents: 1174, giftCardCents: 500, reason: HOSTILE }, trackingUrl: '//evil.example/track' }],
+  ['contact acknowledgement', EMAIL_TEMPLATES.CONTACT_ACKNOWLEDGEMENT, { name: HOSTILE }],
+  ['contact notification', EMAIL_TEMPLATES.CONTACT_NOTIFICATION, { name: HOSTILE, email: HOSTILE, phone: HOSTILE, subject: HOSTILE, message: HOSTILE }],
+];
+
+CASES.forEach(([label, name, data]) => {
+  test(`${label}: hostile text is escaped in the HTML`, () => {
+    const { html } = renderEmail(name, data);
+    INJECTED.forEach(markup => assert.ok(!html.includes(markup), `${label} HTML contains ${markup}`));
+  });
+
+  test(`${label}: the subject stays on one line`, () => {
+    const { subject } = renderEmail(name, data);
+    assert.doesNotMatch(subject, /[\r\n]/);
+  });
+});
+
+test('escaped text reads the same as what was typed', () => {
+  const { html } = renderEmail(EMAIL_TEMPLATES.CONTACT_NOTIFICATION, { name: 'Ada', email: 'ada@example.com', subject: 'Hi', message: HOSTILE });
+  assert.ok(html.includes(escapeHtml(HOSTILE)));
+  assert.equal(escapeHtml('<b class="x">Tom & Jerry\'s</b>'), '&lt;b class=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;');
+});
+
+test('links only go to web pages', () => {
+  ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html;base64,PHNjcmlwdD4=', '//evil.example/track', 'vbscript:msgbox(1)'].forEach((trackingUrl) => {
+    const { html, text } = renderEmail(EMAIL_TEMPLATES.ORDER_STATUS, { order: { id: 'LLC-7KQ2M9XD', status: 'baking', customer: { name: 'Ada' } }, trackingUrl });
+    assert.ok(!html.includes('<a '), `linked to ${trackingUrl}`);
+    assert.ok(!text.includes(trackingUrl), `listed ${trackingUrl}`);
+  });
+});
+
+test('line breaks in a contact subject cannot add headers', () => {
+  const { subject } = renderEmail(EMAIL_TEMPLATES.CONTACT_NOTIFICATION, {
+    name: 'Ada', email: 'ada@example.com', subject: 'Hello\r\nBcc: victim@example.com\r\n\r\nSpam', message: 'Hi',
+  });
+  assert.equal(subject, 'Contact form received: Hello Bcc: victim@example.com Spam - Little Loaf Cottage');
+});
+
+test('header text has no control characters and is cut to length', () => {
+  assert.equal(toHeaderText('Ada\r\nBcc: victim@example.com'), 'Ada Bcc: victim@example.com');
+  assert.equal(toHeaderText('Ada\u0000\u001b[31m Baker '), 'Ada [31m Baker');
+  assert.equal(toHeaderText('x'.repeat(500)).length, 200);
+  assert.equal(toHeaderText('Ada Baker', 3), 'Ada');
+  assert.equal(toHeaderText(null), '');
+});
+
+test('isSingleAddress accepts one plain address', () => {
+  ['ada@example.com', 'ada.baker+orders@mail.example.co.uk', 'o\'brien@example.ie'].forEach((address) => {
+    assert.equal(isSingleAddress(address), true, address);
+  });
+});
+
+test('isSingleAddress refuses lists, display names and header tricks', () => {
+  [
+    'ada@example.com, boss@example.com',
+    'ada@example.com,boss@example.com',
+    'ada@example.com; boss@example.com',
+    'ada@example.com;boss@example.com',
+    '<ada@example.com>',
+    'Ada Baker <ada@example.com>',
+    'ada@example.com>',
+    '"Ada"@example.com',
+    'ada@example.com\r\nBcc: victim@example.com',
+    'ada@example.com\nBcc: victim@example.com',
+    'ada@example.com ',
+    'ada baker@example.com',
+    'ada@example',
+    'ada@@example.com',
+    '@example.com',
+    '',
+    null,
+    undefined,
+    ['ada@example.com'],
+  ].forEach((address) => {
+    assert.equal(isSingleAddress(address), false, JSON.stringify(address));
+  });
+});
+
+test('sendMail refuses recipients that are not one address and cleans the subject', async () => {
+  sent = [];
+
+  await assert.rejects(sendMail({ to: 'ada@example.com, boss@example.com', subject: 'Hi', text: 'Hi' }), /Invalid recipient email address/);
+  await assert.rejects(sendMail({ to: 'Ada <ada@example.com>', subject: 'Hi', text: 'Hi' }), /Invalid recipient email address/);
+  assert.deepEqual(sent, []);
+
+  await sendMail({ to: 'ada@example.com', subject: 'Hi\r\nBcc: victim@example.com', text: 'Hi' });
+  assert.equal(sent[0].subject, 'Hi Bcc: victim@example.com');
+  assert.equal('html' in sent[0], false);
+});
@@ -0,0 +1,145 @@
+/* global process */
+/**
+ * Golden tests for the email templates
+ *
+ * Each case renders a template and compares it with the copy kept in
+ * fixtures/email-templates: <case>.txt holds the subject and the plain-text
+ * email, <case>.html the HTML. After changing a template on purpose, rewrite
+ * the copies with
+ *
+ *   UPDATE_GOLDENS=1 npm test
+ *
+ * and check the diff before committing it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'fs';
+
+import { EMAIL_TEMPLATES, renderEmail } from '../src/shared/emailTemplates.js';
+import { getTrackingUrl } from '../netlify/lib/statusEmails.js';
+
+process.env.SITE_URL = 'https://littleloafcottage.test';
+
+const TRACKING_URL = getTrackingUrl('LLC-7KQ2M9XD');
+
+const ORDER = {
+  id: 'LLC-7KQ2M9XD',
+  status: 'received',
+  customer: { name: 'Ada Baker', email: 'ada@example.com', phone: '(931) 555-0142' },
+  items: [
+    { id: 'artisan-sourdough', name: 'Artisan Sourdough', optionsLabel: 'Large boule', quantity: 1, totalCents: 1600 },
+    { id: 'apple-cider-donut', name: 'Apple Cider Donut', optionsLabel: '6 pack', quantity: 2, totalCents: 3200 },
+    { id: 'gift-card', name: 'Gift Card', optionsLabel: '$50', quantity: 1, totalCents: 5000 },
+  ],
+  totals: {
+    subtotalCents: 9800,
+    discountCents: 0,
+    taxes: [
+      { id: 'food', label: 'Sales tax - bread', rate: 0.0675, taxCents: 108 },
+      { id: 'prepared-food', label: 'Sales tax - prepared food', rate: 0.0975, taxCents: 312 },
+    ],
+    taxCents: 420,
+    deliveryFeeCents: 500,
+    totalCents: 10720,
+  },
+  delivery: {
+    method: 'delivery',
+    address: '14 Mill Pond Road',
+    city: 'Columbia',
+    date: '2026-10-24',
+    timeSlot: 'morning',
+    instructions: 'Leave by the side door',
+  },
+  giftCard: { lastFour: '4HTP', amountCents: 2000 },
+  giftCardsIssued: [{ code: 'GC-7KQ2-M9XD-4HTP', amountCents: 5000 }],
+};
+
+const PICKUP_ORDER = {
+  ...ORDER,
+  delivery: { method: 'pickup', date: '2026-10-24', timeSlot: 'pickup-afternoon' },
+};
+
+/**
+ * Compares a rendered email with its golden copies, or rewrites them when
+ * UPDATE_GOLDENS is set
+ * @param {string} name - Case name, used for the file names
+ * @param {Object} email - { subject, text, html } from renderEmail
+ */
+const assertMatchesGolden = (name, email) => {
+  assert.ok(email, `${name} rendered nothing`);
+  const text = `Subject: ${email.subject}\n\n${email.text}\n`;
+  const textFile = new URL(`./fixtures/email-templates/${name}.txt`, import.meta.url);
+  const htmlFile = new URL(`./fixtures/email-templates/${name}.html`, import.meta.url);
+  if (process.env.UPDATE_GOLDENS) {
+    writeFileSync(textFile, text);
+    writeFileSync(htmlFile, `${email.html}\n`);
+    return;
+  }
+  assert.equal(text, readFileSync(textFile, 'utf8'));
+  assert.equal(`${email.html}\n`, readFileSync(htmlFile, 'utf8'));
+};
+
+test('order confirmation', () => {
+  assertMatchesGolden('order-confirmation', renderEmail(EMAIL_TEMPLATES.ORDER_CONFIRMATION, { order: ORDER, trackingUrl: TRACKING_URL }));
+});
+
+test('order confirmation for a pickup order placed before totals were kept', () => {
+  const order = { ...PICKUP_ORDER, totals: undefined, giftCard: undefined, giftCardsIssued: undefined, customer: undefined };
+  assertMatchesGolden('order-confirmation-legacy', renderEmail(EMAIL_TEMPLATES.ORDER_CONFIRMATION, { order, amount: 98 }));
+});
+
+test('new order alert', () => {
+  assertMatchesGolden('admin-new-order', renderEmail(EMAIL_TEMPLATES.ADMIN_NEW_ORDER, { order: ORDER }));
+});
+
+test('status updates for delivery orders', () => {
+  ['baking', 'out_for_delivery', 'delivered', 'cancelled'].forEach((status) => {
+    assertMatchesGolden(`order-status-${status}`, renderEmail(EMAIL_TEMPLATES.ORDER_STATUS, { order: { ...ORDER, status }, trackingUrl: TRACKING_URL }));
+  });
+});
+
+test('status updates for pickup orders', () => {
+  ['baking', 'out_for_delivery', 'delivered'].forEach((status) => {
+    assertMatchesGolden(`order-status-pickup-${status}`, renderEmail(EMAIL_TEMPLATES.ORDER_STATUS, { order: { ...PICKUP_ORDER, status }, trackingUrl: TRACKING_URL }));
+  });
+});
+
+test('statuses without copy send nothing', () => {
+  ['pending_payment', 'received', 'refunded'].forEach((status) => {
+    assert.equal(renderEmail(EMAIL_TEMPLATES.ORDER_STATUS, { order: { ...ORDER, status }, trackingUrl: TRACKING_URL }), null);
+  });
+});
+
+test('full refund', () => {
+  const refund = { amountCents: 8720, giftCardCents: 2000, reason: 'Order cancelled by customer' };
+  assertMatchesGolden('refund-full', renderEmail(EMAIL_TEMPLATES.REFUND, { order: { ...ORDER, status: 'refunded' }, refund, trackingUrl: TRACKING_URL }));
+});
+
+test('partial refund', () => {
+  const refund = { amountCents: 1600, giftCardCents: 0, reason: 'Sourdough was sold out' };
+  assertMatchesGolden('refund-partial', renderEmail(EMAIL_TEMPLATES.REFUND, { order: ORDER, refund, trackingUrl: TRACKING_URL }));
+});
+
+test('contact acknowledgement', () => {
+  assertMatchesGolden('contact-acknowledgement', renderEmail(EMAIL_TEMPLATES.CONTACT_ACKNOWLEDGEMENT));
+});
+
+test('contact notification', () => {
+  assertMatchesGolden('contact-notification', renderEmail(EMAIL_TEMPLATES.CONTACT_NOTIFICATION, {
+    name: 'Ada Baker',
+    email: 'ada@example.com',
+    phone: '(931) 555-0142',
+    subject: 'Wedding order',
+    message: 'Hello!\nCould you bake three dozen rolls for June 6?\n\nThanks,\nAda',
+  }));
+});
+
+test('every template has a golden case', () => {
+  const covered = ['order-confirmation', 'admin-new-order', 'order-status', 'refund', 'contact-acknowledgement', 'contact-notification'];
+  assert.deepEqual(Object.values(EMAIL_TEMPLATES).sort(), covered.sort());
+});
+
+test('unknown templates are refused', () => {
+  assert.throws(() => renderEmail('newsletter', {}), /Unknown email template: newsletter/);
+});
@@ -0,0 +1,49 @@
+/**
+ * Local Stub of the Square API for Tests
+ *
+ * Listens on a free port on localhost; point SQUARE_API_BASE_URL at its
+ * baseUrl and squareRequest sends its calls here instead of Square. Each
+ * route answers "METHOD /path" (query string left off) and is given the
+ * query and the parsed body; requests without a route get a 404 in Square's
+ * error shape. Every request is kept in `requests`, in order.
+ */
+
+import http from 'http';
+
+/**
+ * Starts the stub
+ * @param {Object} routes - { "GET /v2/catalog/list": ({ query, body }) => ({ status, data }) }
+ * @returns {Promise<Object>} { baseUrl, requests, close }
+ */
+export const startSquareStub = (routes) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body: raw ? JSON.parse(raw) : null,
+      };
+      requests.push(request);
+
+      const route = routes[`${request.method} ${request.path}`];
+      const { status = 200, data } = route
+        ? route(request)
+        : { status: 404, data: { errors: [{ category: 'INVALID_REQUEST_ERROR', code: 'NOT_FOUND', detail: `No stub for ${request.method} ${request.path}` }] } };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => server.close(done)),
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/* global process */
+/**
+ * Tests for the order email outbox
+ *
+ * Orders and the outbox index live in the in-memory store, and mail goes to
+ * a transport that keeps each message in `sent`, or fails while `failing`
+ * is set.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { registerMailTransport } from '../netlify/lib/mailer.js';
+import { OUTBOX_STATUS, createOrderNotifications, deliverDueNotifications, deliverOrderNotifications, queueOrderNotifications, resendNotification } from '../netlify/lib/outbox.js';
+import { getOrdersStore } from '../netlify/lib/orders.js';
+import { createStore, registerStoreAdapter } from '../netlify/lib/store.js';
+
+const ORDER_ID = 'LLC-7KQ2M9XD';
+
+process.env.DATA_STORE = 'memory';
+process.env.EMAIL_TRANSPORT = 'test';
+process.env.ADMIN_EMAIL = 'orders@littleloafcottage.test';
+process.env.SITE_URL = 'https://littleloafcottage.test';
+
+let sent = [];
+let failing = false;
+registerMailTransport('test', () => ({
+  isConfigured: () => true,
+  send: async (message) => {
+    if (failing) throw new Error('Mail server is down');
+    sent.push(message);
+  },
+}));
+
+const getIndex = () => createStore('outbox');
+const getOrder = () => getOrdersStore().get(ORDER_ID);
+
+/**
+ * Stores a paid order whose emails are queued, as process-payment does
+ * @param {Object} changes - Fields to change on the order
+ */
+const seedPaidOrder = async (changes = {}) => {
+  await queueOrderNotifications(ORDER_ID);
+  await getOrdersStore().put(ORDER_ID, {
+    id: ORDER_ID,
+    status: 'received',
+    customer: { name: 'Ada Baker', email: 'ada@example.com', phone: '' },
+    items: [{ id: 'artisan-sourdough', name: 'Artisan Sourdough', quantity: 1, totalCents: 1200 }],
+    totals: { subtotalCents: 1200, discountCents: 0, taxes: [], taxCents: 0, deliveryFeeCents: 0, totalCents: 1200 },
+    outbox: createOrderNotifications(),
+    ...changes,
+  });
+};
+
+beforeEach(async () => {
+  sent = [];
+  failing = false;
+  process.env.DATA_STORE = 'memory';
+  await Promise.all((await getIndex().list()).map(record => getIndex().remove(record.id)));
+  await getOrdersStore().remove(ORDER_ID);
+});
+
+test('sends queued emails and drops the order from the index', async () => {
+  await seedPaidOrder();
+
+  assert.deepEqual(await deliverDueNotifications(), { orders: 1 });
+
+  assert.deepEqual(sent.map(message => message.to).sort(), ['ada@example.com', 'orders@littleloafcottage.test']);
+  assert.deepEqual((await getOrder()).outbox.map(entry => entry.status), [OUTBOX_STATUS.SENT, OUTBOX_STATUS.SENT]);
+  assert.deepEqual(await getIndex().list(), []);
+});
+
+test('reads the index rather than every order', async () => {
+  await seedPaidOrder();
+  // Orders can be read one at a time but not listed
+  registerStoreAdapter('orders-unlisted', (collection) => {
+    process.env.DATA_STORE = 'memory';
+    const store = createStore(collection);
+    process.env.DATA_STORE = 'orders-unlisted';
+    if (collection !== 'orders') return store;
+    return { ...store, list: async () => { throw new Error('Orders should not be listed'); } };
+  });
+  process.env.DATA_STORE = 'orders-unlisted';
+
+  assert.deepEqual(await deliverDueNotifications(), { orders: 1 });
+  assert.equal(sent.length, 2);
+});
+
+test('keeps failed emails indexed until their retry time', async () => {
+  await seedPaidOrder();
+  failing = true;
+
+  await deliverDueNotifications();
+
+  const order = await getOrder();
+  assert.deepEqual(order.outbox.map(entry => [entry.status, entry.attempts]), [[OUTBOX_STATUS.PENDING, 1], [OUTBOX_STATUS.PENDING, 1]]);
+  const [record] = await getIndex().list();
+  assert.equal(record.id, ORDER_ID);
+  assert.equal(record.nextAttemptAt, order.outbox[0].nextAttemptAt);
+  assert.ok(new Date(record.nextAttemptAt) > new Date());
+
+  failing = false;
+  assert.deepEqual(await deliverDueNotifications(), { orders: 0 });
+  assert.equal(sent.length, 0);
+});
+
+test('drops the order from the index once its emails have failed for good', async () => {
+  await seedPaidOrder();
+  await getOrdersStore().update(ORDER_ID, current => ({ ...current, outbox: current.outbox.map(entry => ({ ...entry, attempts: 5 })) }));
+  failing = true;
+
+  await deliverDueNotifications();
+
+  assert.deepEqual((await getOrder()).outbox.map(entry => entry.status), [OUTBOX_STATUS.FAILED, OUTBOX_STATUS.FAILED]);
+  assert.deepEqual(await getIndex().list(), []);
+});
+
+test('drops index records for orders with nothing to send', async () => {
+  await queueOrderNotifications('LLC-GONE0000');
+  await seedPaidOrder({ outbox: [] });
+
+  assert.deepEqual(await deliverDueNotifications(), { orders: 2 });
+
+  assert.equal(sent.length, 0);
+  assert.deepEqual(await getIndex().list(), []);
+});
+
+test('two runs at the same time send each email once', async () => {
+  await seedPaidOrder();
+
+  await Promise.all([deliverOrderNotifications(ORDER_ID), deliverOrderNotifications(ORDER_ID), deliverDueNotifications()]);
+
+  assert.equal(sent.length, 2);
+});
+
+test('a resend that fails is indexed for send-outbox to retry', async () => {
+  await seedPaidOrder();
+  await deliverDueNotifications();
+  const entry = (await getOrder()).outbox[0];
+  failing = true;
+
+  await resendNotification(ORDER_ID, entry.id);
+
+  assert.equal((await getOrder()).outbox[0].status, OUTBOX_STATUS.PENDING);
+  assert.deepEqual((await getIndex().list()).map(record => record.id), [ORDER_ID]);
+});
@@ -0,0 +1,35 @@
+/**
+ * Tests for seasonal items
+ *
+ * Seasons are bakery dates: an order is priced against the day it is for, and
+ * an instant is read in the bakery's time zone whatever the host's is.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getCatalogItem, isInSeason } from '../src/shared/catalog.js';
+import { calculateOrderTotals, PricingError } from '../src/shared/pricing.js';
+import { FULFILLMENT_METHODS } from '../src/shared/fulfillment.js';
+
+// In season from September 1 to November 30
+const DONUT = getCatalogItem('apple-cider-donut');
+const LINES = [{ id: DONUT.id, quantity: 1 }];
+
+test('reads an instant as the date at the bakery', () => {
+  // 9 PM on November 30 in Chicago, already December 1 in UTC
+  assert.equal(isInSeason(DONUT, new Date('2026-12-01T03:00:00Z')), true);
+  // 7 PM on August 31 in Chicago
+  assert.equal(isInSeason(DONUT, new Date('2026-09-01T00:00:00Z')), false);
+});
+
+test('prices a seasonal item against the day the order is for', () => {
+  const inSeason = new Date('2026-11-20T18:00:00Z');
+  const options = { date: inSeason, method: FULFILLMENT_METHODS.PICKUP };
+
+  assert.ok(calculateOrderTotals(LINES, { ...options, deliveryDate: '2026-11-30' }).totalCents > 0);
+  assert.throws(
+    () => calculateOrderTotals(LINES, { ...options, deliveryDate: '2026-12-01' }),
+    (error) => error instanceof PricingError && error.message === 'Apple Cider Donut is not available on that date'
+  );
+});
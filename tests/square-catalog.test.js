@@ -0,0 +1,159 @@
+/* global process */
+/**
+ * Tests for the Square catalog sync
+ *
+ * Square is replaced by the stub in helpers/squareStub.js and the synced
+ * catalog is kept in the in-memory store. The listing in
+ * fixtures/square-catalog is a trimmed copy of what Square returns.
+ */
+
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { getCatalogStore, syncCatalog } from '../netlify/lib/squareCatalog.js';
+import { getCatalogItem, setActiveCatalog } from '../src/shared/catalog.js';
+import { startSquareStub } from './helpers/squareStub.js';
+
+process.env.DATA_STORE = 'memory';
+process.env.SQUARE_ACCESS_TOKEN = 'test-access-token';
+process.env.SQUARE_LOCATION_ID = 'L-TEST';
+
+const loadListing = () => JSON.parse(readFileSync(new URL('./fixtures/square-catalog/catalog-list.json', import.meta.url), 'utf8'));
+
+// What the stubbed catalog/list returns; tests change them before syncing
+let listing;
+let respond;
+let square;
+
+before(async () => {
+  square = await startSquareStub({
+    'GET /v2/catalog/list': request => respond(request),
+  });
+  process.env.SQUARE_API_BASE_URL = square.baseUrl;
+});
+
+after(() => square.close());
+
+beforeEach(async () => {
+  listing = loadListing();
+  respond = () => ({ data: listing });
+  square.requests.length = 0;
+  await getCatalogStore().remove('menu');
+});
+
+afterEach(() => setActiveCatalog(null));
+
+const findItem = (catalog, id) => catalog.items.find(item => item.id === id);
+
+test('merges Square items with the bundled ones they match', async () => {
+  const catalog = await syncCatalog();
+
+  assert.deepEqual(catalog.items.map(item => item.id), ['artisan-sourdough', 'apple-cider-donut', 'gift-card']);
+
+  const sourdough = findItem(catalog, 'artisan-sourdough');
+  assert.equal(sourdough.priceCents, 1250);
+  assert.equal(sourdough.description, 'Naturally leavened, baked every morning');
+  assert.equal(sourdough.imageUrl, 'https://items-images-production.s3.us-west-2.amazonaws.com/files/sourdough/original.jpeg');
+  assert.equal(sourdough.leadTimeHours, 48);
+  assert.deepEqual(sourdough.options, [{
+    id: 'size',
+    label: 'Size',
+    choices: [
+      { id: 'regular', label: 'Regular Loaf', priceDeltaCents: 0, squareVariationId: 'VAR-SOURDOUGH-REGULAR' },
+      { id: 'large', label: 'Large Boule', priceDeltaCents: 400, squareVariationId: 'VAR-SOURDOUGH-LARGE' },
+    ],
+  }]);
+
+  const donut = findItem(catalog, 'apple-cider-donut');
+  assert.equal(donut.available, false);
+  assert.equal(donut.squareVariationId, 'VAR-CIDER-DONUT');
+  assert.deepEqual(donut.options.map(option => option.id), ['pack']);
+  assert.deepEqual(donut.season, { start: '09-01', end: '11-30' });
+});
+
+test('leaves off items with no fixed price or sold at another location', async () => {
+  const catalog = await syncCatalog();
+
+  assert.equal(findItem(catalog, 'drip-coffee'), undefined);
+  assert.equal(findItem(catalog, 'cinnamon-roll'), undefined);
+});
+
+test('gives items the bundled category, and its tax class, of their Square category', async () => {
+  const catalog = await syncCatalog();
+
+  assert.equal(findItem(catalog, 'artisan-sourdough').category, 'bread');
+  assert.deepEqual(
+    catalog.categories.map(({ id, name, taxClass }) => ({ id, name, taxClass })),
+    [
+      { id: 'bread', name: 'Bread', taxClass: 'food' },
+      { id: 'donuts', name: 'Donuts', taxClass: 'prepared-food' },
+      { id: 'gift-cards', name: 'Gift Cards', taxClass: 'exempt' },
+    ]
+  );
+});
+
+test('stores the synced catalog and prices from it', async () => {
+  const catalog = await syncCatalog();
+
+  assert.deepEqual(await getCatalogStore().get('menu'), catalog);
+  assert.equal(getCatalogItem('artisan-sourdough').priceCents, 1250);
+  assert.deepEqual(square.requests.map(request => `${request.method} ${request.path}`), ['GET /v2/catalog/list']);
+  assert.equal(square.requests[0].query.types, 'ITEM,CATEGORY,IMAGE');
+});
+
+test('follows the cursor through every page', async () => {
+  // Categories and the image on the first page, items on the second
+  respond = ({ query }) => ({
+    data: query.cursor === 'page-2'
+      ? { objects: listing.objects.slice(3) }
+      : { objects: listing.objects.slice(0, 3), cursor: 'page-2' },
+  });
+
+  const catalog = await syncCatalog();
+
+  assert.deepEqual(square.requests.map(request => request.query.cursor), [undefined, 'page-2']);
+  assert.equal(findItem(catalog, 'artisan-sourdough').category, 'bread');
+  assert.ok(findItem(catalog, 'artisan-sourdough').imageUrl);
+});
+
+test('refuses a Square category it has no tax class for', async () => {
+  listing.objects[0].category_data.name = 'Seasonal Specials';
+
+  await assert.rejects(syncCatalog(), /No tax class for Artisan Sourdough \(category "Seasonal Specials"\)/);
+  assert.equal(await getCatalogStore().get('menu'), null);
+});
+
+test('refuses a new item that is in no category', async () => {
+  listing.objects.push({
+    type: 'ITEM',
+    id: 'ITEM-FOCACCIA',
+    present_at_all_locations: true,
+    item_data: {
+      name: 'Rosemary Focaccia',
+      variations: [{
+        type: 'ITEM_VARIATION',
+        id: 'VAR-FOCACCIA',
+        present_at_all_locations: true,
+        item_variation_data: { item_id: 'ITEM-FOCACCIA', name: 'Regular', price_money: { amount: 900, currency: 'USD' } },
+      }],
+    },
+  });
+
+  await assert.rejects(syncCatalog(), /No tax class for Rosemary Focaccia \(no category\)/);
+});
+
+test('keeps the stored catalog when Square fails or lists nothing to sell', async () => {
+  const stored = await syncCatalog();
+
+  respond = () => ({
+    status: 401,
+    data: { errors: [{ category: 'AUTHENTICATION_ERROR', code: 'UNAUTHORIZED', detail: 'This request could not be authorized.' }] },
+  });
+  await assert.rejects(syncCatalog(), /Square catalog request failed \(401\): This request could not be authorized/);
+
+  respond = () => ({ data: { objects: listing.objects.filter(object => object.type !== 'ITEM') } });
+  await assert.rejects(syncCatalog(), /Square catalog has no items for this location/);
+
+  assert.deepEqual(await getCatalogStore().get('menu'), stored);
+});
@@ -0,0 +1,215 @@
+/* global process */
+/**
+ * Tests for the square-webhook function
+ *
+ * Deliveries are signed the way Square signs them and the orders live in the
+ * in-memory store. The payloads in fixtures/square-webhook are trimmed copies
+ * of what Square sends.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+
+import { handler } from '../netlify/functions/square-webhook.js';
+import { getOrdersStore } from '../netlify/lib/orders.js';
+import { createStore, registerStoreAdapter } from '../netlify/lib/store.js';
+
+const SIGNATURE_KEY = 'test-signature-key';
+const NOTIFICATION_URL = 'https://littleloafcottage.test/.netlify/functions/square-webhook';
+const ORDER_ID = 'LLC-7KQ2M9XD';
+const PAYMENT_ID = 'R2B3Z8WMVt3EAmzYWLZvz7Y69EbZY';
+
+process.env.DATA_STORE = 'memory';
+process.env.SQUARE_WEBHOOK_SIGNATURE_KEY = SIGNATURE_KEY;
+process.env.SQUARE_WEBHOOK_URL = NOTIFICATION_URL;
+
+/**
+ * Loads a fixture payload under a fresh event id
+ * @param {string} name - Fixture name, e.g. "refund-created"
+ * @returns {Object} Webhook notification
+ */
+const loadEvent = (name) => ({
+  ...JSON.parse(readFileSync(new URL(`./fixtures/square-webhook/${name}.json`, import.meta.url), 'utf8')),
+  event_id: crypto.randomUUID(),
+});
+
+const sign = (body, key = SIGNATURE_KEY) => (
+  crypto.createHmac('sha256', key).update(NOTIFICATION_URL + body).digest('base64')
+);
+
+/**
+ * Delivers a notification to the handler
+ * @param {Object} notification - Webhook notification
+ * @param {Object} options - { signature } to send instead of a valid one
+ * @returns {Promise<Object>} { statusCode, body } with the body parsed
+ */
+const deliver = async (notification, { signature } = {}) => {
+  const body = JSON.stringify(notification);
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { 'x-square-hmacsha256-signature': signature === undefined ? sign(body) : signature },
+    body,
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const getOrder = () => getOrdersStore().get(ORDER_ID);
+
+beforeEach(async () => {
+  await getOrdersStore().put(ORDER_ID, {
+    id: ORDER_ID,
+    status: 'received',
+    customer: { name: 'Ada Baker', email: 'ada@example.com', phone: '' },
+    payment: { id: PAYMENT_ID, status: 'APPROVED', amountCents: 2650 },
+    refunds: [],
+    statusHistory: [{ status: 'received', at: '2026-03-14T16:05:00.000Z' }],
+  });
+});
+
+test('rejects deliveries without a valid signature', async () => {
+  const notification = loadEvent('payment-updated');
+  const body = JSON.stringify(notification);
+
+  assert.equal((await deliver(notification, { signature: '' })).statusCode, 401);
+  assert.equal((await deliver(notification, { signature: sign(body, 'some-other-key') })).statusCode, 401);
+  assert.equal((await deliver(notification, { signature: sign(body.replace('COMPLETED', 'FAILED')) })).statusCode, 401);
+  assert.equal((await getOrder()).payment.status, 'APPROVED');
+});
+
+test('rejects requests other than POST', async () => {
+  const response = await handler({ httpMethod: 'GET', headers: {}, body: '' });
+  assert.equal(response.statusCode, 405);
+});
+
+test('payment.updated changes the status of the payment that paid the order', async () => {
+  const response = await deliver(loadEvent('payment-updated'));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.status, 'OK');
+  const order = await getOrder();
+  assert.equal(order.payment.status, 'COMPLETED');
+  assert.equal(order.payment.amountCents, 2650);
+});
+
+test('payment.updated for another payment on the same order is ignored', async () => {
+  const notification = loadEvent('payment-updated');
+  notification.data.object.payment = { ...notification.data.object.payment, id: 'declinedAttemptPaymentId', status: 'FAILED' };
+
+  const response = await deliver(notification);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.status, 'IGNORED');
+  assert.equal((await getOrder()).payment.status, 'APPROVED');
+});
+
+test('payment.updated for an order that has not been paid yet is ignored', async () => {
+  await getOrdersStore().update(ORDER_ID, current => ({ ...current, status: 'pending_payment', payment: null }));
+
+  const response = await deliver(loadEvent('payment-updated'));
+
+  assert.equal(response.body.status, 'IGNORED');
+  assert.equal((await getOrder()).payment, null);
+});
+
+test('refund.created records a refund made in the Square Dashboard', async () => {
+  const response = await deliver(loadEvent('refund-created'));
+
+  assert.equal(response.body.status, 'OK');
+  const order = await getOrder();
+  assert.equal(order.refunds.length, 1);
+  assert.deepEqual(
+    { id: order.refunds[0].id, status: order.refunds[0].status, amountCents: order.refunds[0].amountCents, reason: order.refunds[0].reason },
+    { id: `${PAYMENT_ID}_KlWP4IC1x9Fh7bO8vYNH9Bb4Q0hYx`, status: 'PENDING', amountCents: 1000, reason: 'Loaf arrived squashed' }
+  );
+  assert.equal(order.status, 'received');
+});
+
+test('refund.updated changes the status of a recorded refund', async () => {
+  await deliver(loadEvent('refund-created'));
+  const response = await deliver(loadEvent('refund-updated'));
+
+  assert.equal(response.body.status, 'OK');
+  const order = await getOrder();
+  assert.equal(order.refunds.length, 1);
+  assert.equal(order.refunds[0].status, 'COMPLETED');
+});
+
+test('a refund of the whole payment marks the order refunded', async () => {
+  const notification = loadEvent('refund-created');
+  notification.data.object.refund.amount_money = { amount: 2650, currency: 'USD' };
+
+  await deliver(notification);
+
+  const order = await getOrder();
+  assert.equal(order.status, 'refunded');
+  assert.equal(order.statusHistory.at(-1).status, 'refunded');
+});
+
+test('dispute.created records the dispute', async () => {
+  const response = await deliver(loadEvent('dispute-created'));
+
+  assert.equal(response.body.status, 'OK');
+  assert.deepEqual((await getOrder()).disputes, [{
+    id: 'XDgyFu7yo1E2S5lQGGpYn',
+    state: 'EVIDENCE_REQUIRED',
+    reason: 'NOT_AS_DESCRIBED',
+    amountCents: 2650,
+    dueAt: '2026-04-03T00:00:00.000Z',
+    createdAt: '2026-03-20T08:59:58.000Z',
+  }]);
+});
+
+test('events for unknown payments and unhandled types are acknowledged and ignored', async () => {
+  const unknownPayment = loadEvent('refund-created');
+  unknownPayment.data.object.refund = { ...unknownPayment.data.object.refund, payment_id: 'someoneElsesPayment' };
+  const unhandled = { ...loadEvent('payment-updated'), type: 'payment.created' };
+
+  assert.deepEqual((await deliver(unknownPayment)).body, { status: 'IGNORED' });
+  assert.deepEqual((await deliver(unhandled)).body, { status: 'IGNORED' });
+  assert.deepEqual((await getOrder()).refunds, []);
+});
+
+test('a repeated event id is only applied once', async () => {
+  const notification = loadEvent('refund-created');
+
+  assert.equal((await deliver(notification)).body.status, 'OK');
+  const repeat = await deliver(notification);
+
+  assert.equal(repeat.statusCode, 200);
+  assert.equal(repeat.body.status, 'DUPLICATE');
+  assert.equal((await getOrder()).refunds.length, 1);
+});
+
+test('the same event delivered twice at once is only applied once', async () => {
+  const notification = loadEvent('dispute-created');
+
+  const statuses = (await Promise.all([deliver(notification), deliver(notification)])).map(response => response.body.status);
+
+  assert.deepEqual(statuses.sort(), ['DUPLICATE', 'OK']);
+  assert.equal((await getOrder()).disputes.length, 1);
+});
+
+test('an event that fails to apply can be retried', async () => {
+  // Orders can be read but not written, as when storage is having trouble
+  registerStoreAdapter('orders-read-only', (collection) => {
+    process.env.DATA_STORE = 'memory';
+    const store = createStore(collection);
+    process.env.DATA_STORE = 'orders-read-only';
+    if (collection !== 'orders') return store;
+    return { ...store, update: async () => { throw new Error('Storage is unavailable'); } };
+  });
+  const notification = loadEvent('refund-created');
+
+  process.env.DATA_STORE = 'orders-read-only';
+  try {
+    assert.equal((await deliver(notification)).statusCode, 500);
+  } finally {
+    process.env.DATA_STORE = 'memory';
+  }
+
+  const retry = await deliver(notification);
+  assert.equal(retry.body.status, 'OK');
+  assert.equal((await getOrder()).refunds.length, 1);
+});